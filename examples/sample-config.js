@@ -3,32 +3,207 @@ const CONFIG = {
   // Find this in Google Calendar Settings > Your Calendar > Calendar ID
   FAMILY_CALENDAR_ID: 'your-family-calendar@group.calendar.google.com',
 
-  // ============ Hockey Settings ============
-  // Get this from BenchApp > Team Calendar > Export/Subscribe
-  HOCKEY_CALENDAR_URL: 'https://ics.benchapp.com/your-encoded-url',
-
-  // Customize the prefix for hockey events
-  EVENT_PREFIX: '[Hockey] ',
-
-  // Date range settings (usually don't need to change)
+  // Default date range settings (feeds can override with daysLookback/daysLookahead)
   DAYS_LOOKBACK: 7,
   DAYS_LOOKAHEAD: 90,
 
-  // ============ F1 Settings ============
-  // ICS feed URL for F1 races + sprints (from f1calendar.com)
-  // Visit https://f1calendar.com and select "Race" and "Sprint" sessions to generate your URL
-  F1_CALENDAR_URL: 'https://f1calendar.com/download/f1-calendar_race_sprint.ics',
+  // Timezone for feed times that carry neither a TZID nor a UTC "Z" suffix
+  // (feeds can override with `timezone`). Defaults to the Apps Script project timezone.
+  TIMEZONE: 'America/Toronto',
+
+  // Mass-deletion safety: a sync that would remove more than maxDeletions events, or more
+  // than maxDeletionPercent of a feed's events, keeps them until `confirmations` consecutive
+  // syncs agree or approvePendingDeletions() is run (feeds can override with deletionSafety)
+  DELETION_SAFETY: {
+    maxDeletions: 10,
+    maxDeletionPercent: 50,
+    confirmations: 3
+  },
+
+  // Successful fetches kept per feed as last-known-good snapshots (0 turns snapshots off)
+  SNAPSHOT_RETENTION: 5,
+
+  // Compressed size of all feeds' snapshots together; the oldest are pruned to stay under it,
+  // leaving the rest of the ~500 KB script properties quota to sync state
+  SNAPSHOT_BUDGET_BYTES: 250000,
+
+  // An unchanged feed (HTTP 304 or same content) skips the calendar comparison, but a full
+  // comparison still runs at least this often so manual edits to synced events get corrected
+  FULL_SYNC_INTERVAL_HOURS: 24,
+
+  // Feed downloads retry temporary failures (5xx, 429, timeouts, DNS) with exponential backoff;
+  // permanent ones (404, 401/403 from a revoked link or expired token) fail right away
+  FETCH_RETRY: {
+    maxAttempts: 3,
+    initialDelayMs: 2000,
+    maxDelayMs: 30000
+  },
+
+  // Runs recorded per feed in the sync history (see getSyncHistory('hockey', 10))
+  SYNC_HISTORY_RETENTION: 30,
+
+  // Seconds a run may spend writing to the calendar before it saves the remaining changes and
+  // schedules resumeSync() a minute later (Apps Script stops every run at 6 minutes)
+  SYNC_TIME_BUDGET_SECONDS: 270,
+
+  // 'batch' sends calendar writes as Calendar API batch requests (much faster for big imports).
+  // Default: 'calendarapp'
+  CALENDAR_BACKEND: 'calendarapp',
+  CALENDAR_BATCH: {
+    batchSize: 50 // Writes per batch request
+  },
+
+  // Email one digest per sync when games are rescheduled, moved or canceled.
+  // Feeds can add their own recipients with `subscribers`.
+  NOTIFICATIONS: {
+    recipients: ['parent@example.com'],
+    daysAhead: 14,                    // Only changes to events in the next 14 days
+    quietHours: { start: 22, end: 7 } // Hold digests from 10 PM to 7 AM (calendar timezone)
+  },
+
+  // Weekly agenda email (weeklyDigest, scheduled by setupWeeklyDigestTrigger()).
+  // Recipients default to NOTIFICATIONS.recipients.
+  WEEKLY_DIGEST: {
+    recipients: ['parent@example.com'],
+    day: 'SUNDAY',
+    hour: 18
+  },
+
+  // Patterns that read type, opponent, home/away, jersey and arrival from titles and descriptions
+  // (event-classifier.js). Only the keys given replace the defaults; each value is a
+  // case-insensitive regex (or a list of them) whose first capture group is the value.
+  EVENT_CLASSIFIER: {
+    jersey: ['\\b(dark|light|white|red) jerseys?\\b', '\\bwear (dark|light|white|red)\\b']
+  },
+
+  // Event colors for every feed, by event type or 'home' / 'away' (event-colors.js).
+  // Feeds add or override keys with their own `colors`; 'default' colors the rest of a feed.
+  // Values: PALE_BLUE, PALE_GREEN, MAUVE, PALE_RED, YELLOW, ORANGE, CYAN, GRAY, BLUE, GREEN, RED
+  EVENT_COLORS: {
+    tournament: 'YELLOW',
+    practice: 'PALE_GREEN'
+  },
 
-  // Prefix for F1 events in your calendar
-  F1_EVENT_PREFIX: '[F1] ',
+  // Reminders by event type, with 'default' for everything else (event-reminders.js).
+  // A number is a popup that many minutes before; [] means no reminders. Without a rule the
+  // calendar's default reminders apply. Reminders added by hand are kept.
+  REMINDERS: {
+    practice: [90],                                  // Early-morning ice time across town
+    game: [120, { method: 'email', minutes: 1440 }], // Plus an email the day before
+    default: [30]
+  },
 
-  // ============ Baseball Settings ============
-  // ICS feed URL for baseball league (from Team Manager)
-  // Note: webcal:// URLs are automatically converted to https:// for fetching
-  BASEBALL_CALENDAR_URL: 'webcal://api.team-manager.gc.com/ics-calendar-documents/user/YOUR-USER-ID.ics?teamId=YOUR-TEAM-ID&token=YOUR-TOKEN',
+  // ============ Feeds ============
+  // Every feed is synced by the same engine (sync-engine.js).
+  // Run syncAllFeeds() to sync all of them, or syncFeed('hockey') for one.
+  //
+  //   name            - Unique feed id used by syncFeed(name)
+  //   url             - ICS feed URL (webcal:// URLs are fetched over https://)
+  //   prefix          - Title prefix for synced events, also used to find them again
+  //   uidMarker       - Marker written to the description, e.g. "Hockey-UID: ..."
+  //   uidPrefix       - Prefix of generated stable UIDs (default: '<name>-stable')
+  //   uidNamespace    - Optional string mixed into the stable UID hash
+  //   uidFields       - Event fields hashed into the stable UID (default: title, startTime, location)
+  //   daysLookback    - Days in the past to sync (default: DAYS_LOOKBACK)
+  //   daysLookahead   - Days ahead to sync (default: DAYS_LOOKAHEAD)
+  //   titleNormalizer - Function, or name of a script function, mapping (title, event) to a title
+  //   titleFormat     - Title built from the event details, e.g. '{Type}[ vs {opponent}][ ({HomeAway})]'
+  //   classifier      - EVENT_CLASSIFIER overrides for this feed, or false to skip classification
+  //   colors          - Event colors for this feed, e.g. { default: 'BLUE', away: 'ORANGE' }
+  //   reminders       - Reminders for this feed by event type, e.g. { default: [] } for none
+  //   filter          - Function, or name of a script function, returning false to skip an event
+  //   timezone        - IANA timezone for this feed's floating times (default: TIMEZONE)
+  //   deletionSafety  - Overrides DELETION_SAFETY for this feed, or false to turn it off
+  //   subscribers     - Extra email addresses notified about this feed's changes
+  //   rescheduleMatching - Set to false to delete + recreate moved events instead of updating them
+  //   mergeGroup      - Feeds sharing a mergeGroup sync an event listed by several of them only once
+  //   child / team    - Who the feed is for, noted on merged events ("Teams: Sam – House League, ...")
+  //   calendarId      - Calendar this feed's events go to (default: FAMILY_CALENDAR_ID)
+  //   routes          - Send matching events elsewhere; first match wins. Each route has a calendarId
+  //                     plus types (['game', 'practice', ...]), a titlePattern (case-insensitive
+  //                     regex) and/or a match function (name)
+  //                     Changing a route moves already-synced events to their new calendar
+  //   enabled         - Set to false to skip the feed in syncAllFeeds()
+  //
+  // Changing uidPrefix, uidNamespace or uidFields on an existing feed changes every
+  // stable UID, so already-synced events would be recreated - run migrateIdentities() first.
+  FEEDS: [
+    {
+      name: 'hockey',
+      label: 'Hockey',
+      // Get this from BenchApp > Team Calendar > Export/Subscribe
+      url: 'https://ics.benchapp.com/your-encoded-url',
+      prefix: '[Hockey] ',
+      uidMarker: 'Hockey-UID',
+      uidPrefix: 'benchapp-stable',
+      // Already syncing without a uidNamespace? Run migrateIdentities() after adding it (see above)
+      uidNamespace: 'sam-house-league',
+      mergeGroup: 'hockey',
+      child: 'Sam',
+      team: 'House League',
+      colors: { default: 'BLUE', away: 'PALE_BLUE' },
+      timezone: 'America/Toronto',
+      lastSyncProperty: 'lastSyncTime'
+    },
+    {
+      name: 'f1',
+      label: 'F1',
+      // Visit https://f1calendar.com and select "Race" and "Sprint" sessions to generate your URL
+      url: 'https://f1calendar.com/download/f1-calendar_race_sprint.ics',
+      prefix: '[F1] ',
+      uidMarker: 'F1-UID',
+      uidPrefix: 'f1-stable',
+      uidNamespace: 'f1',
+      uidFields: ['title', 'startTime'],
+      colors: { default: 'RED' },
+      reminders: { default: [] }, // Watched from the couch
+      daysLookback: 30,
+      daysLookahead: 365,
+      titleNormalizer: 'stripF1TitlePrefix',
+      filter: 'isRaceOrSprint',
+      lastSyncProperty: 'lastF1SyncTime'
+      // Sprints in their own calendar, races stay in the family calendar:
+      // routes: [{ titlePattern: 'sprint', calendarId: 'f1-sprints@group.calendar.google.com' }]
+    },
+    {
+      name: 'baseball',
+      label: 'Baseball',
+      // ICS feed URL for baseball league (from Team Manager)
+      url: 'webcal://api.team-manager.gc.com/ics-calendar-documents/user/YOUR-USER-ID.ics?teamId=YOUR-TEAM-ID&token=YOUR-TOKEN',
+      prefix: '[Baseball] ',
+      uidMarker: 'Baseball-UID',
+      uidPrefix: 'baseball-stable',
+      uidNamespace: 'baseball',
+      lastSyncProperty: 'lastBaseballSyncTime'
+    }
+    // One BenchApp feed per child and team: give each its own uidNamespace and put them in
+    // mergeGroup 'hockey' so syncHockeyCalendar() syncs all of them and a tournament game both
+    // kids play in is created once (by the first feed listing it), titled "... (+ Alex)".
+    // {
+    //   name: 'hockey-alex-travel',
+    //   label: 'Hockey – Alex (Travel)',
+    //   url: 'https://ics.benchapp.com/alex-travel-url',
+    //   prefix: '[Hockey – Alex] ',
+    //   uidMarker: 'Hockey-UID',
+    //   uidPrefix: 'benchapp-stable',
+    //   uidNamespace: 'alex-travel',
+    //   mergeGroup: 'hockey',
+    //   child: 'Alex',
+    //   team: 'Travel'
+    // },
+    // Adding a new team is just another entry:
+    // {
+    //   name: 'lacrosse',
+    //   label: 'Lacrosse',
+    //   url: 'https://ics.benchapp.com/your-lacrosse-url',
+    //   prefix: '[Lacrosse] ',
+    //   uidMarker: 'Lacrosse-UID'
+    // }
+  ]
 
-  // Prefix for baseball events in your calendar
-  BASEBALL_EVENT_PREFIX: '[Baseball] '
+  // Older configs without FEEDS still work: HOCKEY_CALENDAR_URL / EVENT_PREFIX,
+  // F1_CALENDAR_URL / F1_EVENT_PREFIX and BASEBALL_CALENDAR_URL / BASEBALL_EVENT_PREFIX
+  // are turned into the three feeds above.
 };
 
 // Example BenchApp URLs (yours will be different):
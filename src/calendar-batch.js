@@ -0,0 +1,363 @@
+/**
+ * Batched Calendar Writes
+ * With CALENDAR_BACKEND: 'batch', sync actions are sent to the Calendar API (v3) as batch requests
+ * of up to CALENDAR_BATCH.batchSize inserts, patches and deletes, instead of one CalendarApp call
+ * plus a 300 ms pause per event. Each item succeeds or fails on its own:
+ *
+ * - Rate-limited items (429, 403 rateLimitExceeded) are retried in a smaller follow-up batch
+ * - Other failed items are logged and counted; the next sync plans them again
+ * - The batch request itself is sent once. Only when it provably never reached the API (host not
+ *   resolved, or the whole batch rejected with a 4xx) is the chunk applied through CalendarApp;
+ *   after a timeout, network error or 5xx some items may have gone through, so all of them count
+ *   as failed and the next sync plans them again from what the calendar then holds
+ *
+ * Requests go through UrlFetchApp with the script's OAuth token, not the Calendar advanced service.
+ * Identity tags are written as private extended properties. CalendarApp's setTag() is not
+ * documented to use them, so the first event created each run is read back through CalendarApp:
+ * if its tags are missing, the events just created are tagged through CalendarApp and the rest of
+ * the run uses CalendarApp.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: CALENDAR_BACKEND ('calendarapp' or 'batch'), CALENDAR_BATCH ({ batchSize })
+
+const CALENDAR_BATCH_URL = 'https://www.googleapis.com/batch/calendar/v3';
+const DEFAULT_CALENDAR_BATCH_SIZE = 50; // The API allows 1000, but large batches hit per-user rate limits
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded'];
+
+// Whether API-written extended properties read back as CalendarApp tags; null until checked this run
+let calendarBatchTagsReadable = null;
+
+/**
+ * True when CONFIG selects the batch backend (and this run hasn't found its tags unreadable)
+ */
+function useCalendarBatch() {
+  return CONFIG.CALENDAR_BACKEND === 'batch' && calendarBatchTagsReadable !== false;
+}
+
+function getCalendarBatchSize() {
+  const settings = CONFIG.CALENDAR_BATCH || {};
+  return Math.min(settings.batchSize || DEFAULT_CALENDAR_BATCH_SIZE, 1000);
+}
+
+// ============ SYNC ACTIONS ============
+/**
+ * Batch counterpart of executeSyncActions (sync-executor.js), with the same arguments and result
+ * Results also count `failed` items, which are not retried in this run
+ */
+function executeSyncActionsBatched(calendar, actions, resolve) {
+  const results = { added: 0, updated: 0, removed: 0, skipped: 0, failed: 0 };
+  const applied = [];
+  const batchSize = getCalendarBatchSize();
+  let remaining = [];
+
+  for (let start = 0; start < actions.length; start += batchSize) {
+    if (!hasSyncTimeLeft()) {
+      remaining = actions.slice(start);
+      break;
+    }
+
+    const items = [];
+    actions.slice(start, start + batchSize).forEach(action => {
+      const target = resolve(action);
+      if (target.skipReason) {
+        console.warn(`⚠️ Skipped ${action.action} of "${action.title}": ${target.skipReason}`);
+        results.skipped++;
+      } else if (isCalendarMove(action) || hasReminderChange(action)) {
+        // A move is a move plus a patch, which a batch can't order, and reminders added by hand
+        // have to be read before they are rewritten - both done one at a time
+        applySyncAction(calendar, action, target.existingEvent);
+        applied.push(action);
+        results.updated++;
+      } else {
+        items.push({ action: action, existingEvent: target.existingEvent });
+      }
+    });
+    if (items.length === 0) continue;
+
+    const outcomes = useCalendarBatch() ? sendCalendarBatch(calendar.getId(), items.map(item => item.action)) : null;
+
+    // Batch never reached the API (or its tags can't be read): CalendarApp for this chunk
+    if (!outcomes) {
+      if (useCalendarBatch()) {
+        console.warn(`⚠️ Calendar batch request was not accepted - applying ${items.length} actions through CalendarApp`);
+      }
+      items.forEach(item => {
+        applySyncAction(calendar, item.action, item.existingEvent);
+        applied.push(item.action);
+        results[SYNC_ACTION_RESULT_KEYS[item.action.action]]++;
+        Utilities.sleep(300); // Rate limiting
+      });
+      continue;
+    }
+
+    outcomes.forEach((outcome, index) => {
+      const action = items[index].action;
+      if (outcome.gone && action.action !== 'create') {
+        console.warn(`⚠️ Skipped ${action.action} of "${action.title}": event no longer exists`);
+        results.skipped++;
+      } else if (outcome.error) {
+        console.error(`❌ ${action.action} of "${action.title}" failed: ${outcome.error}`);
+        results.failed++;
+      } else {
+        console.log(`${{ create: 'Created', update: 'Updated', delete: 'Removed' }[action.action]}: "${action.title}" (UID: ${action.uid})`);
+        applied.push(action);
+        results[SYNC_ACTION_RESULT_KEYS[action.action]]++;
+      }
+    });
+    checkCalendarBatchTags(calendar, items.map(item => item.action), outcomes);
+  }
+
+  if (actions.length > 0) {
+    console.log(`✓ Calendar API batches: ${applied.length} applied, ${results.failed} failed, ${results.skipped} skipped`);
+  }
+  return { results: results, applied: applied, remaining: remaining };
+}
+
+/**
+ * Deletes calendar events in batches (duplicate cleanup); each is deleted from its own calendar
+ * @returns {{ deleted: number, errors: number }}
+ */
+function deleteEventsInBatches(events) {
+  const actions = events.map(event => ({
+    action: 'delete', eventId: event.getId(), calendarId: event.getOriginalCalendarId(), title: event.getTitle()
+  }));
+  const batchSize = getCalendarBatchSize();
+  let deleted = 0;
+  let errors = 0;
+
+  for (let start = 0; start < actions.length; start += batchSize) {
+    const chunk = actions.slice(start, start + batchSize);
+    const outcomes = sendCalendarBatch(chunk[0].calendarId, chunk);
+
+    if (!outcomes) {
+      console.warn('⚠️ Calendar batch request failed - deleting through CalendarApp');
+      chunk.forEach((action, index) => {
+        try {
+          events[start + index].deleteEvent();
+          deleted++;
+          Utilities.sleep(300); // Rate limiting
+        } catch (error) {
+          console.error(`Failed to delete event: ${error}`);
+          errors++;
+        }
+      });
+      continue;
+    }
+
+    outcomes.forEach((outcome, index) => {
+      if (outcome.error && !outcome.gone) {
+        console.error(`Failed to delete "${chunk[index].title}": ${outcome.error}`);
+        errors++;
+      } else {
+        deleted++;
+      }
+    });
+    console.log(`Progress: ${deleted} deleted...`);
+  }
+
+  return { deleted: deleted, errors: errors };
+}
+
+/**
+ * Reads the first event created this run back through CalendarApp to check its identity tags
+ * When they are missing, tags the events just created through CalendarApp and turns the batch
+ * backend off for the rest of the run (useCalendarBatch)
+ */
+function checkCalendarBatchTags(calendar, actions, outcomes) {
+  if (calendarBatchTagsReadable !== null) return;
+
+  const created = [];
+  actions.forEach((action, index) => {
+    if (action.action === 'create' && !outcomes[index].error && outcomes[index].eventId) {
+      const event = getActionCalendar(calendar, action.event.calendarId).getEventById(`${outcomes[index].eventId}@google.com`);
+      if (event) created.push({ action: action, event: event });
+    }
+  });
+  if (created.length === 0) return;
+
+  calendarBatchTagsReadable = created[0].event.getTag(IDENTITY_TAGS.uid) === created[0].action.uid;
+  if (calendarBatchTagsReadable) return;
+
+  console.warn(`⚠️ CalendarApp can't read tags written by the Calendar API - tagging ${created.length} new events through CalendarApp and using CalendarApp for the rest of this run`);
+  created.forEach(entry => {
+    const tags = buildCalendarApiEvent(deserializeEventFields(entry.action.event), false).extendedProperties.private;
+    Object.keys(tags).forEach(key => entry.event.setTag(key, tags[key]));
+  });
+}
+
+// ============ BATCH REQUESTS ============
+/**
+ * Sends actions as one batch request, retrying rate-limited items with backoff
+ * The request itself is never retried: a lost response may still have applied some items
+ * @returns {Array<{ status: number, error: string|null, gone: boolean, eventId: string|null }>|null}
+ *   One outcome per action, or null when the first request provably never reached the API
+ */
+function sendCalendarBatch(calendarId, actions) {
+  const retry = Object.assign({}, DEFAULT_FETCH_RETRY, CONFIG.FETCH_RETRY || {});
+  const outcomes = new Array(actions.length);
+  let pending = actions.map((action, index) => index);
+
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    const boundary = `batch_${Utilities.getUuid()}`;
+    let response = null;
+    let failure = null;
+    try {
+      response = UrlFetchApp.fetch(CALENDAR_BATCH_URL, {
+        method: 'post',
+        contentType: `multipart/mixed; boundary=${boundary}`,
+        headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+        payload: buildCalendarBatchBody(calendarId, pending.map(index => actions[index]), boundary),
+        muteHttpExceptions: true
+      });
+      failure = classifyHttpStatus(response.getResponseCode());
+    } catch (error) {
+      failure = classifyFetchException(error);
+    }
+
+    if (failure) {
+      // Unresolved host or a 4xx for the whole batch: none of these items were applied
+      const notSent = failure.type === 'dns' || (failure.code >= 400 && failure.code < 500);
+      if (notSent && attempt === 1) return null;
+      console.error(`❌ Calendar batch request failed (${describeFetchFailure(failure)})${notSent ? '' : ' - some items may have been applied'}`);
+      pending.forEach(index => {
+        outcomes[index] = { status: failure.code || 0, error: describeFetchFailure(failure), gone: false, eventId: null };
+      });
+      break;
+    }
+
+    const responses = parseCalendarBatchResponse(response);
+    const rateLimited = [];
+    pending.forEach((index, position) => {
+      const outcome = responses[position] || { status: 0, error: 'No response for this item', gone: false, rateLimited: false, eventId: null };
+      if (outcome.rateLimited && attempt < retry.maxAttempts) {
+        rateLimited.push(index);
+      } else {
+        outcomes[index] = outcome;
+      }
+    });
+
+    pending = rateLimited;
+    if (pending.length > 0) {
+      const delay = getRetryDelay(retry, attempt, null);
+      console.warn(`⚠️ ${pending.length} calendar writes rate limited - retrying in ${delay / 1000}s`);
+      Utilities.sleep(delay);
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Builds the multipart/mixed body: one embedded HTTP request per action
+ * Each request goes to the action's own calendar (calendar-routing.js), calendarId being the default
+ */
+function buildCalendarBatchBody(calendarId, actions, boundary) {
+  const parts = actions.map((action, index) => {
+    const targetCalendarId = (action.action === 'create' ? action.event.calendarId : action.calendarId) || calendarId;
+    const eventsPath = `/calendar/v3/calendars/${encodeURIComponent(targetCalendarId)}/events`;
+    let request;
+    if (action.action === 'create') {
+      request = `POST ${eventsPath}\r\nContent-Type: application/json\r\n\r\n` +
+        JSON.stringify(buildCalendarApiEvent(deserializeEventFields(action.event), false));
+    } else if (action.action === 'update') {
+      request = `PATCH ${eventsPath}/${toCalendarApiEventId(action.eventId)}\r\nContent-Type: application/json\r\n\r\n` +
+        JSON.stringify(buildCalendarApiEvent(deserializeEventFields(action.event), true));
+    } else if (action.action === 'delete') {
+      request = `DELETE ${eventsPath}/${toCalendarApiEventId(action.eventId)}\r\n`;
+    } else {
+      throw new Error(`Unknown sync action "${action.action}".`);
+    }
+
+    return `--${boundary}\r\nContent-Type: application/http\r\nContent-ID: <item-${index}>\r\n\r\n${request}\r\n`;
+  });
+
+  return parts.join('') + `--${boundary}--`;
+}
+
+/**
+ * Splits a batch response into per-item outcomes, in request order
+ */
+function parseCalendarBatchResponse(response) {
+  const contentType = getResponseHeader(response, 'Content-Type') || '';
+  const boundaryMatch = /boundary=("?)([^";]+)\1/.exec(contentType);
+  if (!boundaryMatch) {
+    throw new Error(`Calendar batch response has no multipart boundary (${contentType}).`);
+  }
+
+  const outcomes = [];
+  response.getContentText().split(`--${boundaryMatch[2]}`).forEach(part => {
+    const idMatch = /Content-ID:\s*<response-item-(\d+)>/i.exec(part);
+    const statusMatch = /HTTP\/[\d.]+\s+(\d{3})/.exec(part);
+    if (!idMatch || !statusMatch) return;
+
+    const status = parseInt(statusMatch[1], 10);
+    const bodyStart = part.indexOf('{');
+    let body = null;
+    if (bodyStart >= 0) {
+      try {
+        body = JSON.parse(part.substring(bodyStart, part.lastIndexOf('}') + 1));
+      } catch (error) {
+        body = null;
+      }
+    }
+
+    const error = body && body.error;
+    const reason = error && error.errors && error.errors[0] ? error.errors[0].reason : null;
+    outcomes[parseInt(idMatch[1], 10)] = {
+      status: status,
+      error: status >= 200 && status < 300 ? null : `${status} ${error ? error.message : 'error'}`,
+      gone: status === 404 || status === 410,
+      rateLimited: status === 429 || (status === 403 && RATE_LIMIT_REASONS.includes(reason)),
+      eventId: body && body.id ? body.id : null
+    };
+  });
+
+  return outcomes;
+}
+
+// ============ EVENT RESOURCES ============
+/**
+ * Calendar API event resource for a set of event fields
+ * @param {boolean} forPatch - Clears the unused start/end variant when switching between timed and all-day
+ */
+function buildCalendarApiEvent(fields, forPatch) {
+  const toTime = date => {
+    const time = fields.allDay
+      ? { date: formatDateKey(date) }
+      : { dateTime: date.toISOString() };
+    if (forPatch) {
+      return Object.assign({ date: null, dateTime: null }, time);
+    }
+    return time;
+  };
+
+  const resource = {
+    summary: fields.title,
+    description: fields.description,
+    location: fields.location,
+    start: toTime(fields.startTime),
+    end: toTime(fields.endTime),
+    extendedProperties: { private: getIdentityTagValues(fields) }
+  };
+  if (fields.color) {
+    resource.colorId = fields.color;
+  }
+  // Updates with a reminder change go through CalendarApp (executeSyncActionsBatched)
+  if (!forPatch && fields.reminders) {
+    resource.reminders = buildCalendarApiReminders(fields.reminders);
+    resource.extendedProperties.private[REMINDER_TAG] = fields.reminders.join(',') || NO_REMINDERS;
+  }
+  return resource;
+}
+
+function hasReminderChange(action) {
+  return action.action === 'update' && (action.changes || []).some(change => change.field === 'reminders');
+}
+
+/**
+ * CalendarApp ids look like "<id>@google.com"; the Calendar API uses the part before the @
+ */
+function toCalendarApiEventId(eventId) {
+  return eventId.split('@')[0];
+}
@@ -0,0 +1,173 @@
+/**
+ * Calendar Routing
+ * Synced events go to CONFIG.FAMILY_CALENDAR_ID unless their feed sets a `calendarId`, or one of
+ * the feed's `routes` matches the event (first match wins):
+ *
+ *   routes: [
+ *     { types: ['practice'], calendarId: 'practices@group.calendar.google.com' },
+ *     { match: 'isRace', calendarId: 'races@group.calendar.google.com' }
+ *   ]
+ *
+ * Every calendar a feed has events in is remembered in script properties, so after a route changes
+ * the events are still found in their old calendar and moved instead of created a second time.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Per-feed keys: calendarId, routes (see examples/sample-config.js)
+
+// Calendars looked up during this execution, by id
+const routedCalendars = new Map();
+
+// ============ ROUTES ============
+/**
+ * Calendar id a feed event belongs in
+ */
+function getEventCalendarId(feed, feedEvent) {
+  const route = (feed.routes || []).find(candidate => matchesRoute(candidate, feedEvent, feed));
+  return route ? route.calendarId : feed.calendarId;
+}
+
+/**
+ * A route matches when its types (event types from event-classifier.js), titlePattern
+ * (case-insensitive regex on the title without prefix) and match hook (function or script
+ * function name, called with the event) all accept the event
+ */
+function matchesRoute(route, feedEvent, feed) {
+  if (!route.calendarId) {
+    throw new Error(`Feed "${feed.name}" has a route without a calendarId.`);
+  }
+  if (route.types && !(feedEvent.details && route.types.includes(feedEvent.details.type))) {
+    return false;
+  }
+  if (route.titlePattern && !new RegExp(route.titlePattern, 'i').test(feedEvent.title)) {
+    return false;
+  }
+  const match = resolveFeedHook(route.match, feed);
+  return !match || !!match(feedEvent);
+}
+
+// ============ CALENDARS ============
+/**
+ * Looks up a calendar once per execution
+ */
+function getRoutedCalendar(calendarId) {
+  if (!routedCalendars.has(calendarId)) {
+    const calendar = CalendarApp.getCalendarById(calendarId);
+    if (!calendar) {
+      throw new Error(`Calendar ${calendarId} not found. Check FAMILY_CALENDAR_ID and the feed's calendarId/routes.`);
+    }
+    routedCalendars.set(calendarId, calendar);
+  }
+  return routedCalendars.get(calendarId);
+}
+
+/**
+ * Calendar of a sync action; actions from plans made before routing carry no calendar id
+ */
+function getActionCalendar(calendar, calendarId) {
+  return !calendarId || calendarId === calendar.getId() ? calendar : getRoutedCalendar(calendarId);
+}
+
+/**
+ * Calendars the feed's configuration writes to: its calendarId and every route's
+ */
+function getRoutedCalendarIds(feed) {
+  return [feed.calendarId].concat((feed.routes || []).map(route => route.calendarId));
+}
+
+/**
+ * Every calendar the feed writes to or still has events in
+ */
+function getFeedCalendarIds(feed) {
+  const ids = getRoutedCalendarIds(feed).concat(loadFeedCalendarIds(feed));
+  return ids.filter((id, index) => id && ids.indexOf(id) === index);
+}
+
+/**
+ * Calendars of getFeedCalendarIds that can be opened
+ * A remembered calendar that is gone (deleted or unshared) is skipped with a warning; a configured
+ * one that is missing throws (getRoutedCalendar)
+ */
+function getFeedCalendars(feed) {
+  const routed = getRoutedCalendarIds(feed);
+  const calendars = [];
+
+  getFeedCalendarIds(feed).forEach(calendarId => {
+    if (!routed.includes(calendarId) && !CalendarApp.getCalendarById(calendarId)) {
+      console.warn(`⚠️ ${feed.label} events in calendar ${calendarId} can't be reached anymore - remove them by hand`);
+      return;
+    }
+    calendars.push(getRoutedCalendar(calendarId));
+  });
+  return calendars;
+}
+
+/**
+ * Synced events of the feed in every calendar it uses
+ */
+function getAllFeedEvents(feed) {
+  let events = [];
+  getFeedCalendars(feed).forEach(calendar => {
+    events = events.concat(getExistingFeedEvents(calendar, feed));
+  });
+  return events;
+}
+
+// ============ TRACKING ============
+function getFeedCalendarsKey(feed) {
+  return `syncCalendars_${feed.name}`;
+}
+
+function loadFeedCalendarIds(feed) {
+  const stored = PropertiesService.getScriptProperties().getProperty(getFeedCalendarsKey(feed));
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Remembers the feed's current calendars plus the ones its existing events were found in
+ * A calendar drops out once a sync finds none of the feed's events left in it
+ */
+function saveFeedCalendarIds(feed, existingEvents) {
+  const ids = getRoutedCalendarIds(feed);
+  existingEvents.forEach(event => ids.push(event.getOriginalCalendarId()));
+
+  PropertiesService.getScriptProperties().setProperty(
+    getFeedCalendarsKey(feed),
+    JSON.stringify(ids.filter((id, index) => id && ids.indexOf(id) === index))
+  );
+}
+
+// ============ MOVING ============
+/**
+ * True for an update action whose event has to change calendars
+ */
+function isCalendarMove(action) {
+  return action.action === 'update' && !!action.calendarId && !!action.event.calendarId &&
+    action.calendarId !== action.event.calendarId;
+}
+
+/**
+ * Moves a synced event to the calendar in fields.calendarId and updates it
+ * The Calendar API keeps the event (guests, reminders, notes); without the advanced service the
+ * event is recreated in the new calendar instead
+ */
+function moveSyncedEvent(existingEvent, fields) {
+  const fromCalendarId = existingEvent.getOriginalCalendarId();
+  const target = getRoutedCalendar(fields.calendarId);
+
+  if (typeof Calendar !== 'undefined') {
+    Calendar.Events.move(fromCalendarId, toCalendarApiEventId(existingEvent.getId()), fields.calendarId);
+    const moved = target.getEventById(existingEvent.getId());
+    if (!moved) {
+      throw new Error(`"${fields.title}" was moved to ${fields.calendarId} but can't be found there.`);
+    }
+    updateEvent(moved, fields);
+    console.log(`Moved: "${fields.title}" from ${fromCalendarId} to ${fields.calendarId}`);
+    return moved;
+  }
+
+  const created = createEvent(target, fields);
+  existingEvent.deleteEvent();
+  console.log(`Moved: "${fields.title}" from ${fromCalendarId} to ${fields.calendarId} (recreated)`);
+  return created;
+}
@@ -0,0 +1,73 @@
+/**
+ * Chunked Script Properties
+ * Script property values are limited to 9 KB, so larger JSON values (sync history, continuations)
+ * are split over several properties: `<key>` holds the chunk count, `<key>_0`, `<key>_1`, ... the data.
+ *
+ * Non-ASCII characters are written as \uXXXX escapes, so each character is one byte and a chunk
+ * of PROPERTY_CHUNK_SIZE characters always fits, whatever the event titles contain.
+ */
+
+const PROPERTY_CHUNK_SIZE = 8000; // Characters per value (one byte each, see above)
+
+/**
+ * Stores a value as JSON, split over as many properties as it needs
+ */
+function saveChunkedProperty(key, value) {
+  const properties = PropertiesService.getScriptProperties();
+  const previousChunks = getChunkCount(properties.getProperty(key));
+  const json = toAsciiJson(value);
+  const chunks = Math.max(1, Math.ceil(json.length / PROPERTY_CHUNK_SIZE));
+
+  const values = {};
+  for (let i = 0; i < chunks; i++) {
+    values[`${key}_${i}`] = json.substring(i * PROPERTY_CHUNK_SIZE, (i + 1) * PROPERTY_CHUNK_SIZE);
+  }
+  values[key] = String(chunks);
+  properties.setProperties(values);
+
+  for (let i = chunks; i < previousChunks; i++) {
+    properties.deleteProperty(`${key}_${i}`);
+  }
+}
+
+/**
+ * Reads a value stored by saveChunkedProperty, or null when there is none
+ * A plain JSON value under the key itself (stored before chunking) is read as-is
+ * Throws when the value can't be parsed (e.g. a chunk is missing)
+ */
+function loadChunkedProperty(key) {
+  const properties = PropertiesService.getScriptProperties();
+  const value = properties.getProperty(key);
+  if (value === null) return null;
+
+  const chunks = getChunkCount(value);
+  if (chunks === 0) return JSON.parse(value);
+
+  let json = '';
+  for (let i = 0; i < chunks; i++) {
+    json += properties.getProperty(`${key}_${i}`) || '';
+  }
+  return JSON.parse(json);
+}
+
+/**
+ * Removes a value and all of its chunks
+ */
+function deleteChunkedProperty(key) {
+  const properties = PropertiesService.getScriptProperties();
+  const chunks = getChunkCount(properties.getProperty(key));
+  for (let i = 0; i < chunks; i++) {
+    properties.deleteProperty(`${key}_${i}`);
+  }
+  properties.deleteProperty(key);
+}
+
+function getChunkCount(value) {
+  return /^\d+$/.test(value || '') ? parseInt(value, 10) : 0;
+}
+
+function toAsciiJson(value) {
+  return JSON.stringify(value).replace(/[\u007f-\uffff]/g, char =>
+    '\\u' + ('0000' + char.charCodeAt(0).toString(16)).slice(-4)
+  );
+}
@@ -0,0 +1,133 @@
+/**
+ * Event Classification
+ * BenchApp packs everything into free text: "Game vs Wolves (Home)", "Practice - Skills",
+ * "Arrive 45 minutes early. Dark jerseys." Each parsed feed event gets `details` read from its
+ * SUMMARY and DESCRIPTION with configurable patterns:
+ *
+ *   type           - 'game', 'practice', 'tournament', 'meeting' or 'other'
+ *   opponent       - "Wolves" (null when not found, same for the fields below)
+ *   homeAway       - 'home' or 'away'
+ *   jersey         - "Dark"
+ *   arrivalMinutes - 45 (see getArrivalTime)
+ *
+ * Title normalizers, filters and routes receive the event with its details, and a feed's
+ * `titleFormat` can rebuild the title from them.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: EVENT_CLASSIFIER (patterns, merged over the defaults below);
+// per feed: classifier (overrides, or false to skip classification), titleFormat
+
+// Jerseys are named by colour; any other word before "jerseys" ("Bring your jerseys") is not one
+const JERSEY_COLORS = 'dark|light|white|black|red|blue|navy|green|gold|yellow|orange|purple|maroon|grey|gray|silver';
+
+const DEFAULT_EVENT_CLASSIFIER = {
+  // Tested in order against the title; the first match wins
+  types: {
+    tournament: '\\b(tournament|classic|showcase|jamboree|cup)\\b',
+    meeting: '\\b(meeting|agm|parent night)\\b',
+    practice: '\\b(practice|skills|skate|clinic|dryland)\\b',
+    game: '\\b(game|scrimmage|exhibition|playoff)\\b|(^|\\s)(vs\\.?|versus|@)\\s'
+  },
+  // The first capture group is the value; title patterns are tried before description ones
+  opponent: ['(?:^|\\s)(?:vs\\.?|versus|@)\\s+(.+?)\\s*(?:\\(.*\\))?$'],
+  homeAway: ['\\((home|away)\\)', '\\b(home|away) game\\b'],
+  jersey: [`\\b(${JERSEY_COLORS}) jerseys?\\b`, `\\bjerseys?\\s*[:-]\\s*(${JERSEY_COLORS})\\b`],
+  arrivalMinutes: ['\\barrive\\s+(\\d+)\\s*(?:min|mins|minutes)\\s+(?:early|before)']
+};
+
+// ============ CLASSIFYING ============
+/**
+ * Structured details of a parsed feed event, or null when the feed sets classifier: false
+ */
+function classifyEvent(event, feed) {
+  const classifier = getEventClassifier(feed);
+  if (!classifier) return null;
+
+  const title = event.title || '';
+  const texts = [title, event.description || ''];
+  const arrival = matchClassifierPattern(classifier.arrivalMinutes, texts);
+  const homeAway = matchClassifierPattern(classifier.homeAway, texts);
+
+  return {
+    type: Object.keys(classifier.types).find(type => new RegExp(classifier.types[type], 'i').test(title)) || 'other',
+    opponent: matchClassifierPattern(classifier.opponent, [title]),
+    homeAway: homeAway ? homeAway.toLowerCase() : null,
+    jersey: matchClassifierPattern(classifier.jersey, texts),
+    arrivalMinutes: arrival ? parseInt(arrival, 10) : null
+  };
+}
+
+/**
+ * The patterns for a feed: defaults, then CONFIG.EVENT_CLASSIFIER, then the feed's classifier
+ */
+function getEventClassifier(feed) {
+  if (feed.classifier === false) return null;
+
+  const classifier = Object.assign({}, DEFAULT_EVENT_CLASSIFIER, CONFIG.EVENT_CLASSIFIER || {}, feed.classifier || {});
+  ['opponent', 'homeAway', 'jersey', 'arrivalMinutes'].forEach(key => {
+    if (!Array.isArray(classifier[key])) {
+      classifier[key] = classifier[key] ? [classifier[key]] : [];
+    }
+  });
+  return classifier;
+}
+
+/**
+ * First capture group of the first pattern matching any of the texts (tried in order), or null
+ */
+function matchClassifierPattern(patterns, texts) {
+  for (const text of texts) {
+    for (const pattern of patterns) {
+      const match = new RegExp(pattern, 'i').exec(text);
+      if (match && match[1]) return match[1].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * When to arrive for an event, or null when the feed doesn't say
+ */
+function getArrivalTime(event) {
+  if (!event.details || !event.details.arrivalMinutes) return null;
+  return new Date(event.startTime.getTime() - event.details.arrivalMinutes * 60 * 1000);
+}
+
+// ============ TITLES ============
+/**
+ * Builds a title from a feed's titleFormat, e.g. '{Type}[ vs {opponent}][ ({HomeAway})]'
+ *
+ * Placeholders: {title}, {type}, {opponent}, {homeAway}, {jersey}; a capitalized name
+ * ({Type}, {HomeAway}) capitalizes the value. A [bracketed] part is left out when one of
+ * its placeholders has no value; the original title is kept if the result is empty.
+ */
+function formatEventTitle(format, event) {
+  const details = event.details || {};
+  const values = {
+    title: event.title,
+    type: details.type,
+    opponent: details.opponent,
+    homeAway: details.homeAway,
+    jersey: details.jersey
+  };
+
+  let missing = false;
+  const fill = text => text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const key = name.charAt(0).toLowerCase() + name.substring(1);
+    const value = values[key];
+    if (!value) {
+      missing = true;
+      return '';
+    }
+    return name === key ? String(value) : String(value).charAt(0).toUpperCase() + String(value).substring(1);
+  });
+
+  const formatted = format.replace(/\[([^\]]*)\]|\{\w+\}/g, (part, inner) => {
+    if (inner === undefined) return fill(part);
+    missing = false;
+    const filled = fill(inner);
+    return missing ? '' : filled;
+  });
+  return formatted.replace(/\s+/g, ' ').trim() || event.title;
+}
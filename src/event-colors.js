@@ -0,0 +1,46 @@
+/**
+ * Event Colors
+ * Synced events are colored by feed, event type (event-classifier.js) and home/away:
+ *
+ *   colors: { default: 'PALE_BLUE', practice: 'GREEN', tournament: 'YELLOW', away: 'ORANGE' }
+ *
+ * The most specific key wins: 'home' / 'away', then the event type, then 'default'. A feed's
+ * `colors` beat CONFIG.EVENT_COLORS for the same key. Colors are CalendarApp.EventColor names
+ * (PALE_BLUE, PALE_GREEN, MAUVE, PALE_RED, YELLOW, ORANGE, CYAN, GRAY, BLUE, GREEN, RED) or
+ * their ids '1' - '11'.
+ *
+ * Events no rule applies to keep whatever color they have, including colors set by hand.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: EVENT_COLORS; per feed: colors
+
+/**
+ * Color id for a feed event, or '' when no rule applies
+ */
+function getEventColor(feed, feedEvent) {
+  const details = feedEvent.details || {};
+  const keys = [details.homeAway, details.type, 'default'].filter(key => key);
+  const maps = [feed.colors, CONFIG.EVENT_COLORS].filter(map => map);
+
+  for (const key of keys) {
+    for (const map of maps) {
+      if (map[key]) return resolveEventColor(map[key], feed);
+    }
+  }
+  return '';
+}
+
+/**
+ * Turns an EventColor name or id into the id CalendarApp returns from getColor()
+ */
+function resolveEventColor(color, feed) {
+  const value = String(color).toUpperCase();
+  if (CalendarApp.EventColor[value] !== undefined) {
+    return String(CalendarApp.EventColor[value]);
+  }
+  if (/^([1-9]|1[01])$/.test(value)) {
+    return value;
+  }
+  throw new Error(`Unknown event color "${color}" for feed "${feed.name}". Use a CalendarApp.EventColor name or 1-11.`);
+}
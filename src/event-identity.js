@@ -0,0 +1,100 @@
+/**
+ * Synced Event Identity
+ * Which feed an event came from, and which feed event it is, lives in CalendarEvent tags:
+ *
+ *   syncFeed      - feed name ('hockey', 'f1', ...)
+ *   syncUid       - stable UID from createStableUID
+ *   syncSourceUid - the UID the feed itself gave the event (informational; BenchApp changes it)
+ *
+ * Tags are invisible to people editing the event, so a rewritten description no longer orphans it.
+ * The "<Marker>: <uid>" description line is still written, but only read for events without tags
+ * (synced before tags were used); those are tagged on their next sync.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+
+const IDENTITY_TAGS = {
+  feed: 'syncFeed',
+  uid: 'syncUid',
+  sourceUid: 'syncSourceUid'
+};
+
+// ============ READING ============
+/**
+ * True when a calendar event was synced from the feed
+ * Tagged events are matched by tag alone; untagged ones by title prefix and description marker
+ */
+function isFeedEvent(event, feed) {
+  const taggedFeed = event.getTag(IDENTITY_TAGS.feed);
+  if (taggedFeed) return taggedFeed === feed.name;
+
+  const description = event.getDescription();
+  return event.getTitle().startsWith(feed.prefix) &&
+    !!description &&
+    description.includes(`${feed.uidMarker}:`);
+}
+
+/**
+ * Returns the stable UID of an event synced from the feed, or null
+ * @param {Object} feed - Feed definition (only name and uidMarker are used)
+ */
+function getEventIdentity(event, feed) {
+  const taggedFeed = event.getTag(IDENTITY_TAGS.feed);
+  if (taggedFeed) {
+    return taggedFeed === feed.name ? event.getTag(IDENTITY_TAGS.uid) : null;
+  }
+  return extractUIDFromDescription(event.getDescription(), feed.uidMarker);
+}
+
+function hasIdentityTags(event) {
+  return !!event.getTag(IDENTITY_TAGS.feed);
+}
+
+// ============ WRITING ============
+/**
+ * Tags an event with the identity of the fields just written to it
+ * @param {Object} fields - Event fields from buildEventFields
+ */
+function writeEventIdentity(event, fields) {
+  const values = getIdentityTagValues(fields);
+  Object.keys(values).forEach(key => event.setTag(key, values[key]));
+}
+
+/**
+ * Tag name → value for the fields; also sent as extended properties by calendar-batch.js
+ */
+function getIdentityTagValues(fields) {
+  const values = {};
+  values[IDENTITY_TAGS.feed] = fields.feed;
+  values[IDENTITY_TAGS.uid] = fields.uid;
+  if (fields.sourceUid) {
+    values[IDENTITY_TAGS.sourceUid] = fields.sourceUid;
+  }
+  return values;
+}
+
+/**
+ * Tags events that are only identified by their description marker
+ * Only events still in the feed are tagged; the rest are about to be removed anyway
+ * @returns {number} Number of events tagged
+ */
+function adoptUntaggedEvents(feed, feedEvents, existingEvents) {
+  const feedEventMap = new Map();
+  feedEvents.forEach(event => feedEventMap.set(event.uid, event));
+
+  let adopted = 0;
+  existingEvents.forEach(event => {
+    if (hasIdentityTags(event)) return;
+
+    const feedEvent = feedEventMap.get(getEventIdentity(event, feed));
+    if (feedEvent) {
+      writeEventIdentity(event, buildEventFields(feedEvent, feed));
+      adopted++;
+    }
+  });
+
+  if (adopted > 0) {
+    console.log(`✓ Moved ${adopted} ${feed.label} events from description markers to identity tags`);
+  }
+  return adopted;
+}
@@ -0,0 +1,137 @@
+/**
+ * Reschedule-Aware Matching
+ * Stable UIDs include the start time (and usually the location), so a game moved by an hour or to
+ * another rink gets a new UID. Without help the sync would delete the old event and create a new
+ * one, losing reminders, guest responses and notes added in Google Calendar. buildSyncPlan pairs
+ * such leftovers here so the original event is updated instead:
+ *
+ * 1. Same source UID - the feed's own UID, when it identifies exactly one event on each side
+ * 2. Same day and same opponent ("vs Hawks", "@ Wolves"), or a similar title
+ *
+ * Set `rescheduleMatching: false` on a feed to turn this off.
+ * Events still carrying a pre-SHA-256 UID are paired by matchLegacyStableUIDs first, regardless.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+
+const MIN_TITLE_SIMILARITY = 0.6; // Share of title words in common for a fuzzy match
+
+/**
+ * Pairs feed events without a calendar event with calendar events no longer in the feed
+ * @param {Array} feedEvents - Unmatched feed events (would be created)
+ * @param {Array<CalendarEvent>} existingEvents - Unmatched calendar events (would be deleted)
+ * @returns {Array<{ feedEvent, existingEvent, matchedBy: string }>}
+ */
+function matchRescheduledEvents(feed, feedEvents, existingEvents) {
+  if (feed.rescheduleMatching === false || feedEvents.length === 0 || existingEvents.length === 0) {
+    return [];
+  }
+
+  const pairs = [];
+  let remainingFeed = feedEvents.slice();
+  let remainingExisting = existingEvents.slice();
+  const take = (feedEvent, existingEvent, matchedBy) => {
+    pairs.push({ feedEvent: feedEvent, existingEvent: existingEvent, matchedBy: matchedBy });
+    remainingFeed = remainingFeed.filter(event => event !== feedEvent);
+    remainingExisting = remainingExisting.filter(event => event !== existingEvent);
+  };
+
+  // 1. Source UID, only when unique on both sides (recurring events share one UID)
+  const countSourceUids = values => values.reduce((counts, value) => {
+    if (value) counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+  const feedCounts = countSourceUids(remainingFeed.map(event => event.originalUID));
+  const existingCounts = countSourceUids(remainingExisting.map(event => event.getTag(IDENTITY_TAGS.sourceUid)));
+
+  remainingFeed.slice().forEach(feedEvent => {
+    const sourceUid = feedEvent.originalUID;
+    if (!sourceUid || feedCounts[sourceUid] !== 1 || existingCounts[sourceUid] !== 1) return;
+    const existingEvent = remainingExisting.find(event => event.getTag(IDENTITY_TAGS.sourceUid) === sourceUid);
+    if (existingEvent) take(feedEvent, existingEvent, 'source-uid');
+  });
+
+  // 2. Same day and same opponent or similar title, best scores first
+  const candidates = [];
+  remainingFeed.forEach(feedEvent => {
+    remainingExisting.forEach(existingEvent => {
+      const score = scoreRescheduleMatch(feed, feedEvent, existingEvent);
+      if (score > 0) candidates.push({ feedEvent: feedEvent, existingEvent: existingEvent, score: score });
+    });
+  });
+
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      if (remainingFeed.includes(candidate.feedEvent) && remainingExisting.includes(candidate.existingEvent)) {
+        take(candidate.feedEvent, candidate.existingEvent, 'same-day');
+      }
+    });
+
+  return pairs;
+}
+
+/**
+ * Pairs feed events with calendar events synced under their old 32-bit UID (createLegacyStableUID)
+ * A legacy UID shared by several feed events is ambiguous and left to the other strategies
+ * @param {Map} existingEventMap - Calendar events by UID
+ */
+function matchLegacyStableUIDs(feed, feedEvents, existingEventMap) {
+  const byLegacyUid = new Map();
+  feedEvents.forEach(event => {
+    const legacyUid = createLegacyStableUID(event, feed);
+    byLegacyUid.set(legacyUid, byLegacyUid.has(legacyUid) ? null : event);
+  });
+
+  const pairs = [];
+  byLegacyUid.forEach((feedEvent, legacyUid) => {
+    const existingEvent = existingEventMap.get(legacyUid);
+    if (feedEvent && existingEvent) {
+      pairs.push({ feedEvent: feedEvent, existingEvent: existingEvent, matchedBy: 'legacy-uid' });
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Scores a possible pair: 0 for no match, 1 for the same opponent, else the title similarity
+ */
+function scoreRescheduleMatch(feed, feedEvent, existingEvent) {
+  const existingStart = existingEvent.isAllDayEvent() ? existingEvent.getAllDayStartDate() : existingEvent.getStartTime();
+  if (formatDateKey(existingStart) !== formatDateKey(feedEvent.startTime)) return 0;
+
+  const existingTitle = existingEvent.getTitle().startsWith(feed.prefix)
+    ? existingEvent.getTitle().substring(feed.prefix.length)
+    : existingEvent.getTitle();
+
+  const opponent = extractOpponent(feedEvent.title);
+  if (opponent && opponent === extractOpponent(existingTitle)) return 1;
+
+  const similarity = getTitleSimilarity(feedEvent.title, existingTitle);
+  return similarity >= MIN_TITLE_SIMILARITY ? similarity : 0;
+}
+
+/**
+ * Opponent named in a game title ("Game vs Hawks (Away)" → "hawks"), or null
+ * "at" is not a marker: "Practice at Westside Rink" names a place, not an opponent
+ */
+function extractOpponent(title) {
+  const match = /(?:^|\s)(?:vs\.?|versus|@)\s+(.+?)\s*(?:\(.*\))?$/i.exec(title || '');
+  return match ? match[1].toLowerCase().trim() : null;
+}
+
+/**
+ * Share of words two titles have in common (0 to 1)
+ */
+function getTitleSimilarity(a, b) {
+  const words = title => new Set((title || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word));
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let common = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) common++;
+  });
+  return common / (wordsA.size + wordsB.size - common);
+}
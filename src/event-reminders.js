@@ -0,0 +1,138 @@
+/**
+ * Event Reminders
+ * Without rules synced events get the calendar's default reminders. CONFIG.REMINDERS and a feed's
+ * `reminders` set them per event type (event-classifier.js), with 'default' for the rest:
+ *
+ *   reminders: {
+ *     practice: [90, { method: 'email', minutes: 720 }], // a number is a popup
+ *     default: [30]
+ *   }
+ *
+ * The event type beats 'default', and a feed's rules beat REMINDERS for the same key; an empty
+ * list means no reminders at all. The reminders a sync wrote are kept in the syncReminders tag,
+ * so reminders someone added by hand are left alone when the rules change.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: REMINDERS; per feed: reminders
+
+const REMINDER_TAG = 'syncReminders';
+const NO_REMINDERS = 'none'; // Tag value for an empty reminder list
+const MAX_REMINDER_MINUTES = 40320; // Four weeks, the Calendar limit
+
+// ============ RULES ============
+/**
+ * Reminders a feed event should have, as sorted 'popup:90' / 'email:720' strings,
+ * or null when no rule applies (calendar defaults)
+ */
+function getEventReminders(feed, feedEvent) {
+  const details = feedEvent.details || {};
+  const keys = [details.type, 'default'].filter(key => key);
+  const maps = [feed.reminders, CONFIG.REMINDERS].filter(map => map);
+
+  for (const key of keys) {
+    for (const map of maps) {
+      if (map[key] !== undefined && map[key] !== null) {
+        return normalizeReminders(map[key], feed);
+      }
+    }
+  }
+  return null;
+}
+
+function normalizeReminders(reminders, feed) {
+  const normalized = reminders.map(reminder => {
+    const method = typeof reminder === 'number' ? 'popup' : reminder.method;
+    const minutes = typeof reminder === 'number' ? reminder : reminder.minutes;
+    if ((method !== 'popup' && method !== 'email') || !Number.isInteger(minutes) ||
+        minutes < 0 || minutes > MAX_REMINDER_MINUTES) {
+      throw new Error(`Feed "${feed.name}" has an invalid reminder ${JSON.stringify(reminder)}. Use minutes or { method: 'popup' | 'email', minutes }.`);
+    }
+    return `${method}:${minutes}`;
+  });
+  return normalized.filter((reminder, index) => normalized.indexOf(reminder) === index).sort();
+}
+
+// ============ CALENDAR EVENTS ============
+function getCurrentReminders(event) {
+  return event.getPopupReminders().map(minutes => `popup:${minutes}`)
+    .concat(event.getEmailReminders().map(minutes => `email:${minutes}`))
+    .sort();
+}
+
+/**
+ * Reminders the last sync wrote, or null when it left the calendar defaults
+ */
+function getSyncedReminders(event) {
+  const tag = event.getTag(REMINDER_TAG);
+  if (!tag) return null;
+  return tag === NO_REMINDERS ? [] : tag.split(',');
+}
+
+/**
+ * Describes how the event's synced reminders differ from the rules, or null when they match
+ * Reminders added by hand are not compared
+ */
+function getReminderChange(existingEvent, reminders) {
+  const synced = getSyncedReminders(existingEvent);
+  if (reminders === null && synced === null) return null;
+
+  const current = getCurrentReminders(existingEvent);
+  const upToDate = reminders !== null && synced !== null &&
+    synced.join(',') === reminders.join(',') &&
+    reminders.every(reminder => current.includes(reminder));
+  if (upToDate) return null;
+
+  return {
+    before: synced === null ? 'calendar defaults' : synced.join(', ') || 'none',
+    after: reminders === null ? 'calendar defaults' : reminders.join(', ') || 'none'
+  };
+}
+
+/**
+ * Sets the event's reminders to the rules plus any added by hand
+ * @param {boolean} created - The event was just created (its reminders are the calendar defaults)
+ */
+function applyEventReminders(event, reminders, created) {
+  const synced = created ? null : getSyncedReminders(event);
+  if (reminders === null && synced === null) return;
+
+  const wanted = reminders || [];
+  const manual = created ? [] : getCurrentReminders(event).filter(reminder => !(synced || []).includes(reminder));
+  const target = wanted.concat(manual.filter(reminder => !wanted.includes(reminder)));
+
+  if (reminders === null && target.length === 0) {
+    event.resetRemindersToDefault();
+  } else {
+    event.removeAllReminders();
+    target.forEach(reminder => {
+      const parts = reminder.split(':');
+      const minutes = parseInt(parts[1], 10);
+      if (parts[0] === 'email') {
+        event.addEmailReminder(minutes);
+      } else {
+        event.addPopupReminder(minutes);
+      }
+    });
+  }
+
+  if (reminders === null) {
+    event.deleteTag(REMINDER_TAG);
+  } else {
+    event.setTag(REMINDER_TAG, reminders.join(',') || NO_REMINDERS);
+  }
+}
+
+/**
+ * Calendar API reminders resource (calendar-batch.js), or null to keep the calendar defaults
+ */
+function buildCalendarApiReminders(reminders) {
+  if (reminders === null) return null;
+  return {
+    useDefault: false,
+    overrides: reminders.map(reminder => {
+      const parts = reminder.split(':');
+      return { method: parts[0], minutes: parseInt(parts[1], 10) };
+    })
+  };
+}
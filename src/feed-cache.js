@@ -0,0 +1,87 @@
+/**
+ * Unchanged Feed Detection
+ * Remembers what each feed looked like at its last full sync so an identical feed can skip
+ * the calendar read/compare phase:
+ * - ETag / Last-Modified validators are sent as If-None-Match / If-Modified-Since
+ * - A 304 reuses the latest snapshot (feed-snapshots.js), since the window may still have moved;
+ *   validators are only kept when that snapshot holds the content they were sent with
+ * - Otherwise the normalized in-window event list is hashed and compared
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: FULL_SYNC_INTERVAL_HOURS (run a full compare at least this often, default 24)
+
+const DEFAULT_FULL_SYNC_INTERVAL_HOURS = 24;
+
+/**
+ * Returns the cached state of a feed's last full sync, or null
+ * @returns {{ etag, lastModified, hash, lastFullSync }|null}
+ */
+function getFeedCacheState(feed) {
+  const value = PropertiesService.getScriptProperties().getProperty(getFeedCacheKey(feed));
+  return value ? JSON.parse(value) : null;
+}
+
+function saveFeedCacheState(feed, state) {
+  PropertiesService.getScriptProperties().setProperty(getFeedCacheKey(feed), JSON.stringify(state));
+}
+
+/**
+ * Forgets a feed's cached state so its next sync does a full fetch and compare
+ * @param {string} name - Feed name (all feeds if omitted)
+ */
+function clearFeedCache(name) {
+  const feeds = typeof name === 'string' ? [getFeed(name)] : getFeeds();
+  feeds.forEach(feed => PropertiesService.getScriptProperties().deleteProperty(getFeedCacheKey(feed)));
+  console.log(`✓ Cleared feed cache for ${feeds.map(feed => feed.label).join(', ')}`);
+}
+
+function getFeedCacheKey(feed) {
+  return `feedCache_${feed.name}`;
+}
+
+/**
+ * Conditional request headers for the cached validators
+ */
+function getConditionalHeaders(cache) {
+  const headers = {};
+  if (cache && cache.etag) headers['If-None-Match'] = cache.etag;
+  if (cache && cache.lastModified) headers['If-Modified-Since'] = cache.lastModified;
+  return headers;
+}
+
+/**
+ * Hashes the in-window events as they would be written, including the feed settings that
+ * shape calendar events, so a prefix, marker, route, color or reminder change is never
+ * mistaken for "no changes"
+ */
+function computeFeedEventsHash(feed, events) {
+  return computeSnapshotHash(JSON.stringify({
+    prefix: feed.prefix,
+    uidMarker: feed.uidMarker,
+    calendars: events.map(event => getEventCalendarId(feed, event)),
+    colors: events.map(event => getEventColor(feed, event)),
+    reminders: events.map(event => getEventReminders(feed, event)),
+    events: events.map(serializeSnapshotEvent)
+  }));
+}
+
+/**
+ * True when the feed matches the last full sync and that sync is recent enough to trust
+ */
+function isFeedUnchanged(cache, feedHash) {
+  if (!cache || !cache.hash || cache.hash !== feedHash) return false;
+
+  const intervalHours = CONFIG.FULL_SYNC_INTERVAL_HOURS || DEFAULT_FULL_SYNC_INTERVAL_HOURS;
+  const age = new Date().getTime() - new Date(cache.lastFullSync).getTime();
+  return age < intervalHours * 60 * 60 * 1000;
+}
+
+/**
+ * Case-insensitive response header lookup (servers differ on "ETag" vs "Etag")
+ */
+function getResponseHeader(response, name) {
+  const headers = response.getHeaders() || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
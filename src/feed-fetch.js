@@ -0,0 +1,141 @@
+/**
+ * Feed Fetch Layer
+ * Every feed download goes through fetchWithRetry(): transient failures (5xx, 429, timeouts,
+ * DNS/network errors) are retried with exponential backoff, permanent ones (404, 401/403 from a
+ * revoked BenchApp link or an expired Team Manager token) fail immediately. Failures carry a
+ * classified type that is recorded in the feed's sync status.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: FETCH_RETRY ({ maxAttempts, initialDelayMs, maxDelayMs })
+
+const DEFAULT_FETCH_RETRY = {
+  maxAttempts: 3,
+  initialDelayMs: 2000,
+  maxDelayMs: 30000
+};
+
+const FETCH_FAILURE_DESCRIPTIONS = {
+  'unauthorized': 'Access denied - the feed link was revoked or its token expired',
+  'not-found': 'Feed URL no longer exists',
+  'client-error': 'Feed rejected the request',
+  'rate-limited': 'Feed server is rate limiting requests',
+  'server-error': 'Feed server error (temporary outage)',
+  'timeout': 'Request timed out',
+  'dns': 'Feed host could not be resolved',
+  'network': 'Network error',
+  'invalid-content': 'Response is not an ICS calendar',
+  'parse-error': 'ICS data could not be parsed'
+};
+
+const TRANSIENT_FETCH_FAILURES = ['rate-limited', 'server-error', 'timeout', 'dns', 'network'];
+
+/**
+ * Fetches a URL, retrying transient failures with exponential backoff
+ * HTTP errors never throw (muteHttpExceptions); the status code is classified instead
+ * @param {string} url - URL to fetch
+ * @param {Object} params - UrlFetchApp params (headers etc.)
+ * @returns {{ response: HTTPResponse|null, failure: Object|null, attempts: number }}
+ *   failure is { type, code, message, transient, attempts } when the fetch did not succeed
+ */
+function fetchWithRetry(url, params) {
+  const retry = Object.assign({}, DEFAULT_FETCH_RETRY, CONFIG.FETCH_RETRY || {});
+  const requestParams = Object.assign({}, params || {}, { muteHttpExceptions: true });
+
+  let failure = null;
+  for (let attempt = 1; attempt <= retry.maxAttempts; attempt++) {
+    let response = null;
+    try {
+      response = UrlFetchApp.fetch(url, requestParams);
+      failure = classifyHttpStatus(response.getResponseCode());
+    } catch (error) {
+      failure = classifyFetchException(error);
+    }
+
+    if (!failure) {
+      return { response: response, failure: null, attempts: attempt };
+    }
+
+    failure.attempts = attempt;
+    if (!failure.transient || attempt === retry.maxAttempts) break;
+
+    const delay = getRetryDelay(retry, attempt, response);
+    console.warn(`⚠️ Fetch attempt ${attempt} failed (${failure.type}: ${failure.message}) - retrying in ${delay / 1000}s`);
+    Utilities.sleep(delay);
+  }
+
+  return { response: null, failure: failure, attempts: failure.attempts };
+}
+
+/**
+ * Classifies an HTTP status code; null means success (2xx or 304)
+ */
+function classifyHttpStatus(code) {
+  if ((code >= 200 && code < 300) || code === 304) return null;
+
+  let type;
+  if (code === 401 || code === 403) {
+    type = 'unauthorized';
+  } else if (code === 404 || code === 410) {
+    type = 'not-found';
+  } else if (code === 429) {
+    type = 'rate-limited';
+  } else if (code === 408) {
+    type = 'timeout';
+  } else if (code >= 500) {
+    type = 'server-error';
+  } else {
+    type = 'client-error';
+  }
+  return createFetchFailure(type, `HTTP ${code}`, code);
+}
+
+/**
+ * Classifies an exception thrown by UrlFetchApp.fetch
+ */
+function classifyFetchException(error) {
+  const message = String(error && error.message || error);
+
+  let type = 'network';
+  if (/timed? ?out|timeout/i.test(message)) {
+    type = 'timeout';
+  } else if (/DNS|unknown host|Address unavailable|resolve/i.test(message)) {
+    type = 'dns';
+  }
+  return createFetchFailure(type, message, null);
+}
+
+/**
+ * Builds a failure record; also used for content problems found after a successful fetch
+ */
+function createFetchFailure(type, message, code) {
+  return {
+    type: type,
+    code: code,
+    message: message,
+    transient: TRANSIENT_FETCH_FAILURES.includes(type),
+    attempts: 1
+  };
+}
+
+/**
+ * Human-readable explanation of a failure, e.g. for logs and status
+ */
+function describeFetchFailure(failure) {
+  const description = FETCH_FAILURE_DESCRIPTIONS[failure.type] || failure.type;
+  return `${description} (${failure.message}${failure.attempts > 1 ? `, ${failure.attempts} attempts` : ''})`;
+}
+
+/**
+ * Backoff delay before the next attempt; a short Retry-After from a 429/503 wins
+ */
+function getRetryDelay(retry, attempt, response) {
+  const backoff = Math.min(retry.initialDelayMs * Math.pow(2, attempt - 1), retry.maxDelayMs);
+  if (!response) return backoff;
+
+  const retryAfter = parseInt(getResponseHeader(response, 'Retry-After'), 10);
+  if (!isNaN(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, retry.maxDelayMs);
+  }
+  return backoff;
+}
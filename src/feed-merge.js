@@ -0,0 +1,108 @@
+/**
+ * Shared Events Across Feeds
+ * Feeds with the same `mergeGroup` (e.g. one BenchApp feed per child and team) often list the same
+ * event - a tournament game two of the kids play in. It is created once, by the first feed in CONFIG
+ * order that lists it, with every team noted; the other feeds leave it out of their sync.
+ *
+ * The other feeds' events come from their latest snapshot (feed-snapshots.js), so a game that just
+ * appeared in a second feed is merged on that feed's next sync. When that removes the second feed's
+ * own copy, the removal is marked as handed over so nobody is told the game was canceled.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Per-feed keys: mergeGroup, child, team (see examples/sample-config.js)
+
+// ============ MERGING ============
+/**
+ * Drops events an earlier feed of the merge group already syncs and notes the other teams on
+ * events this feed syncs for several of them
+ * @param {Array} events - In-window events of the feed being synced
+ * @returns {{ events: Array, handedOver: Object }} Events this feed should sync, and the UIDs of
+ *   the ones left to an earlier feed mapped to that feed's name
+ */
+function mergeSharedEvents(feed, events) {
+  const unmerged = { events: events, handedOver: {} };
+  if (!feed.mergeGroup) return unmerged;
+
+  const members = getFeeds().filter(member => member.enabled && member.mergeGroup === feed.mergeGroup);
+  const position = members.findIndex(member => member.name === feed.name);
+  if (members.length < 2 || position < 0) return unmerged;
+
+  const others = [];
+  members.forEach((member, index) => {
+    if (index === position) return;
+    const snapshotEvents = loadLatestSnapshotEvents(member);
+    if (!snapshotEvents) {
+      console.warn(`⚠️ No snapshot of ${member.label} yet - events shared with it are merged after its next sync`);
+      return;
+    }
+    others.push({ feed: member, earlier: index < position, events: filterEventsToWindow(member, snapshotEvents) });
+  });
+
+  const merged = [];
+  const handedOver = {};
+  let shared = 0;
+  events.forEach(event => {
+    const sharing = others.filter(other => other.events.some(otherEvent => isSameSharedEvent(event, otherEvent)));
+    const earlier = sharing.find(other => other.earlier);
+    if (earlier) {
+      handedOver[event.uid] = earlier.feed.name;
+    } else if (sharing.length > 0) {
+      merged.push(annotateSharedEvent(event, feed, sharing.map(other => other.feed)));
+      shared++;
+    } else {
+      merged.push(event);
+    }
+  });
+
+  const handedOverCount = Object.keys(handedOver).length;
+  if (handedOverCount > 0 || shared > 0) {
+    console.log(`✓ ${feed.label}: ${shared} events shared with other ${feed.mergeGroup} feeds, ${handedOverCount} left to the feed listed first`);
+  }
+  return { events: merged, handedOver: handedOver };
+}
+
+/**
+ * True when two feeds list the same event: same start, no conflicting rink, and the same opponent
+ * or a similar title (the two teams may be each other's opponent, so titles alone can differ)
+ * Two different rinks are always two events: both teams can play at 10 AM on opposite sides of town.
+ * The same rink isn't enough either: a goalie clinic and a practice can share the ice at 10 AM.
+ */
+function isSameSharedEvent(a, b) {
+  if (a.startTime.getTime() !== b.startTime.getTime() || !!a.allDay !== !!b.allDay) return false;
+
+  const location = value => (value || '').trim().toLowerCase();
+  if (location(a.location) && location(b.location) && location(a.location) !== location(b.location)) {
+    return false;
+  }
+
+  const opponent = extractOpponent(a.title);
+  if (opponent && opponent === extractOpponent(b.title)) return true;
+
+  return getTitleSimilarity(a.title, b.title) >= MIN_TITLE_SIMILARITY;
+}
+
+/**
+ * Copy of the event noting every team that plays it
+ * Title: "Tournament Game (+ Alex)"; description starts with "Teams: Sam – House League, Alex – Travel"
+ */
+function annotateSharedEvent(event, feed, sharingFeeds) {
+  const participants = [feed].concat(sharingFeeds);
+  const otherChildren = [];
+  sharingFeeds.forEach(other => {
+    if (other.child && other.child !== feed.child && !otherChildren.includes(other.child)) {
+      otherChildren.push(other.child);
+    }
+  });
+
+  const teams = `Teams: ${participants.map(describeMergeMember).join(', ')}`;
+  return Object.assign({}, event, {
+    title: otherChildren.length > 0 ? `${event.title} (+ ${otherChildren.join(' & ')})` : event.title,
+    description: event.description ? `${teams}\n\n${event.description}` : teams
+  });
+}
+
+function describeMergeMember(feed) {
+  if (feed.child && feed.team) return `${feed.child} – ${feed.team}`;
+  return feed.child || feed.team || feed.label;
+}
@@ -0,0 +1,381 @@
+/**
+ * Last-Known-Good Feed Snapshots
+ * Every successful fetch is kept as a gzip-compressed snapshot in script properties
+ * (split into chunks under the 9 KB per-value limit) with its timestamp and hash.
+ *
+ * - A failed fetch compares the calendar against the last snapshot (read-only)
+ * - diffSnapshots() shows what changed between two snapshots
+ * - restoreSnapshot() syncs the calendar back to a snapshot (planOnly supported)
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: SNAPSHOT_RETENTION (snapshots kept per feed, 0 disables snapshots),
+// SNAPSHOT_BUDGET_BYTES (compressed size of all feeds' snapshots together)
+
+const DEFAULT_SNAPSHOT_RETENTION = 5;
+const SNAPSHOT_CHUNK_SIZE = 8000; // Characters of base64 data, which is ASCII: one byte each
+const MAX_SNAPSHOT_CHUNKS = 8; // ~64 KB of compressed data per snapshot
+const DEFAULT_SNAPSHOT_BUDGET_BYTES = 250000; // Half the ~500 KB script properties quota; sync state needs the rest
+
+// ============ SAVING ============
+/**
+ * Stores the parsed events of a successful fetch
+ * An identical feed only refreshes the latest snapshot's lastSeenAt
+ * @returns {Object|null} Snapshot metadata, or null if snapshots are disabled or it was too large
+ */
+function saveFeedSnapshot(feed, feedEvents) {
+  const retention = getSnapshotRetention();
+  if (retention === 0) return null;
+
+  try {
+    const json = JSON.stringify(feedEvents.map(serializeSnapshotEvent));
+    const hash = computeSnapshotHash(json);
+    let index = getSnapshotIndex(feed);
+    const now = new Date().toISOString();
+
+    const latest = index[index.length - 1];
+    if (latest && latest.hash === hash) {
+      latest.lastSeenAt = now;
+      saveSnapshotIndex(feed, index);
+      return latest;
+    }
+
+    const compressed = Utilities.base64Encode(
+      Utilities.gzip(Utilities.newBlob(json, 'application/json')).getBytes()
+    );
+    const chunkCount = Math.ceil(compressed.length / SNAPSHOT_CHUNK_SIZE);
+    if (chunkCount > MAX_SNAPSHOT_CHUNKS) {
+      console.warn(`⚠️ ${feed.label} snapshot is too large to store (${compressed.length} bytes compressed) - skipped`);
+      return null;
+    }
+
+    if (!pruneSnapshotsForBudget(feed, compressed.length)) {
+      console.warn(`⚠️ ${feed.label} snapshot doesn't fit in SNAPSHOT_BUDGET_BYTES (${compressed.length} bytes compressed) - skipped`);
+      return null;
+    }
+
+    const snapshot = {
+      id: `${Date.now()}`,
+      takenAt: now,
+      lastSeenAt: now,
+      hash: hash,
+      eventCount: feedEvents.length,
+      chunks: chunkCount,
+      bytes: compressed.length
+    };
+
+    const properties = {};
+    for (let i = 0; i < chunkCount; i++) {
+      properties[getSnapshotChunkKey(feed, snapshot.id, i)] =
+        compressed.substring(i * SNAPSHOT_CHUNK_SIZE, (i + 1) * SNAPSHOT_CHUNK_SIZE);
+    }
+    PropertiesService.getScriptProperties().setProperties(properties);
+
+    // Pruning may have removed some of this feed's snapshots
+    index = getSnapshotIndex(feed);
+    index.push(snapshot);
+    while (index.length > retention) {
+      deleteSnapshotChunks(feed, index.shift());
+    }
+    saveSnapshotIndex(feed, index);
+
+    console.log(`✓ Saved ${feed.label} snapshot ${snapshot.id} (${snapshot.eventCount} events)`);
+    return snapshot;
+
+  } catch (error) {
+    // A snapshot is a safety net; it must never fail the sync itself
+    console.warn(`⚠️ Could not save ${feed.label} snapshot:`, error);
+    return null;
+  }
+}
+
+// ============ READING ============
+/**
+ * Lists the stored snapshots of a feed, oldest first
+ * @param {string} name - Feed name (default: 'hockey')
+ */
+function listSnapshots(name = 'hockey') {
+  const feed = getFeed(name);
+  const index = getSnapshotIndex(feed);
+
+  console.log(`=== ${feed.label} snapshots (${index.length}) ===`);
+  index.forEach(snapshot => {
+    console.log(`${snapshot.id}: ${snapshot.eventCount} events, taken ${snapshot.takenAt}, last seen ${snapshot.lastSeenAt}`);
+  });
+
+  return index;
+}
+
+/**
+ * Loads a snapshot's events (dates restored as Date objects)
+ * @param {string} snapshotId - Snapshot id (default: the latest)
+ * @returns {{ snapshot: Object, events: Array }}
+ */
+function loadFeedSnapshot(feed, snapshotId) {
+  const index = getSnapshotIndex(feed);
+  const snapshot = snapshotId
+    ? index.find(entry => entry.id === String(snapshotId))
+    : index[index.length - 1];
+
+  if (!snapshot) {
+    throw new Error(snapshotId
+      ? `Snapshot ${snapshotId} not found for feed "${feed.name}".`
+      : `No snapshots stored for feed "${feed.name}" yet.`);
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  let compressed = '';
+  for (let i = 0; i < snapshot.chunks; i++) {
+    const chunk = properties.getProperty(getSnapshotChunkKey(feed, snapshot.id, i));
+    if (chunk === null) {
+      throw new Error(`Snapshot ${snapshot.id} of feed "${feed.name}" is incomplete (chunk ${i} missing).`);
+    }
+    compressed += chunk;
+  }
+
+  const blob = Utilities.newBlob(Utilities.base64Decode(compressed), 'application/x-gzip');
+  const json = Utilities.ungzip(blob).getDataAsString();
+
+  return {
+    snapshot: snapshot,
+    // UIDs are recomputed so snapshots taken before a UID scheme change still match, and
+    // snapshots from before event classification are classified on load
+    events: JSON.parse(json).map(deserializeSnapshotEvent).map(event =>
+      Object.assign(event, {
+        uid: createStableUID(event, feed),
+        details: event.details === undefined ? classifyEvent(event, feed) : event.details
+      })
+    )
+  };
+}
+
+/**
+ * Events of the latest snapshot, or null when there is none (or it can't be read)
+ */
+function loadLatestSnapshotEvents(feed) {
+  if (getSnapshotRetention() === 0 || getSnapshotIndex(feed).length === 0) return null;
+  try {
+    return loadFeedSnapshot(feed).events;
+  } catch (error) {
+    console.warn(`⚠️ Could not read the latest ${feed.label} snapshot:`, error);
+    return null;
+  }
+}
+
+/**
+ * Shows what changed between two snapshots of a feed, matched by stable UID
+ * @param {string} name - Feed name (default: 'hockey')
+ * @param {string} fromId - Older snapshot id (default: second to last)
+ * @param {string} toId - Newer snapshot id (default: latest)
+ * @returns {{ added: Array, removed: Array, changed: Array }}
+ */
+function diffSnapshots(name = 'hockey', fromId, toId) {
+  const feed = getFeed(name);
+  const index = getSnapshotIndex(feed);
+  if (!fromId && index.length < 2) {
+    throw new Error(`Feed "${feed.name}" needs at least two snapshots to compare.`);
+  }
+
+  const from = loadFeedSnapshot(feed, fromId || index[index.length - 2].id);
+  const to = loadFeedSnapshot(feed, toId || index[index.length - 1].id);
+
+  const fromMap = new Map(from.events.map(event => [event.uid, event]));
+  const toMap = new Map(to.events.map(event => [event.uid, event]));
+  const diff = { added: [], removed: [], changed: [] };
+
+  to.events.forEach(event => {
+    const previous = fromMap.get(event.uid);
+    if (!previous) {
+      diff.added.push(event);
+      return;
+    }
+    const fields = ['title', 'startTime', 'endTime', 'allDay', 'location', 'description'].filter(field =>
+      JSON.stringify(previous[field]) !== JSON.stringify(event[field])
+    );
+    if (fields.length > 0) {
+      diff.changed.push({
+        uid: event.uid,
+        title: event.title,
+        changes: fields.map(field => ({ field: field, before: previous[field], after: event[field] }))
+      });
+    }
+  });
+  from.events.forEach(event => {
+    if (!toMap.has(event.uid)) diff.removed.push(event);
+  });
+
+  console.log(`=== ${feed.label} snapshot ${from.snapshot.id} → ${to.snapshot.id} ===`);
+  diff.added.forEach(event => console.log(`+ "${event.title}" on ${event.startTime.toDateString()}`));
+  diff.removed.forEach(event => console.log(`- "${event.title}" on ${event.startTime.toDateString()}`));
+  diff.changed.forEach(change => {
+    console.log(`~ "${change.title}"`);
+    change.changes.forEach(c => console.log(`    ${c.field}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`));
+  });
+  console.log(`=== ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed ===`);
+
+  return diff;
+}
+
+// ============ USING SNAPSHOTS ============
+/**
+ * Read-only comparison of the calendar against the last snapshot, used when a fetch fails
+ * Never throws: the caller is already handling a failure
+ */
+function compareWithLastSnapshot(feed) {
+  try {
+    if (getSnapshotIndex(feed).length === 0) {
+      console.log(`No ${feed.label} snapshot to compare against`);
+      return null;
+    }
+
+    const loaded = loadFeedSnapshot(feed);
+    const plan = buildSyncPlan(feed, filterEventsToWindow(feed, loaded.events), getAllFeedEvents(feed));
+    const summary = plan.summary;
+
+    console.log(`Last-known-good ${feed.label} snapshot from ${loaded.snapshot.lastSeenAt} (read-only comparison):`);
+    console.log(`  ${summary.unchanged} match, ${summary.update} differ, ${summary.create} missing from calendar, ${summary.delete} not in snapshot`);
+    return plan;
+
+  } catch (error) {
+    console.warn(`⚠️ Could not compare with the last ${feed.label} snapshot:`, error);
+    return null;
+  }
+}
+
+/**
+ * Syncs the calendar back to a snapshot: events are created, updated and removed as if the
+ * feed still looked like it did then. The mass-deletion safety check still applies.
+ * @param {string} name - Feed name
+ * @param {string} snapshotId - Snapshot id from listSnapshots() (default: the latest)
+ * @param {Object} options - { planOnly: true } returns the plan without touching the calendar
+ */
+function restoreSnapshot(name, snapshotId, options) {
+  const feed = getFeed(name);
+  const loaded = loadFeedSnapshot(feed, snapshotId);
+
+  console.log(`=== Restoring ${feed.label} calendar to snapshot ${loaded.snapshot.id} (${loaded.snapshot.takenAt}) ===`);
+
+  const calendar = getRoutedCalendar(feed.calendarId);
+  // Events shared with an earlier feed of the mergeGroup stay with that feed, as in a sync
+  const merge = mergeSharedEvents(feed, filterEventsToWindow(feed, loaded.events));
+  const snapshotEvents = merge.events;
+  const existingEvents = getAllFeedEvents(feed);
+
+  if (options && options.planOnly === true) {
+    const plan = buildSyncPlan(feed, snapshotEvents, existingEvents);
+    logSyncPlan(plan);
+    return plan;
+  }
+
+  startSyncBudget();
+  const results = processEvents(calendar, feed, snapshotEvents, existingEvents, merge.handedOver);
+  // The calendar now follows the snapshot, not the live feed: the next sync must compare in full
+  clearFeedCache(feed.name);
+  sendChangeDigest();
+  console.log(`=== Restore Complete: ${results.added} added, ${results.updated} updated, ${results.removed} removed, ${results.unchanged} unchanged ===`);
+  return results;
+}
+
+// ============ STORAGE ============
+function getSnapshotRetention() {
+  return CONFIG.SNAPSHOT_RETENTION !== undefined ? CONFIG.SNAPSHOT_RETENTION : DEFAULT_SNAPSHOT_RETENTION;
+}
+
+function getSnapshotBudget() {
+  return CONFIG.SNAPSHOT_BUDGET_BYTES !== undefined ? CONFIG.SNAPSHOT_BUDGET_BYTES : DEFAULT_SNAPSHOT_BUDGET_BYTES;
+}
+
+/**
+ * Makes room for a new snapshot of `bytes` by deleting the oldest snapshots of any feed, including
+ * feeds no longer in CONFIG. The latest snapshot of every other feed is kept: merging and failed
+ * fetches rely on it.
+ * @returns {boolean} False if the snapshot can't fit
+ */
+function pruneSnapshotsForBudget(feed, bytes) {
+  const budget = getSnapshotBudget();
+  const indexes = {};
+  let stored = [];
+  Object.keys(PropertiesService.getScriptProperties().getProperties()).forEach(key => {
+    if (!key.startsWith('snapshots_')) return;
+    const name = key.substring('snapshots_'.length);
+    indexes[name] = getSnapshotIndex({ name: name });
+    stored = stored.concat(indexes[name].map(snapshot => ({ name: name, snapshot: snapshot })));
+  });
+
+  let total = stored.reduce((sum, entry) => sum + getSnapshotBytes(entry.snapshot), 0);
+  if (total + bytes <= budget) return true;
+
+  const prunable = stored
+    .filter(entry => entry.name === feed.name || entry.snapshot !== indexes[entry.name][indexes[entry.name].length - 1])
+    .sort((a, b) => a.snapshot.takenAt.localeCompare(b.snapshot.takenAt));
+  const kept = prunable.reduce((sum, entry) => sum + getSnapshotBytes(entry.snapshot), 0);
+  if (total - kept + bytes > budget) return false;
+
+  const pruned = new Set();
+  while (total + bytes > budget) {
+    const oldest = prunable.shift();
+    deleteSnapshotChunks({ name: oldest.name }, oldest.snapshot);
+    indexes[oldest.name] = indexes[oldest.name].filter(snapshot => snapshot !== oldest.snapshot);
+    total -= getSnapshotBytes(oldest.snapshot);
+    pruned.add(oldest.name);
+  }
+  pruned.forEach(name => saveSnapshotIndex({ name: name }, indexes[name]));
+  console.log(`✓ Pruned old snapshots of ${Array.from(pruned).join(', ')} to stay within SNAPSHOT_BUDGET_BYTES`);
+  return true;
+}
+
+/**
+ * Compressed size; snapshots saved before sizes were recorded count as full chunks
+ */
+function getSnapshotBytes(snapshot) {
+  return snapshot.bytes || snapshot.chunks * SNAPSHOT_CHUNK_SIZE;
+}
+
+function getSnapshotIndexKey(feed) {
+  return `snapshots_${feed.name}`;
+}
+
+function getSnapshotChunkKey(feed, snapshotId, chunk) {
+  return `snapshot_${feed.name}_${snapshotId}_${chunk}`;
+}
+
+function getSnapshotIndex(feed) {
+  const value = PropertiesService.getScriptProperties().getProperty(getSnapshotIndexKey(feed));
+  return value ? JSON.parse(value) : [];
+}
+
+function saveSnapshotIndex(feed, index) {
+  PropertiesService.getScriptProperties().setProperty(getSnapshotIndexKey(feed), JSON.stringify(index));
+}
+
+function deleteSnapshotChunks(feed, snapshot) {
+  const properties = PropertiesService.getScriptProperties();
+  for (let i = 0; i < snapshot.chunks; i++) {
+    properties.deleteProperty(getSnapshotChunkKey(feed, snapshot.id, i));
+  }
+}
+
+function computeSnapshotHash(json) {
+  return Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, json));
+}
+
+function serializeSnapshotEvent(event) {
+  return {
+    uid: event.uid,
+    originalUID: event.originalUID || '',
+    title: event.title,
+    startTime: event.startTime.toISOString(),
+    endTime: event.endTime ? event.endTime.toISOString() : null,
+    allDay: !!event.allDay,
+    location: event.location || '',
+    description: event.description || '',
+    details: event.details || null
+  };
+}
+
+function deserializeSnapshotEvent(event) {
+  return Object.assign({}, event, {
+    startTime: new Date(event.startTime),
+    endTime: event.endTime ? new Date(event.endTime) : null
+  });
+}
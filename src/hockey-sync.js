@@ -13,360 +13,48 @@
 // Configuration is imported from config.js file (config.gs in Google Apps Script)
 
 
-// ============ STABLE UID GENERATION ============
-/**
- * Create a stable UID based on event content instead of BenchApp's changing UIDs
- */
-function createStableUID(event) {
-  const title = (event.title || '').trim();
-  const startTime = event.startTime ? event.startTime.getTime().toString() : '';
-  const location = (event.location || '').trim();
-  
-  const stableString = `${title}|${startTime}|${location}`;
-  
-  let hash = 0;
-  for (let i = 0; i < stableString.length; i++) {
-    const char = stableString.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  
-  const positiveHash = Math.abs(hash);
-  return `benchapp-stable-${positiveHash}`;
-}
-
 // ============ MAIN SYNC FUNCTION ============
 /**
- * Main synchronization function
+ * Main synchronization function - the fetch/parse/sync pipeline lives in sync-engine.js
+ * Pass { planOnly: true } to get the planned changes without touching the calendar (see applyPlan)
+ * With several hockey feeds (one per child and team) all of them are synced, and results are per feed
  */
-function syncHockeyCalendar() {
-  try {
-    console.log(`=== Hockey Calendar Sync Started at ${new Date().toISOString()} ===`);
-    
-    const familyCalendar = CalendarApp.getCalendarById(CONFIG.FAMILY_CALENDAR_ID);
-    if (!familyCalendar) {
-      throw new Error('Family calendar not found. Check your FAMILY_CALENDAR_ID.');
-    }
-    
-    const hockeyEvents = fetchHockeyEvents();
-    
-    // CRITICAL: Don't proceed if fetch failed
-    if (hockeyEvents === null) {
-      console.error('❌ Cannot fetch BenchApp data - aborting sync to prevent data loss');
-      throw new Error('BenchApp fetch failed - sync aborted for safety');
-    }
-    
-    console.log(`✓ Fetched ${hockeyEvents.length} hockey events from BenchApp`);
-
-    // Additional safety check
-    if (hockeyEvents.length === 0) {
-      console.warn('⚠️ Zero events fetched - this is unusual. Checking if this is expected...');
-      // You might want to add additional logic here to confirm this is intentional
-    }
-
-    // CRITICAL FIX: Filter events to only those within our sync window
-    // This prevents duplicates for past events outside the lookback window
-    const now = new Date();
-    const windowStart = new Date(now.getTime() - (CONFIG.DAYS_LOOKBACK * 24 * 60 * 60 * 1000));
-    const windowEnd = new Date(now.getTime() + (CONFIG.DAYS_LOOKAHEAD * 24 * 60 * 60 * 1000));
-
-    const filteredHockeyEvents = hockeyEvents.filter(event =>
-      event.startTime >= windowStart && event.startTime <= windowEnd
-    );
-
-    const filteredOut = hockeyEvents.length - filteredHockeyEvents.length;
-    if (filteredOut > 0) {
-      console.log(`✓ Filtered out ${filteredOut} events outside sync window (${CONFIG.DAYS_LOOKBACK} days back, ${CONFIG.DAYS_LOOKAHEAD} days ahead)`);
-    }
-
-    // Rest of your sync logic...
-    const existingEvents = getExistingHockeyEvents(familyCalendar);
-    console.log(`✓ Found ${existingEvents.length} existing hockey events in family calendar`);
-    
-    const results = processEvents(familyCalendar, filteredHockeyEvents, existingEvents);
-    
-    // ... rest unchanged
-    
-  } catch (error) {
-    console.error('❌ Sync failed:', error);
-    throw error;
+function syncHockeyCalendar(options) {
+  const feeds = getHockeyFeeds();
+  if (feeds.length === 1 && feeds[0].name === 'hockey') {
+    return syncFeed('hockey', options);
   }
+  return syncFeeds(feeds, options);
 }
 
-// ============ FETCH HOCKEY EVENTS ============
 /**
- * Fetches and parses events from the hockey calendar URL
+ * Enabled hockey feeds: the 'hockey' feed and every feed in mergeGroup 'hockey'
  */
-function fetchHockeyEvents() {
-  try {
-    const response = UrlFetchApp.fetch(CONFIG.HOCKEY_CALENDAR_URL);
-    
-    // Check if we got a valid response
-    if (response.getResponseCode() !== 200) {
-      console.error(`BenchApp returned error code: ${response.getResponseCode()}`);
-      console.error('Response:', response.getContentText());
-      throw new Error(`BenchApp server error: ${response.getResponseCode()}`);
-    }
-    
-    const icsData = response.getContentText();
-    
-    // Check if we got actual ICS data
-    if (!icsData || !icsData.includes('BEGIN:VCALENDAR')) {
-      console.error('Invalid ICS data received from BenchApp');
-      throw new Error('Invalid calendar data from BenchApp');
-    }
-    
-    const events = parseICSData(icsData);
-    
-    // Sanity check - if we normally have events but get 0, something's wrong
-    if (events.length === 0) {
-      console.warn('⚠️ WARNING: Fetched 0 events from BenchApp - this might indicate a server issue');
-      console.warn('Previous syncs typically found events. Proceeding cautiously...');
-    }
-    
-    return events;
-    
-  } catch (error) {
-    console.error('Failed to fetch hockey calendar:', error);
-    
-    // CRITICAL: Return null to indicate failure, not empty array
-    return null;
-  }
-}
-
-/**
- * Basic ICS parser - extracts events from ICS format
- */
-function parseICSData(icsData) {
-  const events = [];
-  const eventBlocks = icsData.split('BEGIN:VEVENT');
-  
-  for (let i = 1; i < eventBlocks.length; i++) {
-    const eventBlock = eventBlocks[i].split('END:VEVENT')[0];
-    const event = parseEventBlock(eventBlock);
-    if (event) {
-      events.push(event);
-    }
-  }
-  
-  return events;
-}
-
-/**
- * Parses individual event block from ICS data with stable UID generation
- */
-function parseEventBlock(eventBlock) {
-  const lines = eventBlock.split('\n').map(line => line.trim()).filter(line => line);
-  const event = {};
-  
-  for (const line of lines) {
-    if (line.startsWith('UID:')) {
-      event.originalUID = line.substring(4).trim();
-    } else if (line.startsWith('SUMMARY:')) {
-      event.title = line.substring(8).trim();
-    } else if (line.startsWith('DTSTART')) {
-      event.startTime = parseICSDateTime(line);
-    } else if (line.startsWith('DTEND')) {
-      event.endTime = parseICSDateTime(line);
-    } else if (line.startsWith('LOCATION:')) {
-      // FIXED: Clean up escaped characters in location
-      const rawLocation = line.substring(9).trim();
-      event.location = cleanLocationString(rawLocation);
-    } else if (line.startsWith('DESCRIPTION:')) {
-      event.description = line.substring(12).trim();
-    }
-  }
-  
-  if (event.title && event.startTime) {
-    event.uid = createStableUID(event);
-    return event;
+function getHockeyFeeds() {
+  const feeds = getFeeds().filter(feed =>
+    feed.enabled && (feed.name === 'hockey' || feed.mergeGroup === 'hockey')
+  );
+  if (feeds.length === 0) {
+    throw new Error('No hockey feed configured. Add a feed named "hockey" or with mergeGroup: \'hockey\' to CONFIG.FEEDS.');
   }
-  
-  return null;
+  return feeds;
 }
 
 /**
- * Clean up location string by unescaping ICS escaped characters
+ * Fetches and parses events from a hockey feed (null on failure)
+ * @param {string} name - Feed name (default: the first hockey feed)
  */
-function cleanLocationString(location) {
-  if (!location) return '';
-  
-  return location
-    .replace(/\\n/g, '\n')        // Convert \n to actual line breaks
-    .replace(/\\,/g, ',')         // Convert \, to regular commas  
-    .replace(/\\\\/g, '\\')       // Convert \\ to single backslash
-    .replace(/\\;/g, ';')         // Convert \; to regular semicolons
-    .trim();
-}
-
-/**
- * Parses ICS datetime format to JavaScript Date
- */
-function parseICSDateTime(line) {
-  const dateMatch = line.match(/(\d{8}T\d{6})/);
-  if (dateMatch) {
-    const dateStr = dateMatch[1];
-    const year = parseInt(dateStr.substring(0, 4));
-    const month = parseInt(dateStr.substring(4, 6)) - 1;
-    const day = parseInt(dateStr.substring(6, 8));
-    const hour = parseInt(dateStr.substring(9, 11));
-    const minute = parseInt(dateStr.substring(11, 13));
-    const second = parseInt(dateStr.substring(13, 15));
-    
-    return new Date(year, month, day, hour, minute, second);
-  }
-  return null;
+function fetchHockeyEvents(name) {
+  return fetchFeedEvents(name ? getFeed(name) : getHockeyFeeds()[0]);
 }
 
 // ============ CALENDAR MANAGEMENT ============
 /**
  * Gets existing hockey events from the family calendar
+ * @param {string} name - Feed name (default: the first hockey feed)
  */
-function getExistingHockeyEvents(calendar) {
-  const now = new Date();
-  const startDate = new Date(now.getTime() - (CONFIG.DAYS_LOOKBACK * 24 * 60 * 60 * 1000));
-  const endDate = new Date(now.getTime() + (CONFIG.DAYS_LOOKAHEAD * 24 * 60 * 60 * 1000));
-  
-  const events = calendar.getEvents(startDate, endDate);
-  return events.filter(event => 
-    event.getTitle().startsWith(CONFIG.EVENT_PREFIX) &&
-    event.getDescription() && 
-    event.getDescription().includes('Hockey-UID:')
-  );
-}
-
-/**
- * Process events - simplified version without complex batching
- */
-function processEvents(familyCalendar, hockeyEvents, existingEvents) {
-  const results = { added: 0, updated: 0, removed: 0, unchanged: 0 };
-  
-  // Create lookup maps
-  const hockeyEventMap = new Map();
-  hockeyEvents.forEach(event => hockeyEventMap.set(event.uid, event));
-  
-  const existingEventMap = new Map();
-  existingEvents.forEach(event => {
-    const uid = extractUIDFromDescription(event.getDescription());
-    if (uid) {
-      existingEventMap.set(uid, event);
-    }
-  });
-  
-  console.log(`Matching ${hockeyEventMap.size} BenchApp events against ${existingEventMap.size} existing events`);
-  
-  // Process hockey events (add or update)
-  hockeyEvents.forEach(hockeyEvent => {
-    const existingEvent = existingEventMap.get(hockeyEvent.uid);
-    
-    if (existingEvent) {
-      if (needsUpdate(existingEvent, hockeyEvent)) {
-        updateEvent(existingEvent, hockeyEvent);
-        results.updated++;
-        Utilities.sleep(300); // Rate limiting
-      } else {
-        results.unchanged++;
-      }
-    } else {
-      createEvent(familyCalendar, hockeyEvent);
-      results.added++;
-      Utilities.sleep(300); // Rate limiting
-    }
-  });
-  
-  // Remove events that no longer exist in BenchApp
-  existingEvents.forEach(existingEvent => {
-    const uid = extractUIDFromDescription(existingEvent.getDescription());
-    if (uid && !hockeyEventMap.has(uid)) {
-      console.log(`Removing: "${existingEvent.getTitle()}" (UID: ${uid})`);
-      existingEvent.deleteEvent();
-      results.removed++;
-      Utilities.sleep(300); // Rate limiting
-    }
-  });
-  
-  return results;
-}
-
-/**
- * Creates a new event in the family calendar
- */
-function createEvent(calendar, hockeyEvent) {
-  const title = CONFIG.EVENT_PREFIX + hockeyEvent.title;
-  const endTime = hockeyEvent.endTime || new Date(hockeyEvent.startTime.getTime() + 2 * 60 * 60 * 1000);
-  const description = (hockeyEvent.description || '').trim() + 
-    (hockeyEvent.description ? '\n\n' : '') + 
-    `Hockey-UID: ${hockeyEvent.uid}`;
-  
-  calendar.createEvent(
-    title,
-    hockeyEvent.startTime,
-    endTime,
-    {
-      description: description,
-      location: hockeyEvent.location || ''
-    }
-  );
-  
-  console.log(`Created: "${title}" with UID: ${hockeyEvent.uid}`);
-}
-
-/**
- * Updates an existing event
- */
-function updateEvent(existingEvent, hockeyEvent) {
-  const newTitle = CONFIG.EVENT_PREFIX + hockeyEvent.title;
-  const newEndTime = hockeyEvent.endTime || new Date(hockeyEvent.startTime.getTime() + 2 * 60 * 60 * 1000);
-  const newDescription = (hockeyEvent.description || '').trim() + 
-    (hockeyEvent.description ? '\n\n' : '') + 
-    `Hockey-UID: ${hockeyEvent.uid}`;
-  
-  existingEvent.setTitle(newTitle);
-  existingEvent.setTime(hockeyEvent.startTime, newEndTime);
-  existingEvent.setDescription(newDescription);
-  existingEvent.setLocation(hockeyEvent.location || '');
-  
-  console.log(`Updated: "${newTitle}"`);
-}
-
-/**
- * Checks if an event needs updating - with detailed logging
- */
-function needsUpdate(existingEvent, hockeyEvent) {
-  const expectedTitle = CONFIG.EVENT_PREFIX + hockeyEvent.title;
-  const expectedEndTime = hockeyEvent.endTime || new Date(hockeyEvent.startTime.getTime() + 2 * 60 * 60 * 1000);
-  
-  const titleChanged = existingEvent.getTitle() !== expectedTitle;
-  
-  const startTimeDiff = Math.abs(existingEvent.getStartTime().getTime() - hockeyEvent.startTime.getTime());
-  const endTimeDiff = Math.abs(existingEvent.getEndTime().getTime() - expectedEndTime.getTime());
-  const startChanged = startTimeDiff > 300000; // 5 minutes tolerance
-  const endChanged = endTimeDiff > 300000;
-  
-  const existingLocation = (existingEvent.getLocation() || '').toLowerCase().trim();
-  const newLocation = (hockeyEvent.location || '').toLowerCase().trim();
-  const locationChanged = existingLocation !== newLocation;
-  
-  // Handle both description formats properly
-  const existingDesc = existingEvent.getDescription() || '';
-  const existingContentDesc = existingDesc
-    .replace(/\n\nHockey-UID:.*$/, '')
-    .replace(/^Hockey-UID:.*$/, '')
-    .trim();
-  const newContentDesc = (hockeyEvent.description || '').trim();
-  const descriptionChanged = existingContentDesc !== newContentDesc;
-  
-  return titleChanged || startChanged || endChanged || locationChanged || descriptionChanged;
-}
-
-/**
- * Extracts UID from event description
- */
-function extractUIDFromDescription(description) {
-  if (!description) return null;
-  
-  const match = description.match(/Hockey-UID:\s*([^\n\r\s]+)/);
-  return match ? match[1].trim() : null;
+function getExistingHockeyEvents(calendar, name) {
+  return getExistingFeedEvents(calendar, name ? getFeed(name) : getHockeyFeeds()[0]);
 }
 
 // ============ SETUP FUNCTIONS ============
@@ -376,17 +64,19 @@ function extractUIDFromDescription(description) {
 function setupSync() {
   console.log('Setting up hockey calendar sync...');
   
-  const familyCalendar = CalendarApp.getCalendarById(CONFIG.FAMILY_CALENDAR_ID);
-  if (!familyCalendar) {
-    throw new Error('Cannot access family calendar. Please check the calendar ID and permissions.');
-  }
-  
-  try {
-    UrlFetchApp.fetch(CONFIG.HOCKEY_CALENDAR_URL);
-    console.log('Hockey calendar URL is accessible');
-  } catch (error) {
-    throw new Error('Cannot access hockey calendar URL: ' + error.toString());
-  }
+  getHockeyFeeds().forEach(feed => {
+    getRoutedCalendarIds(feed).forEach(calendarId => {
+      if (!CalendarApp.getCalendarById(calendarId)) {
+        throw new Error(`Cannot access calendar ${calendarId} (${feed.label}). Please check the calendar ID and permissions.`);
+      }
+    });
+
+    const urlCheck = fetchWithRetry(getFeedFetchUrl(feed));
+    if (urlCheck.failure) {
+      throw new Error(`Cannot access ${feed.label} calendar URL: ` + describeFetchFailure(urlCheck.failure));
+    }
+    console.log(`${feed.label} calendar URL is accessible`);
+  });
   
   syncHockeyCalendar();
   
@@ -436,14 +126,30 @@ function setupTriggers() {
   
   console.log('\nTo verify trigger details:');
   console.log('Go to Apps Script Editor → Triggers (left sidebar)');
+  console.log('\nFor a weekly family agenda email, also run setupWeeklyDigestTrigger()');
 }
 
 /**
- * Gets sync status and last run time
+ * Gets sync status and last run time (of the first hockey feed; the others are logged too)
  */
 function getSyncStatus() {
-  const lastSync = PropertiesService.getScriptProperties().getProperty('lastSyncTime');
-  console.log('Last sync:', lastSync ? new Date(lastSync) : 'Never');
+  const feeds = getHockeyFeeds();
+  let lastSync = null;
+  let lastResult = null;
+
+  feeds.forEach((feed, index) => {
+    const feedLastSync = PropertiesService.getScriptProperties().getProperty(feed.lastSyncProperty);
+    const feedLastResult = getLastSyncResult(feed);
+    const label = feeds.length > 1 ? `${feed.label} - ` : '';
+    console.log(`${label}Last sync:`, feedLastSync ? new Date(feedLastSync) : 'Never');
+    if (feedLastResult) {
+      console.log(`${label}Last result:`, describeSyncResult(feedLastResult));
+    }
+    if (index === 0) {
+      lastSync = feedLastSync;
+      lastResult = feedLastResult;
+    }
+  });
   
   const triggers = ScriptApp.getProjectTriggers();
   const syncTriggers = triggers.filter(t => t.getHandlerFunction() === 'syncHockeyCalendar');
@@ -451,6 +157,7 @@ function getSyncStatus() {
   
   return {
     lastSync: lastSync,
+    lastResult: lastResult,
     triggersActive: syncTriggers.length > 0
   };
 }
@@ -461,10 +168,10 @@ function getSyncStatus() {
  */
 function quickStatusCheck() {
   const benchAppCount = fetchHockeyEvents().length;
-  const calendarCount = getExistingHockeyEvents(CalendarApp.getCalendarById(CONFIG.FAMILY_CALENDAR_ID)).length;
+  const calendarCount = getAllFeedEvents(getHockeyFeeds()[0]).length;
   
   console.log(`BenchApp events: ${benchAppCount}`);
-  console.log(`Family calendar hockey events: ${calendarCount}`);
+  console.log(`Calendar hockey events: ${calendarCount}`);
   console.log(`Match: ${benchAppCount === calendarCount ? '✅ YES' : '❌ NO'}`);
   
   return { benchApp: benchAppCount, calendar: calendarCount };
@@ -476,14 +183,14 @@ function quickStatusCheck() {
 function debugUpdateDetection() {
   console.log('=== DEBUG UPDATE DETECTION ===');
   
-  const familyCalendar = CalendarApp.getCalendarById(CONFIG.FAMILY_CALENDAR_ID);
+  const feed = getHockeyFeeds()[0];
   const hockeyEvents = fetchHockeyEvents().slice(0, 3); // Just check first 3
-  const existingEvents = getExistingHockeyEvents(familyCalendar);
+  const existingEvents = getAllFeedEvents(feed);
   
   // Create lookup map
   const existingEventMap = new Map();
   existingEvents.forEach(event => {
-    const uid = extractUIDFromDescription(event.getDescription());
+    const uid = getEventIdentity(event, feed);
     if (uid) {
       existingEventMap.set(uid, event);
     }
@@ -496,8 +203,9 @@ function debugUpdateDetection() {
       console.log(`\n--- Event ${index + 1}: "${hockeyEvent.title}" ---`);
       console.log(`UID: ${hockeyEvent.uid}`);
       
-      const expectedTitle = CONFIG.EVENT_PREFIX + hockeyEvent.title;
-      const expectedEndTime = hockeyEvent.endTime || new Date(hockeyEvent.startTime.getTime() + 2 * 60 * 60 * 1000);
+      const expected = buildEventFields(hockeyEvent, feed);
+      const expectedTitle = expected.title;
+      const expectedEndTime = expected.endTime;
       
       console.log(`Title: "${existingEvent.getTitle()}" vs "${expectedTitle}" - ${existingEvent.getTitle() === expectedTitle ? '✅' : '❌'}`);
       
@@ -510,7 +218,7 @@ function debugUpdateDetection() {
       const locationMatch = (existingEvent.getLocation() || '').toLowerCase().trim() === (hockeyEvent.location || '').toLowerCase().trim();
       console.log(`Location: "${existingEvent.getLocation() || ''}" vs "${hockeyEvent.location || ''}" - ${locationMatch ? '✅' : '❌'}`);
       
-      const needsUpdateResult = needsUpdate(existingEvent, hockeyEvent);
+      const needsUpdateResult = needsUpdate(existingEvent, hockeyEvent, feed);
       console.log(`Overall result: ${needsUpdateResult ? '❌ UPDATE NEEDED' : '✅ NO UPDATE NEEDED'}`);
     }
   });
@@ -532,8 +240,10 @@ function debugTriggers() {
     // You'll need to check the Triggers page in the Apps Script editor for details
   });
   
-  const lastSync = PropertiesService.getScriptProperties().getProperty('lastSyncTime');
-  console.log(`\nLast recorded sync: ${lastSync ? new Date(lastSync) : 'Never'}`);
+  getHockeyFeeds().forEach(feed => {
+    const lastSync = PropertiesService.getScriptProperties().getProperty(feed.lastSyncProperty);
+    console.log(`\nLast recorded ${feed.label} sync: ${lastSync ? new Date(lastSync) : 'Never'}`);
+  });
   
   console.log('\nNext steps:');
   console.log('1. Check Apps Script Editor → Triggers page for frequency details');
@@ -543,8 +253,9 @@ function debugTriggers() {
 function testConfig() {
   console.log('Testing configuration access...');
   console.log('FAMILY_CALENDAR_ID:', CONFIG.FAMILY_CALENDAR_ID);
-  console.log('HOCKEY_CALENDAR_URL:', CONFIG.HOCKEY_CALENDAR_URL);
-  console.log('EVENT_PREFIX:', CONFIG.EVENT_PREFIX);
+  getFeeds().forEach(feed => {
+    console.log(`Feed "${feed.name}": ${feed.url} (prefix "${feed.prefix}", ${feed.enabled ? 'enabled' : 'disabled'})`);
+  });
 }
 
 // ============ DUPLICATE CLEANUP FUNCTIONS ============
@@ -566,22 +277,34 @@ function testConfig() {
 
 /**
  * Creates a signature for grouping duplicate events
- * Events are considered duplicates if they have the same title and start time
+ * Events are considered duplicates if they are in the same calendar and have the same title and
+ * start time (same title and start/end dates for all-day events)
  */
 function createEventSignature(event) {
-  const title = event.getTitle();
+  const title = `${event.getOriginalCalendarId()}|${event.getTitle()}`;
+  if (event.isAllDayEvent()) {
+    return `${title}|all-day|${formatDateKey(event.getAllDayStartDate())}|${formatDateKey(event.getAllDayEndDate())}`;
+  }
   const startTime = event.getStartTime().getTime();
   return `${title}|${startTime}`;
 }
 
 /**
- * Gets all hockey events within a date range for cleanup purposes
+ * Gets all hockey events within a date range, in every calendar the hockey feeds use, for cleanup purposes
  */
-function getHockeyEventsInRange(calendar, startDate, endDate) {
-  const events = calendar.getEvents(startDate, endDate);
-  return events.filter(event =>
-    event.getTitle().startsWith(CONFIG.EVENT_PREFIX)
-  );
+function getHockeyEventsInRange(startDate, endDate) {
+  const feeds = getHockeyFeeds();
+  const prefixes = feeds.map(feed => feed.prefix);
+  const calendars = new Map();
+  feeds.forEach(feed => getFeedCalendars(feed).forEach(calendar => calendars.set(calendar.getId(), calendar)));
+
+  let events = [];
+  calendars.forEach(calendar => {
+    events = events.concat(calendar.getEvents(startDate, endDate).filter(event =>
+      prefixes.some(prefix => event.getTitle().startsWith(prefix))
+    ));
+  });
+  return events;
 }
 
 /**
@@ -615,14 +338,9 @@ function reviewDuplicatesInRange(startDate, endDate) {
   console.log('=== DUPLICATE EVENT REVIEW (DRY RUN) ===');
   console.log('This will NOT delete anything - just report what would be cleaned up.\n');
 
-  const familyCalendar = CalendarApp.getCalendarById(CONFIG.FAMILY_CALENDAR_ID);
-  if (!familyCalendar) {
-    throw new Error('Family calendar not found. Check your FAMILY_CALENDAR_ID.');
-  }
-
   console.log(`Searching for hockey events from ${startDate.toDateString()} to ${endDate.toDateString()}...`);
 
-  const allEvents = getHockeyEventsInRange(familyCalendar, startDate, endDate);
+  const allEvents = getHockeyEventsInRange(startDate, endDate);
   console.log(`Found ${allEvents.length} total hockey events in range.\n`);
 
   // Group events by signature (title + start time)
@@ -693,14 +411,9 @@ function cleanupDuplicatesInRange(startDate, endDate, maxDeletes = 300) {
   console.log('WARNING: This will DELETE duplicate events!\n');
   console.log(`Batch limit: ${maxDeletes} deletions per run (to avoid 6-minute timeout)\n`);
 
-  const familyCalendar = CalendarApp.getCalendarById(CONFIG.FAMILY_CALENDAR_ID);
-  if (!familyCalendar) {
-    throw new Error('Family calendar not found. Check your FAMILY_CALENDAR_ID.');
-  }
-
   console.log(`Searching for hockey events from ${startDate.toDateString()} to ${endDate.toDateString()}...`);
 
-  const allEvents = getHockeyEventsInRange(familyCalendar, startDate, endDate);
+  const allEvents = getHockeyEventsInRange(startDate, endDate);
   console.log(`Found ${allEvents.length} total hockey events in range.\n`);
 
   // Group events by signature (title + start time)
@@ -724,11 +437,12 @@ function cleanupDuplicatesInRange(startDate, endDate, maxDeletes = 300) {
   console.log(`Total duplicates to delete: ${totalDuplicates}`);
   console.log(`Will delete up to ${maxDeletes} this run.\n`);
 
-  // Delete duplicates, keeping the first one
+  // Delete duplicates, keeping the first one (queued for Calendar API batches with CALENDAR_BACKEND: 'batch')
   let deletedCount = 0;
   let errorCount = 0;
   let skippedDueToLimit = 0;
   let processedGroups = 0;
+  const batchDeletes = [];
 
   eventGroups.forEach((events, signature) => {
     if (events.length > 1) {
@@ -742,6 +456,12 @@ function cleanupDuplicatesInRange(startDate, endDate, maxDeletes = 300) {
           return;
         }
 
+        if (useCalendarBatch()) {
+          batchDeletes.push(event);
+          deletedCount++;
+          return;
+        }
+
         try {
           event.deleteEvent();
           deletedCount++;
@@ -765,6 +485,12 @@ function cleanupDuplicatesInRange(startDate, endDate, maxDeletes = 300) {
     }
   });
 
+  if (batchDeletes.length > 0) {
+    const batch = deleteEventsInBatches(batchDeletes);
+    deletedCount -= batch.errors;
+    errorCount += batch.errors;
+  }
+
   const remainingDuplicates = totalDuplicates - deletedCount;
 
   console.log('\n=== CLEANUP SUMMARY ===');
@@ -0,0 +1,467 @@
+/**
+ * ICS Parser
+ * RFC 5545 parsing shared by every feed: line unfolding, property parameters,
+ * text escapes, VTIMEZONE definitions, DURATION and CRLF/LF line endings
+ */
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// ============ PUBLIC API ============
+/**
+ * Parses ICS data and returns the VEVENTs as plain event objects:
+ * { originalUID, title, description, location, startTime, endTime, allDay, timezone, status, recurrenceId }
+ * Recurring events are expanded into one event per occurrence (see ics-recurrence.js)
+ * @param {string} icsData - Raw ICS text
+ * @param {Object} options - Optional { range: { start, end }, defaultTimeZone }
+ *   range limits recurrence expansion; defaultTimeZone (IANA id) applies to floating times
+ */
+function parseICSData(icsData, options) {
+  return parseICSCalendar(icsData, options).events;
+}
+
+/**
+ * Parses ICS data into events plus the VTIMEZONE definitions they reference
+ */
+function parseICSCalendar(icsData, options = {}) {
+  const root = parseICSComponents(icsData);
+  const calendar = root.components.find(c => c.name === 'VCALENDAR') || root;
+
+  // Shared by every date parsed from this calendar
+  const tzContext = { definitions: {}, defaultZone: options.defaultTimeZone || null, unknownZones: {} };
+  calendar.components
+    .filter(c => c.name === 'VTIMEZONE')
+    .forEach(component => {
+      const timezone = parseVTimezone(component);
+      if (timezone.tzid) {
+        tzContext.definitions[timezone.tzid] = timezone;
+      }
+    });
+
+  const events = [];
+  const recurring = [];
+  const overrides = [];
+  calendar.components
+    .filter(c => c.name === 'VEVENT')
+    .forEach(component => {
+      const event = parseEventBlock(component, tzContext);
+      if (!event) return;
+
+      if (event.recurrenceId) {
+        overrides.push(event);
+      } else if (isRecurringComponent(component)) {
+        recurring.push({ event: event, component: component });
+      } else {
+        events.push(event);
+      }
+    });
+
+  const expanded = expandRecurringEvents(recurring, overrides, tzContext, options.range || getDefaultExpansionRange());
+
+  return { events: events.concat(expanded), timezones: tzContext.definitions };
+}
+
+// ============ CONTENT LINES ============
+/**
+ * Splits ICS data into logical lines, unfolding continuation lines
+ * (RFC 5545 3.1: a line break followed by one space or tab is removed)
+ */
+function unfoldICSLines(icsData) {
+  const rawLines = (icsData || '').replace(/\r\n?/g, '\n').split('\n');
+
+  const lines = [];
+  for (const rawLine of rawLines) {
+    if (/^[ \t]/.test(rawLine) && lines.length > 0) {
+      lines[lines.length - 1] += rawLine.substring(1);
+    } else {
+      lines.push(rawLine);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Parses a content line "NAME;PARAM=value;PARAM="quoted":value"
+ * Returns { name, params, value } or null for lines without a value
+ */
+function parseICSContentLine(line) {
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) return null;
+
+  const segments = splitOutsideQuotes(line.substring(0, colonIndex), ';');
+  const params = {};
+  segments.slice(1).forEach(segment => {
+    const eqIndex = segment.indexOf('=');
+    if (eqIndex === -1) return;
+    const key = segment.substring(0, eqIndex).trim().toUpperCase();
+    params[key] = segment.substring(eqIndex + 1).replace(/^"(.*)"$/, '$1');
+  });
+
+  return {
+    name: segments[0].trim().toUpperCase(),
+    params: params,
+    value: line.substring(colonIndex + 1)
+  };
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Builds the BEGIN/END component tree: { name, properties: [...], components: [...] }
+ */
+function parseICSComponents(icsData) {
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  unfoldICSLines(icsData).forEach(line => {
+    if (!line.trim()) return;
+
+    const property = parseICSContentLine(line);
+    if (!property) return;
+
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  });
+
+  return root;
+}
+
+function getICSProperty(component, name) {
+  return component.properties.find(p => p.name === name) || null;
+}
+
+function getICSProperties(component, name) {
+  return component.properties.filter(p => p.name === name);
+}
+
+/**
+ * Unescapes ICS text values (\n, \N, \, \; and \\)
+ */
+function unescapeICSText(value) {
+  if (!value) return '';
+
+  return value
+    .replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char)
+    .trim();
+}
+
+// ============ EVENTS ============
+/**
+ * Converts a VEVENT component into an event object
+ * Returns null when the event has no title or start time
+ */
+function parseEventBlock(component, tzContext = {}) {
+  const event = {};
+
+  const textValue = name => {
+    const property = getICSProperty(component, name);
+    return property ? unescapeICSText(property.value) : undefined;
+  };
+
+  const uid = getICSProperty(component, 'UID');
+  if (uid) event.originalUID = uid.value.trim();
+
+  event.title = textValue('SUMMARY');
+  event.description = textValue('DESCRIPTION');
+  event.location = textValue('LOCATION');
+
+  const status = getICSProperty(component, 'STATUS');
+  if (status) event.status = status.value.trim().toUpperCase();
+
+  const dtStart = getICSProperty(component, 'DTSTART');
+  const start = dtStart ? parseICSDateValue(dtStart.value, dtStart.params, tzContext) : null;
+  if (start) {
+    event.startTime = start.date;
+    event.allDay = start.dateOnly;
+    if (start.tzid) event.timezone = start.tzid;
+  }
+
+  const recurrenceId = getICSProperty(component, 'RECURRENCE-ID');
+  if (recurrenceId) {
+    const original = parseICSDateValue(recurrenceId.value, recurrenceId.params, tzContext);
+    if (original) event.recurrenceId = original.date;
+  }
+
+  const dtEnd = getICSProperty(component, 'DTEND');
+  const duration = getICSProperty(component, 'DURATION');
+  if (dtEnd) {
+    const end = parseICSDateValue(dtEnd.value, dtEnd.params, tzContext);
+    if (end) event.endTime = end.date;
+  } else if (duration && event.startTime) {
+    const durationMs = parseICSDuration(duration.value);
+    if (durationMs !== null) {
+      event.endTime = event.allDay
+        ? addLocalDays(event.startTime, Math.round(durationMs / (24 * 60 * 60 * 1000)))
+        : new Date(event.startTime.getTime() + durationMs);
+    }
+  } else if (event.allDay) {
+    // RFC 5545: a DATE start with no end lasts one day
+    event.endTime = addLocalDays(event.startTime, 1);
+  }
+
+  if (event.title && event.startTime) {
+    return event;
+  }
+
+  return null;
+}
+
+// ============ DATES & DURATIONS ============
+/**
+ * Parses a DATE or DATE-TIME value
+ * Returns { date, dateOnly, tzid, wallMs } or null
+ *  - 20250105            (or VALUE=DATE) → local midnight in the script timezone, dateOnly
+ *  - 20250105T190000Z    → UTC
+ *  - TZID=...:20250105T190000 → the matching VTIMEZONE, else the IANA zone of that name
+ *  - 20250105T190000     → floating, interpreted in tzContext.defaultZone
+ */
+function parseICSDateValue(value, params = {}, tzContext = {}) {
+  const trimmed = (value || '').trim();
+  const wallMs = parseICSWallTime(trimmed);
+  if (wallMs === null) return null;
+
+  const dateOnly = params.VALUE === 'DATE' || !/^\d{8}T/.test(trimmed);
+  const tzid = /^\d{8}T\d{6}Z/.test(trimmed) ? 'UTC' : (params.TZID || null);
+
+  return {
+    date: dateOnly ? localWallTimeToDate(wallMs) : icsWallTimeToDate(wallMs, tzid, tzContext),
+    dateOnly: dateOnly,
+    tzid: tzid,
+    wallMs: wallMs
+  };
+}
+
+/**
+ * Converts a wall clock time to an absolute Date
+ * 'UTC' → UTC; a VTIMEZONE from the file → its offset rules; an IANA id → that zone;
+ * no TZID (floating) or an unknown TZID → the default zone, else the script timezone
+ */
+function icsWallTimeToDate(wallMs, tzid, tzContext = {}) {
+  if (tzid === 'UTC') {
+    return new Date(wallMs);
+  }
+
+  const definition = tzid && tzContext.definitions ? tzContext.definitions[tzid] : null;
+  if (definition) {
+    const offsetMinutes = getVTimezoneOffset(definition, wallMs);
+    return new Date(wallMs - offsetMinutes * 60000);
+  }
+
+  if (tzid && isValidTimeZone(tzid)) {
+    return zonedWallTimeToDate(wallMs, tzid);
+  }
+
+  if (tzid && tzContext.unknownZones && !tzContext.unknownZones[tzid]) {
+    tzContext.unknownZones[tzid] = true;
+    console.warn(`⚠️ Unknown TZID "${tzid}" - using ${tzContext.defaultZone || 'the script timezone'}`);
+  }
+
+  if (tzContext.defaultZone) {
+    return zonedWallTimeToDate(wallMs, tzContext.defaultZone);
+  }
+  return localWallTimeToDate(wallMs);
+}
+
+/**
+ * Adds calendar days in the script timezone (keeps midnight across DST changes)
+ */
+function addLocalDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Parses an ICS DURATION (e.g. PT1H30M, P1D, -PT15M, P2W) into milliseconds
+ */
+function parseICSDuration(value) {
+  const match = (value || '').trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const weeks = parseInt(match[2] || '0');
+  const days = parseInt(match[3] || '0');
+  const hours = parseInt(match[4] || '0');
+  const minutes = parseInt(match[5] || '0');
+  const seconds = parseInt(match[6] || '0');
+
+  const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return match[1] === '-' ? -ms : ms;
+}
+
+// ============ VTIMEZONE ============
+/**
+ * Parses a VTIMEZONE component into { tzid, observances: [{ offsetFrom, offsetTo, startWallMs, rrule, rdates }] }
+ * Offsets are in minutes east of UTC; wall times are local clock times expressed as UTC milliseconds
+ */
+function parseVTimezone(component) {
+  const tzidProperty = getICSProperty(component, 'TZID');
+  const observances = component.components
+    .filter(c => c.name === 'STANDARD' || c.name === 'DAYLIGHT')
+    .map(observance => {
+      const dtStart = getICSProperty(observance, 'DTSTART');
+      const offsetFrom = getICSProperty(observance, 'TZOFFSETFROM');
+      const offsetTo = getICSProperty(observance, 'TZOFFSETTO');
+      const rrule = getICSProperty(observance, 'RRULE');
+      const rdates = getICSProperties(observance, 'RDATE')
+        .reduce((all, p) => all.concat(p.value.split(',')), [])
+        .map(parseICSWallTime)
+        .filter(ms => ms !== null);
+
+      return {
+        type: observance.name,
+        offsetFrom: offsetFrom ? parseUTCOffset(offsetFrom.value) : 0,
+        offsetTo: offsetTo ? parseUTCOffset(offsetTo.value) : 0,
+        startWallMs: dtStart ? parseICSWallTime(dtStart.value) : null,
+        rrule: rrule ? parseRRuleParts(rrule.value) : null,
+        rdates: rdates
+      };
+    })
+    .filter(observance => observance.startWallMs !== null);
+
+  return {
+    tzid: tzidProperty ? tzidProperty.value.trim() : null,
+    observances: observances
+  };
+}
+
+/**
+ * Returns the UTC offset (minutes) in effect at a local wall time
+ * Picks the observance with the most recent onset at or before the wall time
+ */
+function getVTimezoneOffset(timezone, wallMs) {
+  const year = new Date(wallMs).getUTCFullYear();
+  let best = null;
+
+  timezone.observances.forEach(observance => {
+    const onsets = [observance.startWallMs].concat(observance.rdates);
+    if (observance.rrule) {
+      [year - 1, year].forEach(y => {
+        const onset = getYearlyRuleOnset(observance, y);
+        if (onset !== null) onsets.push(onset);
+      });
+    }
+
+    onsets.forEach(onset => {
+      if (onset <= wallMs && (!best || onset > best.onset)) {
+        best = { onset: onset, offset: observance.offsetTo };
+      }
+    });
+  });
+
+  if (best) return best.offset;
+
+  // Before every onset: use the offset the earliest observance transitions from
+  const earliest = timezone.observances
+    .slice()
+    .sort((a, b) => a.startWallMs - b.startWallMs)[0];
+  return earliest ? earliest.offsetFrom : 0;
+}
+
+/**
+ * Computes the onset of a yearly VTIMEZONE rule (FREQ=YEARLY;BYMONTH=3;BYDAY=2SU) in a given year
+ */
+function getYearlyRuleOnset(observance, year) {
+  const rule = observance.rrule;
+  if (rule.FREQ !== 'YEARLY' || !rule.BYMONTH) return null;
+
+  const startYear = new Date(observance.startWallMs).getUTCFullYear();
+  if (year < startYear) return null;
+
+  const start = new Date(observance.startWallMs);
+  const month = parseInt(rule.BYMONTH) - 1;
+  let day = start.getUTCDate();
+
+  if (rule.BYDAY) {
+    const byDay = rule.BYDAY.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!byDay) return null;
+    day = getNthWeekdayOfMonth(year, month, ICS_WEEKDAYS.indexOf(byDay[2]), parseInt(byDay[1] || '1'));
+  }
+
+  const onset = Date.UTC(year, month, day, start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds());
+  if (rule.UNTIL) {
+    const until = parseICSWallTime(rule.UNTIL);
+    if (until !== null && onset > until) return null;
+  }
+  return onset;
+}
+
+/**
+ * Day of month of the nth weekday (n < 0 counts from the end of the month)
+ */
+function getNthWeekdayOfMonth(year, month, weekday, n) {
+  if (n > 0) {
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+  }
+
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+  return lastDay - ((lastWeekday - weekday + 7) % 7) + (n + 1) * 7;
+}
+
+/**
+ * Parses "FREQ=YEARLY;BYMONTH=3;BYDAY=2SU" into { FREQ: 'YEARLY', BYMONTH: '3', BYDAY: '2SU' }
+ */
+function parseRRuleParts(value) {
+  const parts = {};
+  value.trim().split(';').forEach(part => {
+    const eqIndex = part.indexOf('=');
+    if (eqIndex !== -1) {
+      parts[part.substring(0, eqIndex).toUpperCase()] = part.substring(eqIndex + 1);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Parses "+0530" / "-0400" into minutes east of UTC
+ */
+function parseUTCOffset(value) {
+  const match = (value || '').trim().match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+  if (!match) return 0;
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Parses a DATE or DATE-TIME value as a wall clock time (UTC milliseconds of the same fields)
+ */
+function parseICSWallTime(value) {
+  const match = (value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/);
+  if (!match) return null;
+  return Date.UTC(
+    parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]),
+    parseInt(match[4] || '0'), parseInt(match[5] || '0'), parseInt(match[6] || '0')
+  );
+}
@@ -0,0 +1,305 @@
+/**
+ * ICS Recurrence Expansion
+ * Expands RRULE/RDATE events into one event per occurrence within the sync window,
+ * drops EXDATE exclusions and applies RECURRENCE-ID overrides
+ */
+
+const MAX_RECURRENCE_PERIODS = 5000; // Safety cap for rules without COUNT/UNTIL
+const RECURRENCE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============ EXPANSION ============
+/**
+ * Returns true if a VEVENT component repeats (RRULE or RDATE)
+ */
+function isRecurringComponent(component) {
+  return !!(getICSProperty(component, 'RRULE') || getICSProperty(component, 'RDATE'));
+}
+
+/**
+ * Range used when the caller doesn't pass one: everything up to a year ahead
+ */
+function getDefaultExpansionRange() {
+  return { start: null, end: new Date(Date.now() + 366 * RECURRENCE_DAY_MS) };
+}
+
+/**
+ * Expands recurring events and merges in their RECURRENCE-ID overrides
+ * @param {Array} recurring - [{ event, component }] for each recurring VEVENT
+ * @param {Array} overrides - Events carrying a recurrenceId
+ * @param {Object} tzContext - { definitions, defaultZone } from parseICSCalendar
+ * @param {Object} range - { start, end } Dates; start may be null
+ */
+function expandRecurringEvents(recurring, overrides, tzContext, range) {
+  const overrideMap = new Map();
+  overrides.forEach(override => {
+    overrideMap.set(getRecurrenceKey(override.originalUID, override.recurrenceId), override);
+  });
+
+  const results = [];
+  const appliedOverrides = new Set();
+
+  recurring.forEach(({ event, component }) => {
+    const durationMs = event.endTime ? event.endTime.getTime() - event.startTime.getTime() : 0;
+
+    getOccurrenceStarts(component, tzContext, range, durationMs).forEach(startTime => {
+      const key = getRecurrenceKey(event.originalUID, startTime);
+      const override = overrideMap.get(key);
+
+      if (override) {
+        appliedOverrides.add(key);
+        if (override.status !== 'CANCELLED') {
+          results.push(override);
+        }
+      } else {
+        results.push(createOccurrence(event, startTime, durationMs));
+      }
+    });
+  });
+
+  // Overrides whose original slot is outside the range (or whose master is missing)
+  // still describe a real event at their own time
+  overrides.forEach(override => {
+    const key = getRecurrenceKey(override.originalUID, override.recurrenceId);
+    if (!appliedOverrides.has(key) && override.status !== 'CANCELLED') {
+      results.push(override);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Lists occurrence start times of a recurring VEVENT that overlap the range,
+ * with RDATEs added and EXDATEs removed
+ */
+function getOccurrenceStarts(component, tzContext, range, durationMs) {
+  const dtStart = getICSProperty(component, 'DTSTART');
+  const start = parseICSDateValue(dtStart.value, dtStart.params, tzContext);
+  const toDate = start.dateOnly
+    ? localWallTimeToDate
+    : wallMs => icsWallTimeToDate(wallMs, start.tzid, tzContext);
+
+  const rrule = getICSProperty(component, 'RRULE');
+  const wallTimes = rrule
+    ? expandRRuleWallTimes(parseRRuleParts(rrule.value), start.wallMs, toDate, range)
+    : [start.wallMs];
+
+  const starts = wallTimes.map(toDate).concat(getICSDateList(component, 'RDATE', tzContext));
+  const excluded = new Set(getICSDateList(component, 'EXDATE', tzContext).map(date => date.getTime()));
+
+  const seen = new Set();
+  return starts
+    .filter(date => {
+      const time = date.getTime();
+      if (seen.has(time) || excluded.has(time)) return false;
+      seen.add(time);
+
+      if (range.end && date > range.end) return false;
+      if (range.start && time + durationMs < range.start.getTime()) return false;
+      return true;
+    })
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Parses every value of a multi-valued date property (EXDATE, RDATE) into Dates
+ */
+function getICSDateList(component, name, tzContext) {
+  return getICSProperties(component, name)
+    .reduce((all, property) => all.concat(
+      property.value.split(',').map(value => parseICSDateValue(value, property.params, tzContext))
+    ), [])
+    .filter(parsed => parsed !== null)
+    .map(parsed => parsed.date);
+}
+
+function createOccurrence(master, startTime, durationMs) {
+  const occurrence = Object.assign({}, master);
+  occurrence.startTime = startTime;
+  if (master.allDay && master.endTime) {
+    occurrence.endTime = addLocalDays(startTime, Math.round(durationMs / RECURRENCE_DAY_MS));
+  } else if (master.endTime) {
+    occurrence.endTime = new Date(startTime.getTime() + durationMs);
+  }
+  occurrence.recurrenceId = startTime;
+  return occurrence;
+}
+
+function getRecurrenceKey(originalUID, date) {
+  return `${originalUID || ''}|${date.getTime()}`;
+}
+
+// ============ RRULE ============
+/**
+ * Generates occurrence wall times for an RRULE (FREQ DAILY/WEEKLY/MONTHLY/YEARLY with
+ * INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH and WKST)
+ * Stops at COUNT, UNTIL or the end of the range, whichever comes first
+ */
+function expandRRuleWallTimes(rule, startWallMs, toDate, range) {
+  const interval = parseInt(rule.INTERVAL || '1');
+  const count = rule.COUNT ? parseInt(rule.COUNT) : null;
+  const until = parseRRuleUntil(rule.UNTIL, toDate);
+
+  const wallTimes = [];
+  for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+    const candidates = getRRulePeriodCandidates(rule, startWallMs, period * interval);
+    if (candidates === null) {
+      console.warn(`⚠️ Unsupported RRULE frequency "${rule.FREQ}" - using first occurrence only`);
+      return [startWallMs];
+    }
+
+    for (const wallMs of candidates) {
+      if (wallMs < startWallMs) continue;
+      if (count !== null && wallTimes.length >= count) return wallTimes;
+
+      const date = toDate(wallMs);
+      if (until && date > until) return wallTimes;
+      if (range.end && date > range.end) return wallTimes;
+
+      wallTimes.push(wallMs);
+    }
+  }
+
+  return wallTimes;
+}
+
+/**
+ * UNTIL is UTC when it ends in Z, otherwise in the event's own timezone;
+ * a date-only UNTIL includes that whole day
+ */
+function parseRRuleUntil(value, toDate) {
+  if (!value) return null;
+
+  const wallMs = parseICSWallTime(value);
+  if (wallMs === null) return null;
+
+  if (/Z$/.test(value.trim())) return new Date(wallMs);
+  if (!/T/.test(value)) return toDate(wallMs + RECURRENCE_DAY_MS - 1);
+  return toDate(wallMs);
+}
+
+/**
+ * Candidate wall times (sorted) for the period `offset` FREQ units after DTSTART
+ * Returns null for unsupported frequencies
+ */
+function getRRulePeriodCandidates(rule, startWallMs, offset) {
+  const start = new Date(startWallMs);
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const day = start.getUTCDate();
+  const timeOfDay = startWallMs - Date.UTC(year, month, day);
+
+  const byDay = parseRRuleByDay(rule.BYDAY);
+  const byMonthDay = parseRRuleIntList(rule.BYMONTHDAY);
+  const byMonth = parseRRuleIntList(rule.BYMONTH);
+
+  let days = [];
+  switch (rule.FREQ) {
+    case 'DAILY':
+      days = [Date.UTC(year, month, day + offset)];
+      break;
+
+    case 'WEEKLY': {
+      const weekStart = ICS_WEEKDAYS.indexOf(rule.WKST || 'MO');
+      const daysIntoWeek = (start.getUTCDay() - weekStart + 7) % 7;
+      const weekStartMs = Date.UTC(year, month, day - daysIntoWeek + offset * 7);
+      const weekdays = byDay.length > 0 ? byDay.map(b => b.weekday) : [start.getUTCDay()];
+      days = weekdays.map(weekday => weekStartMs + ((weekday - weekStart + 7) % 7) * RECURRENCE_DAY_MS);
+      break;
+    }
+
+    case 'MONTHLY': {
+      const monthStart = new Date(Date.UTC(year, month + offset, 1));
+      days = getRRuleMonthDays(monthStart.getUTCFullYear(), monthStart.getUTCMonth(), byDay, byMonthDay, day);
+      break;
+    }
+
+    case 'YEARLY': {
+      const months = byMonth.length > 0 ? byMonth.map(m => m - 1) : [month];
+      months.forEach(m => {
+        days = days.concat(getRRuleMonthDays(year + offset, m, byDay, byMonthDay, day));
+      });
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  // BYDAY/BYMONTHDAY limit DAILY; BYMONTH limits everything but YEARLY (where it expands)
+  if (rule.FREQ === 'DAILY') {
+    days = days.filter(dayMs => matchesRRuleDay(dayMs, byDay, byMonthDay));
+  }
+  if (rule.FREQ !== 'YEARLY' && byMonth.length > 0) {
+    days = days.filter(dayMs => byMonth.includes(new Date(dayMs).getUTCMonth() + 1));
+  }
+
+  return days
+    .map(dayMs => dayMs + timeOfDay)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Days (UTC midnight ms) within a month matching BYMONTHDAY / BYDAY,
+ * or the DTSTART day of month when neither is given
+ */
+function getRRuleMonthDays(year, month, byDay, byMonthDay, defaultDay) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let dayNumbers = [];
+
+  if (byMonthDay.length > 0) {
+    dayNumbers = byMonthDay.map(n => n > 0 ? n : lastDay + n + 1);
+    if (byDay.length > 0) {
+      dayNumbers = dayNumbers.filter(n =>
+        byDay.some(b => b.weekday === new Date(Date.UTC(year, month, n)).getUTCDay())
+      );
+    }
+  } else if (byDay.length > 0) {
+    byDay.forEach(b => {
+      if (b.ordinal) {
+        dayNumbers.push(getNthWeekdayOfMonth(year, month, b.weekday, b.ordinal));
+      } else {
+        for (let n = 1; n <= lastDay; n++) {
+          if (new Date(Date.UTC(year, month, n)).getUTCDay() === b.weekday) dayNumbers.push(n);
+        }
+      }
+    });
+  } else {
+    dayNumbers = [defaultDay];
+  }
+
+  return Array.from(new Set(dayNumbers))
+    .filter(n => n >= 1 && n <= lastDay)
+    .map(n => Date.UTC(year, month, n));
+}
+
+function matchesRRuleDay(dayMs, byDay, byMonthDay) {
+  const date = new Date(dayMs);
+  if (byDay.length > 0 && !byDay.some(b => b.weekday === date.getUTCDay())) return false;
+  if (byMonthDay.length > 0) {
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    const dayOfMonth = date.getUTCDate();
+    return byMonthDay.some(n => (n > 0 ? n : lastDay + n + 1) === dayOfMonth);
+  }
+  return true;
+}
+
+/**
+ * Parses "MO,WE,-1FR" into [{ weekday: 1, ordinal: null }, ..., { weekday: 5, ordinal: -1 }]
+ */
+function parseRRuleByDay(value) {
+  if (!value) return [];
+
+  return value.split(',')
+    .map(part => part.trim().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/))
+    .filter(match => match !== null)
+    .map(match => ({
+      weekday: ICS_WEEKDAYS.indexOf(match[2]),
+      ordinal: match[1] ? parseInt(match[1]) : null
+    }));
+}
+
+function parseRRuleIntList(value) {
+  if (!value) return [];
+  return value.split(',').map(part => parseInt(part)).filter(n => !isNaN(n) && n !== 0);
+}
@@ -0,0 +1,180 @@
+/**
+ * Identity Migration
+ * Changing a feed's UID scheme (uidFields, uidPrefix, uidMarker or prefix) or its name makes every
+ * synced event look new, and the next sync would duplicate the season. migrateIdentities() re-labels the
+ * existing events instead: each one is matched to the current feed by start time and title, and
+ * its tags, description marker and title prefix are rewritten for the new scheme.
+ *
+ *   migrateIdentities('hockey', { dryRun: true, fromMarker: 'Hockey-UID', fromPrefix: '[Hockey] ' });
+ *   migrateIdentities('hockey', { fromMarker: 'Hockey-UID', fromPrefix: '[Hockey] ' });
+ *   migrateIdentities('sam-hockey', { fromFeed: 'hockey' });   // after renaming the feed
+ *
+ * Update CONFIG to the new scheme first. Migrated events match the new scheme, so rerunning after
+ * a timeout or batch limit simply continues with the events that are left.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+
+const MIGRATION_TIME_LIMIT_MS = 4.5 * 60 * 1000; // Stay clear of the 6-minute execution limit
+
+/**
+ * Migrates a feed's synced events to its current identity scheme
+ * @param {string} name - Feed name
+ * @param {Object} options - { dryRun, fromFeed, fromMarker, fromPrefix, maxMigrations (default 200) }
+ *   fromFeed / fromMarker / fromPrefix: the previous feed name / uidMarker / title prefix, when those changed
+ * @returns {Object} { migrated, current, unmatched, duplicates, remaining, needsAnotherRun }
+ */
+function migrateIdentities(name, options = {}) {
+  const feed = getFeed(name);
+  const dryRun = options.dryRun === true;
+  const maxMigrations = options.maxMigrations || 200;
+  const oldFeed = Object.assign({}, feed, {
+    name: options.fromFeed || feed.name,
+    uidMarker: options.fromMarker || feed.uidMarker,
+    prefix: options.fromPrefix !== undefined ? options.fromPrefix : feed.prefix
+  });
+
+  console.log(`=== ${feed.label.toUpperCase()} IDENTITY MIGRATION${dryRun ? ' (DRY RUN)' : ''} ===`);
+  if (!dryRun) console.log(`Batch limit: ${maxMigrations} migrations per run\n`);
+
+  const fetchedEvents = fetchFeedEvents(feed);
+  if (fetchedEvents === null) {
+    throw new Error(`Could not fetch the ${feed.label} feed - events can only be migrated by matching them to it.`);
+  }
+  const feedEvents = filterEventsToWindow(feed, fetchedEvents);
+
+  // Every calendar the feed routes to or has events in (calendar-routing.js)
+  const syncWindow = getFeedWindow(feed);
+  let events = [];
+  const calendarIds = getFeedCalendarIds(feed).concat(getFeedCalendarIds(oldFeed));
+  calendarIds.filter((id, index) => calendarIds.indexOf(id) === index).forEach(calendarId => {
+    events = events.concat(getRoutedCalendar(calendarId).getEvents(syncWindow.start, syncWindow.end)
+      .filter(event => isFeedEvent(event, oldFeed) || isFeedEvent(event, feed)));
+  });
+  console.log(`Matching ${events.length} synced events against ${feedEvents.length} ${feed.label} feed events...\n`);
+
+  const started = Date.now();
+  const claimed = new Set();
+  const report = { migrated: 0, current: 0, unmatched: [], duplicates: [], remaining: 0 };
+
+  // Events already on the current scheme claim their feed event first, so an old-scheme
+  // duplicate that happens to come earlier can never take over their UID
+  const matches = events.map(event => {
+    const feedEvent = findMigrationMatch(event, feedEvents, [feed.prefix, oldFeed.prefix]);
+    return { event: event, feedEvent: feedEvent, current: !!feedEvent && isIdentityCurrent(event, feed, feedEvent.uid) };
+  });
+  matches.sort((a, b) => Number(b.current) - Number(a.current));
+
+  matches.forEach(({ event, feedEvent, current }) => {
+    const summary = { title: event.getTitle(), startTime: event.getStartTime().toISOString(), uid: getEventIdentity(event, oldFeed) };
+
+    if (!feedEvent) {
+      report.unmatched.push(summary);
+      return;
+    }
+    if (claimed.has(feedEvent.uid)) {
+      report.duplicates.push(summary);
+      return;
+    }
+    claimed.add(feedEvent.uid);
+
+    if (current) {
+      report.current++;
+      return;
+    }
+
+    if (dryRun) {
+      console.log(`Would migrate: "${summary.title}" ${summary.uid || '(no UID)'} → ${feedEvent.uid}`);
+      report.migrated++;
+      return;
+    }
+
+    if (report.migrated >= maxMigrations || Date.now() - started > MIGRATION_TIME_LIMIT_MS) {
+      report.remaining++;
+      return;
+    }
+
+    rewriteEventIdentity(event, oldFeed, feed, feedEvent);
+    report.migrated++;
+    Utilities.sleep(300); // Rate limiting
+  });
+
+  console.log('\n=== MIGRATION SUMMARY ===');
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'}: ${report.migrated}`);
+  console.log(`Already on the current scheme: ${report.current}`);
+
+  if (report.duplicates.length > 0) {
+    console.warn(`⚠️ ${report.duplicates.length} events duplicate an already matched event and were left alone (see cleanupDuplicatesInRange):`);
+    report.duplicates.forEach(event => console.warn(`   "${event.title}" on ${event.startTime}`));
+  }
+  if (report.unmatched.length > 0) {
+    console.warn(`⚠️ ${report.unmatched.length} events match nothing in the current feed and were left alone:`);
+    report.unmatched.forEach(event => console.warn(`   "${event.title}" on ${event.startTime} (UID: ${event.uid || 'none'})`));
+    console.warn('⚠️ Events still on the old scheme are invisible to future syncs - delete them by hand if no longer needed.');
+  }
+  if (report.remaining > 0) {
+    console.log(`\n⚠️ REMAINING: ${report.remaining} events`);
+    console.log('Run this function again to continue the migration.');
+  } else if (!dryRun) {
+    console.log('\n✓ Migration complete - the next sync will match every migrated event.');
+  }
+
+  // Rewritten events must be compared on the next sync even if the feed itself is unchanged
+  if (!dryRun && report.migrated > 0) {
+    clearFeedCache(feed.name);
+  }
+
+  report.needsAnotherRun = report.remaining > 0;
+  return report;
+}
+
+/**
+ * Finds the feed event a calendar event was synced from: same start and title (prefix removed),
+ * or else the only feed event at that start
+ * @param {Array<string>} prefixes - Title prefixes the event may carry
+ */
+function findMigrationMatch(event, feedEvents, prefixes) {
+  const allDay = event.isAllDayEvent();
+  const startKey = formatEventTime(allDay ? event.getAllDayStartDate() : event.getStartTime(), allDay);
+  const sameStart = feedEvents.filter(feedEvent =>
+    formatEventTime(feedEvent.startTime, !!feedEvent.allDay) === startKey
+  );
+
+  const title = event.getTitle();
+  const prefix = prefixes
+    .filter(candidate => candidate && title.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0] || '';
+  const bareTitle = title.substring(prefix.length).trim();
+
+  const byTitle = sameStart.filter(feedEvent => feedEvent.title.trim() === bareTitle);
+  if (byTitle.length > 0) return byTitle[0];
+  return sameStart.length === 1 ? sameStart[0] : null;
+}
+
+/**
+ * True when tags, description marker and title prefix already follow the feed's current scheme
+ */
+function isIdentityCurrent(event, feed, uid) {
+  return event.getTag(IDENTITY_TAGS.feed) === feed.name &&
+    event.getTag(IDENTITY_TAGS.uid) === uid &&
+    extractUIDFromDescription(event.getDescription(), feed.uidMarker) === uid &&
+    event.getTitle().startsWith(feed.prefix);
+}
+
+/**
+ * Rewrites tags, the description marker line and the title prefix; other content is left for the next sync
+ */
+function rewriteEventIdentity(event, oldFeed, feed, feedEvent) {
+  const title = event.getTitle();
+  if (!title.startsWith(feed.prefix)) {
+    const bareTitle = title.startsWith(oldFeed.prefix) ? title.substring(oldFeed.prefix.length) : title;
+    event.setTitle(feed.prefix + bareTitle);
+  }
+
+  let description = stripUIDMarker(event.getDescription() || '', oldFeed.uidMarker);
+  description = stripUIDMarker(description, feed.uidMarker);
+  event.setDescription((description ? description + '\n\n' : '') + `${feed.uidMarker}: ${feedEvent.uid}`);
+
+  writeEventIdentity(event, buildEventFields(feedEvent, feed));
+  console.log(`Migrated: "${event.getTitle()}" on ${event.getStartTime().toDateString()} → ${feedEvent.uid}`);
+}
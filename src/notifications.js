@@ -0,0 +1,249 @@
+/**
+ * Change Notifications
+ * Reschedules, location changes and cancellations made by a sync are queued and emailed as one
+ * digest per run, so families hear about a moved game before they drive to an empty rink.
+ *
+ * - Recipients: NOTIFICATIONS.recipients (every feed) plus each feed's `subscribers`
+ * - Only changes to events within the next NOTIFICATIONS.daysAhead days are sent
+ * - During quiet hours the digest stays queued and goes out with the next run after them
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: NOTIFICATIONS ({ recipients, daysAhead, quietHours: { start, end } }),
+// per-feed `subscribers`
+
+const DEFAULT_NOTIFICATION_DAYS_AHEAD = 14;
+const NOTIFICATION_QUEUE_KEY = 'pendingNotifications';
+const MAX_NOTIFICATION_QUEUE_ITEMS = 200; // Stored in chunks (chunked-properties.js), so only a count cap
+
+// Changes worth telling people about; title/description edits alone are not
+const NOTIFIED_FIELDS = ['startTime', 'endTime', 'allDay', 'location'];
+
+// ============ COLLECTING ============
+/**
+ * Queues notifications for the actions a sync carried out
+ * @param {Array} actions - Executed actions from buildSyncPlan (sync-plan.js)
+ */
+function queueChangeNotifications(feed, actions) {
+  if (getNotificationRecipients(feed).length === 0) return;
+
+  const items = [];
+  actions.forEach(action => {
+    if (action.action === 'delete') {
+      // Still on the calendar, synced by an earlier feed of the merge group (feed-merge.js)
+      if (action.handedOverTo) return;
+      const startTime = action.allDay ? formatEventTime(new Date(action.startTime), true) : action.startTime;
+      items.push({ type: 'canceled', feed: feed.name, title: action.title, startTime: startTime });
+      return;
+    }
+    if (action.action !== 'update') return;
+
+    const changes = action.changes.filter(change => NOTIFIED_FIELDS.includes(change.field));
+    if (changes.length === 0) return;
+
+    const rescheduled = changes.some(change => change.field !== 'location');
+    items.push({
+      type: rescheduled ? 'rescheduled' : 'moved',
+      feed: feed.name,
+      title: action.event.title,
+      startTime: formatEventTime(new Date(action.event.startTime), action.event.allDay),
+      allDay: action.event.allDay,
+      changes: changes
+    });
+  });
+
+  if (items.length === 0) return;
+
+  const queue = readNotificationQueue().concat(items);
+  saveNotificationQueue(queue);
+  console.log(`✓ Queued ${items.length} ${feed.label} change notification(s)`);
+}
+
+// ============ SENDING ============
+/**
+ * Sends the queued changes as one digest per recipient, unless it is quiet hours
+ * Called at the end of syncFeed / syncAllFeeds; never throws so it can't fail a sync
+ * @returns {number} Number of emails sent
+ */
+function sendChangeDigest() {
+  try {
+    const queue = readNotificationQueue();
+    if (queue.length === 0) return 0;
+
+    if (isQuietHours(new Date())) {
+      console.log(`Quiet hours - ${queue.length} change notification(s) held until later`);
+      return 0;
+    }
+
+    // Past events and ones beyond the look-ahead aren't worth an email
+    const daysAhead = getNotificationSettings().daysAhead;
+    const now = new Date();
+    const horizon = new Date(now.getTime() + daysAhead * DAY_MS);
+    const relevant = queue.filter(item => isNotificationInRange(item, now, horizon));
+
+    const byRecipient = {};
+    relevant.forEach(item => {
+      const feed = getFeeds().find(f => f.name === item.feed);
+      if (!feed) return;
+      getNotificationRecipients(feed)
+        .filter(recipient => !(item.sentTo || []).includes(recipient))
+        .forEach(recipient => {
+          (byRecipient[recipient] = byRecipient[recipient] || []).push(item);
+        });
+    });
+
+    let sent = 0;
+    Object.keys(byRecipient).forEach(recipient => {
+      const items = byRecipient[recipient];
+      MailApp.sendEmail({
+        to: recipient,
+        subject: `Schedule changes: ${items.length} update${items.length === 1 ? '' : 's'}`,
+        body: items.map(formatNotificationText).join('\n\n'),
+        htmlBody: formatNotificationHtml(items)
+      });
+      sent++;
+
+      // Saved after every email, so a failure further on never sends this digest twice
+      items.forEach(item => {
+        item.sentTo = (item.sentTo || []).concat(recipient);
+      });
+      saveNotificationQueue(relevant);
+    });
+
+    saveNotificationQueue([]);
+    console.log(`✓ Sent ${sent} change digest(s) covering ${relevant.length} change(s) (${queue.length - relevant.length} outside the next ${daysAhead} days skipped)`);
+    return sent;
+
+  } catch (error) {
+    // Whatever was not sent stays queued, so the next run tries again
+    console.warn('⚠️ Could not send change notifications:', error);
+    return 0;
+  }
+}
+
+/**
+ * True when either the old or the new start falls between now and the horizon
+ */
+function isNotificationInRange(item, now, horizon) {
+  const starts = [parseNotificationTime(item.startTime)];
+  (item.changes || []).forEach(change => {
+    if (change.field === 'startTime') starts.push(parseNotificationTime(change.before));
+  });
+  const dayOf = date => Utilities.formatDate(date, getFeedTimeZone(null), 'yyyy-MM-dd');
+  return starts.some(start => start >= now && start <= horizon) ||
+    // an all-day event happening today has already "started"
+    starts.some(start => dayOf(start) === dayOf(now));
+}
+
+// ============ FORMATTING ============
+function formatNotificationText(item) {
+  if (item.type === 'canceled') {
+    return `❌ Canceled: ${item.title} (${formatNotificationTime(item.startTime)})`;
+  }
+
+  const heading = item.type === 'moved' ? '📍 Location changed' : '⏰ Rescheduled';
+  const lines = [`${heading}: ${item.title}`];
+  item.changes.forEach(change => {
+    lines.push(`   ${describeNotificationField(change.field)}: ${formatNotificationValue(change.field, change.before)} → ${formatNotificationValue(change.field, change.after)}`);
+  });
+  return lines.join('\n');
+}
+
+function formatNotificationHtml(items) {
+  const rows = items.map(item => {
+    const text = escapeHtml(formatNotificationText(item)).replace(/\n/g, '<br>');
+    return `<p style="margin:0 0 12px 0">${text}</p>`;
+  });
+  return `<div style="font-family:Arial,sans-serif;font-size:14px">${rows.join('')}</div>`;
+}
+
+function describeNotificationField(field) {
+  return { startTime: 'Start', endTime: 'End', allDay: 'All day', location: 'Location' }[field] || field;
+}
+
+function formatNotificationValue(field, value) {
+  if (field === 'startTime' || field === 'endTime') return formatNotificationTime(value);
+  if (field === 'allDay') return value ? 'yes' : 'no';
+  return value || '(none)';
+}
+
+/**
+ * Formats an ISO time or an all-day YYYY-MM-DD key in the calendar's timezone
+ */
+function formatNotificationTime(value) {
+  const allDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const pattern = allDay ? 'EEE MMM d' : 'EEE MMM d, h:mm a';
+  return Utilities.formatDate(parseNotificationTime(value), getFeedTimeZone(null), pattern);
+}
+
+/**
+ * Parses an ISO time, or an all-day YYYY-MM-DD key as midnight in the calendar's timezone
+ */
+function parseNotificationTime(value) {
+  const dateKey = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateKey) {
+    const wallMs = Date.UTC(parseInt(dateKey[1]), parseInt(dateKey[2]) - 1, parseInt(dateKey[3]));
+    return zonedWallTimeToDate(wallMs, getFeedTimeZone(null));
+  }
+  return new Date(value);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ============ SETTINGS & STORAGE ============
+function getNotificationSettings() {
+  const settings = CONFIG.NOTIFICATIONS || {};
+  return {
+    recipients: settings.recipients || [],
+    daysAhead: settings.daysAhead || DEFAULT_NOTIFICATION_DAYS_AHEAD,
+    quietHours: settings.quietHours || null
+  };
+}
+
+/**
+ * Everyone who gets a feed's changes: global recipients plus the feed's subscribers
+ */
+function getNotificationRecipients(feed) {
+  const recipients = getNotificationSettings().recipients.concat(feed.subscribers || []);
+  return recipients.filter((recipient, index) => recipients.indexOf(recipient) === index);
+}
+
+/**
+ * Quiet hours are whole hours in the calendar's timezone; start > end wraps past midnight
+ */
+function isQuietHours(date) {
+  const quietHours = getNotificationSettings().quietHours;
+  if (!quietHours) return false;
+
+  const hour = parseInt(Utilities.formatDate(date, getFeedTimeZone(null), 'H'), 10);
+  if (quietHours.start <= quietHours.end) {
+    return hour >= quietHours.start && hour < quietHours.end;
+  }
+  return hour >= quietHours.start || hour < quietHours.end;
+}
+
+function readNotificationQueue() {
+  try {
+    return loadChunkedProperty(NOTIFICATION_QUEUE_KEY) || [];
+  } catch (error) {
+    console.warn('⚠️ Discarding unreadable change notification queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves the queue, dropping the oldest items beyond MAX_NOTIFICATION_QUEUE_ITEMS
+ */
+function saveNotificationQueue(queue) {
+  const dropped = Math.max(0, queue.length - MAX_NOTIFICATION_QUEUE_ITEMS);
+  if (dropped > 0) {
+    console.warn(`⚠️ Change notification queue is full - dropped the ${dropped} oldest notification(s)`);
+  }
+  saveChunkedProperty(NOTIFICATION_QUEUE_KEY, queue.slice(dropped));
+}
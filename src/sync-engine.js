@@ -0,0 +1,837 @@
+/**
+ * Feed Sync Engine
+ * One fetch → parse → window filter → create/update/delete pipeline shared by every feed
+ * Feeds are declared in CONFIG.FEEDS (see examples/sample-config.js)
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Older configs without FEEDS (HOCKEY_CALENDAR_URL, F1_CALENDAR_URL, BASEBALL_CALENDAR_URL)
+// are translated by getLegacyFeeds() so existing stable UIDs keep matching.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EVENT_DURATION_MS = 2 * 60 * 60 * 1000;
+const TIME_CHANGE_TOLERANCE_MS = 300000; // 5 minutes tolerance
+const STABLE_UID_BYTES = 12; // 96 bits of SHA-256 - no realistic chance of two events colliding
+
+// ============ FEED CONFIGURATION ============
+/**
+ * Returns every configured feed with defaults applied
+ */
+function getFeeds() {
+  const feeds = (CONFIG.FEEDS || getLegacyFeeds()).map(normalizeFeed);
+  validateFeedIdentities(feeds);
+  return feeds;
+}
+
+/**
+ * Returns a single feed by name
+ * @param {string} name - Feed name from CONFIG.FEEDS (e.g. 'hockey')
+ */
+function getFeed(name) {
+  const feed = getFeeds().find(f => f.name === name);
+  if (!feed) {
+    throw new Error(`Unknown feed "${name}". Check CONFIG.FEEDS.`);
+  }
+  return feed;
+}
+
+/**
+ * Builds feed definitions from the original per-sport config keys
+ * UID settings mirror the old createStableUID / createF1StableUID / createBaseballStableUID
+ */
+function getLegacyFeeds() {
+  const feeds = [];
+
+  if (CONFIG.HOCKEY_CALENDAR_URL) {
+    feeds.push({
+      name: 'hockey',
+      label: 'Hockey',
+      url: CONFIG.HOCKEY_CALENDAR_URL,
+      prefix: CONFIG.EVENT_PREFIX,
+      uidMarker: 'Hockey-UID',
+      uidPrefix: 'benchapp-stable',
+      uidFields: ['title', 'startTime', 'location'],
+      daysLookback: CONFIG.DAYS_LOOKBACK,
+      daysLookahead: CONFIG.DAYS_LOOKAHEAD,
+      lastSyncProperty: 'lastSyncTime'
+    });
+  }
+
+  if (CONFIG.F1_CALENDAR_URL) {
+    feeds.push({
+      name: 'f1',
+      label: 'F1',
+      url: CONFIG.F1_CALENDAR_URL,
+      prefix: CONFIG.F1_EVENT_PREFIX,
+      uidMarker: 'F1-UID',
+      uidPrefix: 'f1-stable',
+      uidNamespace: 'f1',
+      uidFields: ['title', 'startTime'],
+      daysLookback: 30,
+      daysLookahead: 365,
+      titleNormalizer: 'stripF1TitlePrefix',
+      filter: 'isRaceOrSprint',
+      lastSyncProperty: 'lastF1SyncTime'
+    });
+  }
+
+  if (CONFIG.BASEBALL_CALENDAR_URL) {
+    feeds.push({
+      name: 'baseball',
+      label: 'Baseball',
+      url: CONFIG.BASEBALL_CALENDAR_URL,
+      prefix: CONFIG.BASEBALL_EVENT_PREFIX,
+      uidMarker: 'Baseball-UID',
+      uidPrefix: 'baseball-stable',
+      uidNamespace: 'baseball',
+      uidFields: ['title', 'startTime', 'location'],
+      daysLookback: 7,
+      daysLookahead: 90,
+      lastSyncProperty: 'lastBaseballSyncTime'
+    });
+  }
+
+  return feeds;
+}
+
+/**
+ * Validates a feed definition and fills in defaults for missing settings
+ */
+function normalizeFeed(feed) {
+  if (!feed.name || !feed.url || !feed.uidMarker) {
+    throw new Error(`Feed ${JSON.stringify(feed.name || feed)} needs at least name, url and uidMarker.`);
+  }
+
+  const defaults = {
+    label: feed.name,
+    enabled: true,
+    calendarId: CONFIG.FAMILY_CALENDAR_ID,
+    routes: [],
+    prefix: '',
+    uidPrefix: `${feed.name}-stable`,
+    uidNamespace: '',
+    uidFields: ['title', 'startTime', 'location'],
+    daysLookback: CONFIG.DAYS_LOOKBACK || 7,
+    daysLookahead: CONFIG.DAYS_LOOKAHEAD || 90,
+    titleNormalizer: null,
+    titleFormat: null,
+    filter: null,
+    lastSyncProperty: `last_${feed.name}_SyncTime`
+  };
+
+  const normalized = Object.assign({}, defaults);
+  Object.keys(feed).forEach(key => {
+    if (feed[key] !== undefined && feed[key] !== null) {
+      normalized[key] = feed[key];
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Feed names and UID schemes must be unique: two BenchApp teams with the same uidPrefix and
+ * uidNamespace would give their identical practices the same stable UID
+ */
+function validateFeedIdentities(feeds) {
+  const names = new Set();
+  const schemes = new Map();
+  feeds.forEach(feed => {
+    if (names.has(feed.name)) {
+      throw new Error(`Feed name "${feed.name}" is used twice. Check CONFIG.FEEDS.`);
+    }
+    names.add(feed.name);
+
+    const scheme = `${feed.uidPrefix}|${feed.uidNamespace}`;
+    if (schemes.has(scheme)) {
+      throw new Error(`Feeds "${schemes.get(scheme)}" and "${feed.name}" share uidPrefix "${feed.uidPrefix}" and uidNamespace "${feed.uidNamespace}" - give each a different uidNamespace.`);
+    }
+    schemes.set(scheme, feed.name);
+  });
+}
+
+/**
+ * Resolves a titleNormalizer/filter setting to a function
+ * Accepts a function or the name of a global function (config.gs loads before
+ * the other files, so CONFIG can only refer to script functions by name)
+ */
+function resolveFeedHook(hook, feed) {
+  if (!hook) return null;
+  if (typeof hook === 'function') return hook;
+
+  const fn = globalThis[hook];
+  if (typeof fn !== 'function') {
+    throw new Error(`Feed "${feed.name}" refers to unknown function "${hook}".`);
+  }
+  return fn;
+}
+
+/**
+ * Returns the sync window for a feed relative to now
+ */
+function getFeedWindow(feed, now = new Date()) {
+  return {
+    start: new Date(now.getTime() - (feed.daysLookback * DAY_MS)),
+    end: new Date(now.getTime() + (feed.daysLookahead * DAY_MS))
+  };
+}
+
+/**
+ * Keeps the events that start inside the feed's sync window
+ */
+function filterEventsToWindow(feed, events) {
+  const syncWindow = getFeedWindow(feed);
+  return events.filter(event =>
+    event.startTime >= syncWindow.start && event.startTime <= syncWindow.end
+  );
+}
+
+// ============ STABLE UID GENERATION ============
+/**
+ * Create a stable UID based on event content instead of the feed's changing UIDs
+ * The content is hashed with SHA-256 (first 12 bytes, as hex), e.g. benchapp-stable-3f9a0c...
+ */
+function createStableUID(event, feed) {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    getStableUIDString(event, feed),
+    Utilities.Charset.UTF_8
+  );
+  return `${feed.uidPrefix}-${bytesToHex(digest.slice(0, STABLE_UID_BYTES))}`;
+}
+
+/**
+ * The 32-bit hash UID used before SHA-256 (e.g. benchapp-stable-123456789)
+ * Still computed so events synced with it are recognized and moved to the new UID
+ */
+function createLegacyStableUID(event, feed) {
+  const stableString = getStableUIDString(event, feed);
+
+  let hash = 0;
+  for (let i = 0; i < stableString.length; i++) {
+    const char = stableString.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+
+  return `${feed.uidPrefix}-${Math.abs(hash)}`;
+}
+
+/**
+ * The namespace and uidFields of an event joined into the string that is hashed
+ */
+function getStableUIDString(event, feed) {
+  const parts = feed.uidNamespace ? [feed.uidNamespace] : [];
+  feed.uidFields.forEach(field => {
+    const value = event[field];
+    if (value instanceof Date) {
+      parts.push(value.getTime().toString());
+    } else {
+      parts.push((value || '').trim());
+    }
+  });
+  return parts.join('|');
+}
+
+/**
+ * Gives feed events that share a UID distinct ones
+ * Identical copies (BenchApp sometimes lists an event twice) are dropped; events that only
+ * share the hashed fields get a suffix from the rest of their content, so it stays stable
+ * @returns {Array} Feed events with unique UIDs
+ */
+function resolveUIDCollisions(feed, feedEvents) {
+  const groups = new Map();
+  feedEvents.forEach(event => {
+    if (!groups.has(event.uid)) groups.set(event.uid, []);
+    groups.get(event.uid).push(event);
+  });
+
+  const resolved = [];
+  groups.forEach((events, uid) => {
+    if (events.length === 1) {
+      resolved.push(events[0]);
+      return;
+    }
+
+    const byContent = new Map();
+    events.forEach(event => {
+      const content = JSON.stringify([
+        event.title,
+        event.startTime.getTime(),
+        getFeedEventEndTime(event).getTime(),
+        !!event.allDay,
+        event.location || '',
+        event.description || ''
+      ]);
+      if (!byContent.has(content)) byContent.set(content, event);
+    });
+
+    const dropped = events.length - byContent.size;
+    if (dropped > 0) {
+      console.warn(`⚠️ ${feed.label} feed lists "${events[0].title}" (${uid}) ${events.length} times - ignoring ${dropped} identical cop${dropped === 1 ? 'y' : 'ies'}`);
+    }
+    if (byContent.size === 1) {
+      resolved.push(byContent.values().next().value);
+      return;
+    }
+
+    console.warn(`⚠️ UID collision in ${feed.label} feed: ${byContent.size} different events share ${uid} - disambiguating`);
+    byContent.forEach((event, content) => {
+      const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, content, Utilities.Charset.UTF_8);
+      resolved.push(Object.assign({}, event, { uid: `${uid}-${bytesToHex(digest.slice(0, 4))}` }));
+    });
+  });
+
+  return resolved;
+}
+
+function bytesToHex(bytes) {
+  return bytes.map(byte => (byte & 0xff).toString(16).padStart(2, '0')).join('');
+}
+
+// ============ MAIN SYNC FUNCTIONS ============
+/**
+ * Syncs every enabled feed; a failing feed does not stop the others
+ * @param {Object} options - { planOnly: true } returns each feed's plan instead of syncing
+ */
+function syncAllFeeds(options) {
+  return syncFeeds(getFeeds().filter(feed => feed.enabled), options);
+}
+
+/**
+ * Syncs the given feeds in order within one time budget and sends one change digest
+ * @returns {Object} Results per feed name
+ */
+function syncFeeds(feeds, options) {
+  const summary = {};
+  const failures = [];
+  startSyncBudget();
+
+  feeds.forEach(feed => {
+    if (!hasSyncTimeLeft()) {
+      console.warn(`⚠️ Time budget used up - ${feed.label} is left for the next scheduled sync`);
+      summary[feed.name] = { skipped: true };
+      return;
+    }
+    try {
+      summary[feed.name] = runFeedSync(feed, options);
+    } catch (error) {
+      summary[feed.name] = { error: error.toString() };
+      failures.push(feed.name);
+    }
+  });
+
+  // One change digest for the whole run
+  sendChangeDigest();
+
+  if (failures.length > 0) {
+    throw new Error(`Sync failed for feed(s): ${failures.join(', ')}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Syncs a single feed by name
+ * @param {string} name - Feed name from CONFIG.FEEDS
+ * @param {Object} options - { planOnly: true } returns the plan without touching the calendar
+ */
+function syncFeed(name, options) {
+  startSyncBudget();
+  try {
+    return runFeedSync(getFeed(name), options);
+  } finally {
+    sendChangeDigest();
+  }
+}
+
+/**
+ * Runs the full pipeline for one feed
+ * Options: planOnly (return the plan, change nothing), force (full compare even if the feed is unchanged)
+ * Time-driven triggers pass an event object as options, which never has these set
+ * Every run is appended to the sync history (sync-history.js)
+ */
+function runFeedSync(feed, options) {
+  const planOnly = !!(options && options.planOnly === true);
+  const force = !!(options && options.force === true);
+  const run = startSyncRun(feed, planOnly ? 'plan' : 'sync');
+
+  try {
+    console.log(`=== ${feed.label} Calendar Sync Started at ${run.startedAt} ===`);
+
+    const calendar = getRoutedCalendar(feed.calendarId);
+
+    // Conditional fetch against the last full sync (feed-cache.js)
+    const cache = planOnly || force ? null : getFeedCacheState(feed);
+    const fetched = fetchFeed(feed, cache);
+
+    // CRITICAL: Don't proceed if fetch failed
+    if (fetched.failure) {
+      console.error(`❌ Cannot fetch ${feed.label} data - aborting sync to prevent data loss`);
+      compareWithLastSnapshot(feed);
+      run.failure = fetched.failure;
+      throw new Error(`${feed.label} fetch failed (${fetched.failure.type}) - sync aborted for safety`);
+    }
+
+    const feedEvents = fetched.events;
+    run.fetched = feedEvents.length;
+
+    console.log(`✓ Fetched ${feedEvents.length} ${feed.label} events`);
+
+    if (feedEvents.length === 0) {
+      console.warn('⚠️ Zero events fetched - this is unusual. Checking if this is expected...');
+    }
+
+    // A later 304 reuses the latest snapshot, so the validators are only kept when this very
+    // content was stored (not when it was too large, over quota or snapshots are off)
+    const snapshot = planOnly ? null : saveFeedSnapshot(feed, feedEvents);
+    const validators = snapshot
+      ? { etag: fetched.etag, lastModified: fetched.lastModified }
+      : { etag: null, lastModified: null };
+
+    // Only sync events within the window so past events outside the lookback aren't duplicated
+    const windowEvents = filterEventsToWindow(feed, feedEvents);
+    run.inWindow = windowEvents.length;
+
+    const filteredOut = feedEvents.length - windowEvents.length;
+    if (filteredOut > 0) {
+      console.log(`✓ Filtered out ${filteredOut} events outside sync window (${feed.daysLookback} days back, ${feed.daysLookahead} days ahead)`);
+    }
+
+    // Events shared with an earlier feed of the same mergeGroup are left to that feed (feed-merge.js)
+    const merge = mergeSharedEvents(feed, windowEvents);
+    const filteredEvents = merge.events;
+
+    // Identical to the last full sync: skip reading and comparing the calendar
+    const feedHash = computeFeedEventsHash(feed, filteredEvents);
+    run.feedHash = feedHash;
+    if (!planOnly && isFeedUnchanged(cache, feedHash)) {
+      const skippedResults = {
+        added: 0, updated: 0, removed: 0, unchanged: filteredEvents.length, deferred: 0, suspicious: false, skipped: true
+      };
+      console.log(`=== ${feed.label} feed identical to the last synced version - no changes, calendar not compared ===`);
+      saveFeedCacheState(feed, Object.assign({}, cache, validators));
+      finishSyncRun(run, 'no-changes', skippedResults);
+      return skippedResults;
+    }
+
+    // Every calendar the feed routes to or still has events in (calendar-routing.js)
+    const existingEvents = getAllFeedEvents(feed);
+    console.log(`✓ Found ${existingEvents.length} existing ${feed.label} events in calendar`);
+
+    if (planOnly) {
+      const plan = buildSyncPlan(feed, filteredEvents, existingEvents);
+      logSyncPlan(plan);
+      finishSyncRun(run, 'planned', {
+        added: plan.summary.create, updated: plan.summary.update, removed: plan.summary.delete, unchanged: plan.summary.unchanged
+      });
+      return plan;
+    }
+
+    const results = processEvents(calendar, feed, filteredEvents, existingEvents, merge.handedOver);
+
+    console.log(`=== ${feed.label} Sync Complete: ${results.added} added, ${results.updated} updated, ${results.removed} removed, ${results.unchanged} unchanged ===`);
+    if (results.suspicious) {
+      console.warn(`⚠️ ${results.deferred} ${feed.label} removals deferred by the mass-deletion safety check`);
+    }
+
+    if (results.failed > 0) {
+      console.warn(`⚠️ ${results.failed} ${feed.label} calendar writes failed - they are retried next sync`);
+    }
+
+    // Removals held back by the safety check, actions left for resumeSync and failed writes must be
+    // re-checked next time, so no hash then
+    saveFeedCacheState(feed, {
+      etag: validators.etag,
+      lastModified: validators.lastModified,
+      hash: results.suspicious || results.pending > 0 || results.failed > 0 ? null : feedHash,
+      lastFullSync: new Date().toISOString()
+    });
+    finishSyncRun(run, results.pending > 0 ? 'partial' : 'synced', results);
+
+    return results;
+
+  } catch (error) {
+    console.error(`❌ ${feed.label} sync failed:`, error);
+    run.errors.push(String(error && error.message || error));
+    finishSyncRun(run, 'failed');
+    throw error;
+  }
+}
+
+// ============ FETCH & PARSE ============
+/**
+ * Returns the URL to fetch for a feed (webcal:// is fetched over https://)
+ */
+function getFeedFetchUrl(feed) {
+  return feed.url.replace(/^webcal:\/\//, 'https://');
+}
+
+/**
+ * Fetches and parses events for a feed
+ * Returns null (not an empty array) on failure so callers never treat an outage as "no events"
+ */
+function fetchFeedEvents(feed) {
+  const fetched = fetchFeed(feed, null);
+  return fetched.failure ? null : fetched.events;
+}
+
+/**
+ * Fetches (with retries, see feed-fetch.js) and parses a feed, sending conditional headers for
+ * a cached state (feed-cache.js). A 304 answer reuses the events of the latest snapshot.
+ * @returns {{ events, etag, lastModified, notModified, failure }} events is null when failure is set
+ */
+function fetchFeed(feed, cache) {
+  const fetched = fetchWithRetry(getFeedFetchUrl(feed), { headers: getConditionalHeaders(cache) });
+  const failed = failure => {
+    console.error(`${feed.label} feed: ${describeFetchFailure(failure)}`);
+    return { events: null, failure: failure };
+  };
+
+  if (fetched.failure) {
+    return failed(fetched.failure);
+  }
+
+  const response = fetched.response;
+  if (response.getResponseCode() === 304) {
+    const snapshotEvents = loadLatestSnapshotEvents(feed);
+    if (snapshotEvents) {
+      console.log(`✓ ${feed.label} feed not modified since last sync (HTTP 304)`);
+      return { events: snapshotEvents, etag: cache.etag, lastModified: cache.lastModified, notModified: true, failure: null };
+    }
+    console.log(`${feed.label} feed not modified, but there is no snapshot to reuse - fetching in full`);
+    return fetchFeed(feed, null);
+  }
+
+  const icsData = response.getContentText();
+
+  if (!icsData || !icsData.includes('BEGIN:VCALENDAR')) {
+    return failed(createFetchFailure('invalid-content', `HTTP ${response.getResponseCode()} without BEGIN:VCALENDAR`, response.getResponseCode()));
+  }
+
+  try {
+    return {
+      events: parseFeedEvents(icsData, feed),
+      etag: getResponseHeader(response, 'ETag'),
+      lastModified: getResponseHeader(response, 'Last-Modified'),
+      notModified: false,
+      failure: null
+    };
+  } catch (error) {
+    return failed(createFetchFailure('parse-error', String(error && error.message || error), null));
+  }
+}
+
+/**
+ * Parses ICS data (ics-parser.js), classifies each event (event-classifier.js) and applies the
+ * feed's title normalizer and titleFormat, stable UID and filter
+ */
+function parseFeedEvents(icsData, feed) {
+  const titleNormalizer = resolveFeedHook(feed.titleNormalizer, feed);
+  const filter = resolveFeedHook(feed.filter, feed);
+
+  // Recurring events are expanded only within the sync window
+  const events = parseICSData(icsData, {
+    range: getFeedWindow(feed),
+    defaultTimeZone: getFeedTimeZone(feed)
+  });
+
+  return events
+    .map(event => {
+      event.details = classifyEvent(event, feed);
+      if (titleNormalizer) {
+        event.title = titleNormalizer(event.title, event);
+      }
+      if (feed.titleFormat) {
+        event.title = formatEventTitle(feed.titleFormat, event);
+      }
+      event.uid = createStableUID(event, feed);
+      return event;
+    })
+    .filter(event => !filter || filter(event));
+}
+
+// ============ CALENDAR MANAGEMENT ============
+/**
+ * Gets events previously synced from a feed (matched by identity tags, see event-identity.js)
+ */
+function getExistingFeedEvents(calendar, feed) {
+  const syncWindow = getFeedWindow(feed);
+
+  const events = calendar.getEvents(syncWindow.start, syncWindow.end);
+  return events.filter(event => isFeedEvent(event, feed));
+}
+
+/**
+ * Process events - add new ones, update changed ones, remove ones no longer in the feed
+ * The actions come from buildSyncPlan (sync-plan.js), so a dry run and a real sync always agree
+ * Actions that don't fit in the time budget are resumed by a follow-up run (sync-executor.js)
+ * @param {Object} handedOver - UIDs left to an earlier feed of the merge group (feed-merge.js)
+ */
+function processEvents(calendar, feed, feedEvents, existingEvents, handedOver) {
+  // Before planning, so the plan sees the events as they are after tagging
+  adoptUntaggedEvents(feed, feedEvents, existingEvents);
+
+  const plan = buildSyncPlan(feed, feedEvents, existingEvents);
+  plan.actions.forEach(action => {
+    if (action.action === 'delete' && handedOver && handedOver[action.uid]) {
+      action.handedOverTo = handedOver[action.uid];
+    }
+  });
+  const results = { added: 0, updated: 0, removed: 0, unchanged: plan.summary.unchanged, deferred: 0, pending: 0, failed: 0, suspicious: false };
+
+  // Mass-deletion circuit breaker (sync-safety.js): adds and updates still go through
+  let actions = plan.actions;
+  const safety = checkDeletionSafety(feed, plan, existingEvents.length);
+  if (safety.blocked) {
+    actions = actions.filter(action => action.action !== 'delete');
+    results.deferred = plan.summary.delete;
+    results.suspicious = true;
+  }
+
+  // This plan replaces whatever an earlier, interrupted run left over
+  clearSyncContinuation(feed);
+
+  const existingById = new Map();
+  existingEvents.forEach(event => existingById.set(event.getId(), event));
+
+  const execution = executeSyncActions(calendar, actions, action => ({ existingEvent: existingById.get(action.eventId), skipReason: null }));
+  ['added', 'updated', 'removed', 'failed'].forEach(key => {
+    results[key] = execution.results[key] || 0;
+  });
+
+  if (execution.remaining.length > 0) {
+    deferSyncActions(feed, execution.remaining);
+    results.pending = execution.remaining.length;
+  }
+
+  // Reschedules, moves and cancellations are emailed after the run (notifications.js)
+  queueChangeNotifications(feed, execution.applied);
+
+  // Calendars left with events after a route change are searched again next time
+  saveFeedCalendarIds(feed, existingEvents);
+
+  return results;
+}
+
+/**
+ * Returns the calendar fields (title, times, description, location, color, reminders) a feed event should have,
+ * the calendar it is routed to, plus the identity written to its tags
+ */
+function buildEventFields(feedEvent, feed) {
+  const description = (feedEvent.description || '').trim();
+  return {
+    uid: feedEvent.uid,
+    feed: feed.name,
+    sourceUid: feedEvent.originalUID || '',
+    calendarId: getEventCalendarId(feed, feedEvent),
+    title: feed.prefix + feedEvent.title,
+    startTime: feedEvent.startTime,
+    endTime: getFeedEventEndTime(feedEvent),
+    allDay: !!feedEvent.allDay,
+    description: (description ? description + '\n\n' : '') + `${feed.uidMarker}: ${feedEvent.uid}`,
+    location: feedEvent.location || '',
+    color: getEventColor(feed, feedEvent),
+    reminders: getEventReminders(feed, feedEvent)
+  };
+}
+
+/**
+ * End time for a feed event: DTEND when present, otherwise 2 hours (timed) or one day (all-day)
+ * All-day end dates are exclusive, as in ICS and CalendarApp
+ */
+function getFeedEventEndTime(feedEvent) {
+  if (feedEvent.allDay) {
+    return feedEvent.endTime && feedEvent.endTime > feedEvent.startTime
+      ? feedEvent.endTime
+      : addLocalDays(feedEvent.startTime, 1);
+  }
+  return feedEvent.endTime || new Date(feedEvent.startTime.getTime() + DEFAULT_EVENT_DURATION_MS);
+}
+
+/**
+ * Creates a new event in the calendar (all-day and multi-day events via createAllDayEvent)
+ * @param {Object} fields - Event fields from buildEventFields
+ */
+function createEvent(calendar, fields) {
+  const options = {
+    description: fields.description,
+    location: fields.location
+  };
+
+  const event = fields.allDay
+    ? calendar.createAllDayEvent(fields.title, fields.startTime, fields.endTime, options)
+    : calendar.createEvent(fields.title, fields.startTime, fields.endTime, options);
+  if (fields.color) {
+    event.setColor(fields.color);
+  }
+  applyEventReminders(event, fields.reminders || null, true);
+  writeEventIdentity(event, fields);
+
+  console.log(`Created: "${fields.title}" on ${fields.startTime.toDateString()} with UID: ${fields.uid}`);
+  return event;
+}
+
+/**
+ * Updates an existing event
+ * @param {Object} fields - Event fields from buildEventFields
+ */
+function updateEvent(existingEvent, fields) {
+  existingEvent.setTitle(fields.title);
+  if (fields.allDay) {
+    existingEvent.setAllDayDates(fields.startTime, fields.endTime);
+  } else {
+    existingEvent.setTime(fields.startTime, fields.endTime);
+  }
+  existingEvent.setDescription(fields.description);
+  existingEvent.setLocation(fields.location);
+  if (fields.color && existingEvent.getColor() !== fields.color) {
+    existingEvent.setColor(fields.color);
+  }
+  if (getReminderChange(existingEvent, fields.reminders || null)) {
+    applyEventReminders(existingEvent, fields.reminders || null, false);
+  }
+  writeEventIdentity(existingEvent, fields);
+
+  console.log(`Updated: "${fields.title}"`);
+}
+
+/**
+ * Checks if an event needs updating
+ */
+function needsUpdate(existingEvent, feedEvent, feed) {
+  return getEventChanges(existingEvent, feedEvent, feed).length > 0;
+}
+
+/**
+ * Lists the fields that differ between a calendar event and its feed event
+ * @returns {Array<{field: string, before: *, after: *}>} Times are ISO strings (date keys for all-day events)
+ */
+function getEventChanges(existingEvent, feedEvent, feed) {
+  const fields = buildEventFields(feedEvent, feed);
+  const changes = [];
+  const addChange = (field, before, after) => changes.push({ field: field, before: before, after: after });
+
+  if (existingEvent.getTitle() !== fields.title) {
+    addChange('title', existingEvent.getTitle(), fields.title);
+  }
+
+  // All-day events compare calendar dates; timed events compare instants with a tolerance
+  const wasAllDay = existingEvent.isAllDayEvent();
+  const existingStart = wasAllDay ? existingEvent.getAllDayStartDate() : existingEvent.getStartTime();
+  const existingEnd = wasAllDay ? existingEvent.getAllDayEndDate() : existingEvent.getEndTime();
+  let startChanged;
+  let endChanged;
+  if (wasAllDay !== fields.allDay) {
+    addChange('allDay', wasAllDay, fields.allDay);
+    startChanged = true;
+    endChanged = true;
+  } else if (fields.allDay) {
+    startChanged = formatDateKey(existingStart) !== formatDateKey(fields.startTime);
+    endChanged = formatDateKey(existingEnd) !== formatDateKey(fields.endTime);
+  } else {
+    startChanged = Math.abs(existingStart.getTime() - fields.startTime.getTime()) > TIME_CHANGE_TOLERANCE_MS;
+    endChanged = Math.abs(existingEnd.getTime() - fields.endTime.getTime()) > TIME_CHANGE_TOLERANCE_MS;
+  }
+  if (startChanged) {
+    addChange('startTime', formatEventTime(existingStart, wasAllDay), formatEventTime(fields.startTime, fields.allDay));
+  }
+  if (endChanged) {
+    addChange('endTime', formatEventTime(existingEnd, wasAllDay), formatEventTime(fields.endTime, fields.allDay));
+  }
+
+  const existingLocation = existingEvent.getLocation() || '';
+  if (existingLocation.toLowerCase().trim() !== fields.location.toLowerCase().trim()) {
+    addChange('location', existingLocation, fields.location);
+  }
+
+  // Compare descriptions without the UID marker line
+  const existingContentDesc = stripUIDMarker(existingEvent.getDescription() || '', feed.uidMarker);
+  const newContentDesc = (feedEvent.description || '').trim();
+  if (existingContentDesc !== newContentDesc) {
+    addChange('description', existingContentDesc, newContentDesc);
+  }
+
+  // Only events a color rule applies to are recolored (event-colors.js)
+  if (fields.color && existingEvent.getColor() !== fields.color) {
+    addChange('color', existingEvent.getColor(), fields.color);
+  }
+
+  // Reminders added by hand don't count (event-reminders.js)
+  const reminderChange = getReminderChange(existingEvent, fields.reminders);
+  if (reminderChange) {
+    addChange('reminders', reminderChange.before, reminderChange.after);
+  }
+
+  // A changed route moves the event (calendar-routing.js)
+  if (existingEvent.getOriginalCalendarId() !== fields.calendarId) {
+    addChange('calendar', existingEvent.getOriginalCalendarId(), fields.calendarId);
+  }
+
+  return changes;
+}
+
+/**
+ * Formats an event time for plans and logs: YYYY-MM-DD for all-day events, ISO otherwise
+ */
+function formatEventTime(date, allDay) {
+  return allDay ? formatDateKey(date) : date.toISOString();
+}
+
+/**
+ * Removes the "<Marker>: <uid>" line from a synced event description
+ */
+function stripUIDMarker(description, marker) {
+  const escapedMarker = escapeRegExp(marker);
+  return description
+    .replace(new RegExp(`\\n\\n${escapedMarker}:.*$`), '')
+    .replace(new RegExp(`^${escapedMarker}:.*$`), '')
+    .trim();
+}
+
+/**
+ * Extracts UID from event description (fallback for events without identity tags)
+ */
+function extractUIDFromDescription(description, marker) {
+  if (!description) return null;
+
+  const match = description.match(new RegExp(`${escapeRegExp(marker)}:\\s*([^\\n\\r\\s]+)`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in the script timezone
+ */
+function formatDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============ SETUP FUNCTIONS ============
+/**
+ * Replaces the per-sport triggers with a single syncAllFeeds trigger
+ */
+function setupSyncAllFeedsTrigger() {
+  console.log('Setting up syncAllFeeds trigger...');
+
+  const handlers = ['syncAllFeeds', 'syncHockeyCalendar', 'syncF1Calendar', 'syncBaseballCalendar'];
+  let deleted = 0;
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (handlers.includes(trigger.getHandlerFunction())) {
+      ScriptApp.deleteTrigger(trigger);
+      deleted++;
+    }
+  });
+  if (deleted > 0) console.log(`Deleted ${deleted} existing sync trigger(s)`);
+
+  const newTrigger = ScriptApp.newTrigger('syncAllFeeds')
+    .timeBased()
+    .everyHours(6)
+    .create();
+
+  console.log(`✓ Created syncAllFeeds trigger (runs every 6 hours): ${newTrigger.getUniqueId()}`);
+}
@@ -0,0 +1,194 @@
+/**
+ * Time-Budgeted Sync Execution
+ * Apps Script kills a run after 6 minutes, and every calendar write is followed by a 300 ms pause,
+ * so a big season (or several feeds at once) can run out of time half-way. Actions are applied
+ * only while the run's time budget lasts; whatever is left is saved as a continuation in script
+ * properties and a one-off trigger runs resumeSync() a minute later to finish it.
+ *
+ * Resumed actions go through the same checks as applyPlan (sync-plan.js): a create whose event
+ * already exists, or an update/delete of an event changed since, is skipped - so an action that
+ * did go through just before a run was cut off is never applied twice.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: SYNC_TIME_BUDGET_SECONDS (default 270, leaving room for logging and history)
+
+const DEFAULT_SYNC_TIME_BUDGET_SECONDS = 270;
+const SYNC_RESUME_DELAY_MS = 60 * 1000;
+const SYNC_RESUME_HANDLER = 'resumeSync';
+
+// Deadline of the current Apps Script execution; set by the entry points
+let syncDeadline = null;
+
+// ============ TIME BUDGET ============
+/**
+ * Starts the time budget for this execution; called by every entry point that writes to the calendar
+ */
+function startSyncBudget() {
+  const seconds = CONFIG.SYNC_TIME_BUDGET_SECONDS || DEFAULT_SYNC_TIME_BUDGET_SECONDS;
+  syncDeadline = Date.now() + seconds * 1000;
+}
+
+/**
+ * True while the execution is within its time budget (started on first use if no entry point did)
+ */
+function hasSyncTimeLeft() {
+  if (syncDeadline === null) startSyncBudget();
+  return Date.now() < syncDeadline;
+}
+
+// ============ EXECUTION ============
+/**
+ * Applies actions until they are done or the time budget runs out
+ * Uses Calendar API batches instead of CalendarApp when CONFIG.CALENDAR_BACKEND is 'batch'
+ * @param {Function} resolve - (action) → { existingEvent, skipReason } for each action
+ * @returns {Object} { results: { added, updated, removed, skipped }, applied, remaining }
+ */
+function executeSyncActions(calendar, actions, resolve) {
+  if (useCalendarBatch()) {
+    return executeSyncActionsBatched(calendar, actions, resolve);
+  }
+
+  const results = { added: 0, updated: 0, removed: 0, skipped: 0 };
+  const applied = [];
+  let remaining = [];
+
+  for (let i = 0; i < actions.length; i++) {
+    if (!hasSyncTimeLeft()) {
+      remaining = actions.slice(i);
+      break;
+    }
+
+    const action = actions[i];
+    const target = resolve(action);
+    if (target.skipReason) {
+      console.warn(`⚠️ Skipped ${action.action} of "${action.title}": ${target.skipReason}`);
+      results.skipped++;
+      continue;
+    }
+
+    applySyncAction(calendar, action, target.existingEvent);
+    applied.push(action);
+    results[SYNC_ACTION_RESULT_KEYS[action.action]]++;
+    Utilities.sleep(300); // Rate limiting
+  }
+
+  return { results: results, applied: applied, remaining: remaining };
+}
+
+/**
+ * Saves actions the time budget didn't allow and schedules resumeSync()
+ */
+function deferSyncActions(feed, actions) {
+  saveSyncContinuation(feed, {
+    feed: feed.name,
+    label: feed.label,
+    calendarId: feed.calendarId,
+    uidMarker: feed.uidMarker,
+    createdAt: new Date().toISOString(),
+    actions: actions
+  });
+  scheduleSyncResume();
+  console.warn(`⚠️ Time budget used up - ${actions.length} ${feed.label} actions saved, resuming in ${SYNC_RESUME_DELAY_MS / 60000} minute(s)`);
+}
+
+/**
+ * Finishes the actions left over by earlier runs (run by the one-off trigger)
+ * @returns {Object} Results per feed
+ */
+function resumeSync() {
+  startSyncBudget();
+  deleteSyncResumeTriggers();
+
+  const summary = {};
+  getFeeds().forEach(feed => {
+    const continuation = loadSyncContinuation(feed);
+    if (continuation) {
+      summary[feed.name] = resumeFeedSync(feed, continuation);
+    }
+  });
+
+  sendChangeDigest();
+  return summary;
+}
+
+function resumeFeedSync(feed, continuation) {
+  const run = startSyncRun(feed, 'resume');
+  console.log(`=== Resuming ${feed.label} sync from ${continuation.createdAt} (${continuation.actions.length} actions left) ===`);
+
+  try {
+    const calendar = CalendarApp.getCalendarById(continuation.calendarId);
+    if (!calendar) {
+      throw new Error(`Calendar ${continuation.calendarId} from the continuation was not found.`);
+    }
+
+    const execution = executeSyncActions(calendar, continuation.actions, action => {
+      const existingEvent = action.action === 'create' ? null : getActionCalendar(calendar, action.calendarId).getEventById(action.eventId);
+      return { existingEvent: existingEvent, skipReason: getPlanActionSkipReason(calendar, continuation, action, existingEvent) };
+    });
+    queueChangeNotifications(feed, execution.applied);
+
+    if (execution.remaining.length > 0) {
+      deferSyncActions(feed, execution.remaining);
+    } else {
+      clearSyncContinuation(feed);
+    }
+
+    const results = Object.assign(execution.results, { pending: execution.remaining.length });
+    console.log(`=== Resume: ${results.added} added, ${results.updated} updated, ${results.removed} removed, ${results.skipped} skipped, ${results.pending} still pending ===`);
+    finishSyncRun(run, execution.remaining.length > 0 ? 'partial' : 'synced', results);
+    return results;
+
+  } catch (error) {
+    run.errors.push(String(error));
+    finishSyncRun(run, 'failed');
+    console.error(`❌ Resuming ${feed.label} sync failed:`, error);
+    return { error: String(error) };
+  }
+}
+
+// ============ TRIGGERS ============
+function scheduleSyncResume() {
+  deleteSyncResumeTriggers();
+  ScriptApp.newTrigger(SYNC_RESUME_HANDLER)
+    .timeBased()
+    .after(SYNC_RESUME_DELAY_MS)
+    .create();
+}
+
+function deleteSyncResumeTriggers() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === SYNC_RESUME_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+// ============ STATE ============
+function getSyncContinuationKey(feed) {
+  return `syncContinuation_${feed.name}`;
+}
+
+/**
+ * Saves a continuation, split over several properties when needed (chunked-properties.js)
+ */
+function saveSyncContinuation(feed, continuation) {
+  saveChunkedProperty(getSyncContinuationKey(feed), continuation);
+}
+
+function loadSyncContinuation(feed) {
+  try {
+    return loadChunkedProperty(getSyncContinuationKey(feed));
+  } catch (error) {
+    console.warn(`⚠️ Discarding unreadable ${feed.label} continuation:`, error);
+    clearSyncContinuation(feed);
+    return null;
+  }
+}
+
+/**
+ * Drops a saved continuation; a fresh sync plans from the calendar's current state instead
+ */
+function clearSyncContinuation(feed) {
+  deleteChunkedProperty(getSyncContinuationKey(feed));
+}
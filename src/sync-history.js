@@ -0,0 +1,145 @@
+/**
+ * Sync Run History
+ * Every run of every feed (syncs, dry runs and failures) is appended to a rolling ledger in
+ * script properties, one chunked value per feed (chunked-properties.js), oldest records dropped first.
+ *
+ *   getSyncHistory('hockey', 5)  // last 5 hockey runs, newest first
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: SYNC_HISTORY_RETENTION (records kept per feed, default 30)
+
+const DEFAULT_SYNC_HISTORY_RETENTION = 30;
+
+/**
+ * Starts the record of a run; filled in by runFeedSync and saved by finishSyncRun
+ * @param {string} mode - 'sync', 'plan' or 'resume'
+ */
+function startSyncRun(feed, mode) {
+  const started = new Date();
+  const syncWindow = getFeedWindow(feed, started);
+
+  return {
+    runId: `${feed.name}-${started.getTime()}`,
+    feed: feed.name,
+    mode: mode,
+    status: null,
+    startedAt: started.toISOString(),
+    endedAt: null,
+    durationMs: null,
+    window: { start: syncWindow.start.toISOString(), end: syncWindow.end.toISOString() },
+    fetched: null,
+    inWindow: null,
+    added: 0,
+    updated: 0,
+    removed: 0,
+    unchanged: 0,
+    deferred: 0,
+    pending: 0,
+    failed: 0,
+    errors: [],
+    failure: null,
+    feedHash: null
+  };
+}
+
+/**
+ * Completes a run record and appends it to the feed's history
+ * A successful sync ('synced' or 'no-changes') also updates the feed's lastSyncProperty
+ * Never throws: history must not turn a good sync into a failed one
+ * @param {string} status - 'synced', 'partial' (actions left for resumeSync), 'no-changes', 'planned' or 'failed'
+ * @param {Object} results - Counts from processEvents (or the plan summary)
+ */
+function finishSyncRun(run, status, results) {
+  const ended = new Date();
+  run.status = status;
+  run.endedAt = ended.toISOString();
+  run.durationMs = ended.getTime() - new Date(run.startedAt).getTime();
+  if (results) {
+    ['added', 'updated', 'removed', 'unchanged', 'deferred', 'pending', 'failed'].forEach(key => {
+      run[key] = results[key] || 0;
+    });
+  }
+
+  try {
+    const feed = getFeed(run.feed);
+    if (run.mode === 'sync' && (status === 'synced' || status === 'no-changes')) {
+      PropertiesService.getScriptProperties().setProperty(feed.lastSyncProperty, run.endedAt);
+    }
+    appendSyncHistory(feed, run);
+  } catch (error) {
+    console.warn(`⚠️ Could not record ${run.feed} sync history:`, error);
+  }
+
+  return run;
+}
+
+/**
+ * Returns the most recent runs, newest first
+ * @param {string} name - Feed name (all feeds if omitted)
+ * @param {number} n - Number of records (default: 10)
+ */
+function getSyncHistory(name, n = 10) {
+  const feeds = typeof name === 'string' ? [getFeed(name)] : getFeeds();
+  const records = [];
+  feeds.forEach(feed => records.push(...readSyncHistory(feed).reverse()));
+
+  const history = records
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, n);
+
+  history.forEach(run => console.log(`${run.startedAt} ${run.feed} ${run.mode}: ${describeSyncResult(run)} (${run.durationMs} ms)`));
+  return history;
+}
+
+/**
+ * Returns the feed's most recent real sync (not a dry run), or null
+ */
+function getLastSyncResult(feed) {
+  const runs = readSyncHistory(feed).filter(run => run.mode === 'sync');
+  return runs.length > 0 ? runs[runs.length - 1] : null;
+}
+
+/**
+ * One-line description of a run for status logs
+ */
+function describeSyncResult(run) {
+  if (run.status === 'no-changes') return 'no changes (feed identical to last sync)';
+  if (run.status === 'failed') {
+    return `failed at ${run.startedAt}: ${run.failure ? describeFetchFailure(run.failure) : run.errors.join('; ')}`;
+  }
+  const verb = run.status === 'planned' ? 'planned' : 'synced';
+  return `${verb} ${run.added} added, ${run.updated} updated, ${run.removed} removed, ${run.unchanged} unchanged` +
+    (run.deferred ? `, ${run.deferred} removals deferred` : '') +
+    (run.pending ? `, ${run.pending} actions pending (resumeSync)` : '') +
+    (run.failed ? `, ${run.failed} writes failed` : '');
+}
+
+// ============ STORAGE ============
+function getSyncHistoryKey(feed) {
+  return `syncHistory_${feed.name}`;
+}
+
+function readSyncHistory(feed) {
+  try {
+    return loadChunkedProperty(getSyncHistoryKey(feed)) || [];
+  } catch (error) {
+    console.warn(`⚠️ Discarding unreadable ${feed.label} sync history:`, error);
+    return [];
+  }
+}
+
+/**
+ * Appends a record, dropping the oldest beyond the retention count
+ */
+function appendSyncHistory(feed, run) {
+  const retention = CONFIG.SYNC_HISTORY_RETENTION || DEFAULT_SYNC_HISTORY_RETENTION;
+  const history = readSyncHistory(feed);
+  history.push(run);
+
+  while (history.length > retention) {
+    history.shift();
+  }
+
+  saveChunkedProperty(getSyncHistoryKey(feed), history);
+}
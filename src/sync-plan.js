@@ -0,0 +1,278 @@
+/**
+ * Sync Plans
+ * Dry-run support: a plan lists the create/update/delete actions a sync would take
+ * without touching the calendar, and applyPlan() carries out a reviewed plan later
+ *
+ *   const plan = syncHockeyCalendar({ planOnly: true });  // logs the plan, changes nothing
+ *   applyPlan(plan);                                      // after reviewing it
+ */
+
+// Plans only hold plain data (dates as ISO strings) so they can be logged, stored or emailed
+
+const SYNC_ACTION_RESULT_KEYS = { create: 'added', update: 'updated', delete: 'removed' };
+
+// ============ PLANNING ============
+/**
+ * Matches feed events against existing calendar events and lists the required actions
+ * @returns {Object} { feed, label, calendarId, uidMarker, createdAt, summary, actions }
+ */
+function buildSyncPlan(feed, feedEvents, existingEvents) {
+  const actions = [];
+  let unchanged = 0;
+
+  // Two feed events with one UID would fight over one calendar event (sync-engine.js)
+  feedEvents = resolveUIDCollisions(feed, feedEvents);
+
+  // Create lookup maps
+  const feedEventMap = new Map();
+  feedEvents.forEach(event => feedEventMap.set(event.uid, event));
+
+  const existingEventMap = new Map();
+  existingEvents.forEach(event => {
+    const uid = getEventIdentity(event, feed);
+    if (uid) {
+      existingEventMap.set(uid, event);
+    }
+  });
+
+  console.log(`Matching ${feedEventMap.size} ${feed.label} events against ${existingEventMap.size} existing events`);
+
+  // Events synced with the old 32-bit UIDs, and rescheduled or relocated events (which get a new
+  // UID), are paired with their calendar event so it is updated in place (event-matching.js)
+  const rematched = new Map();
+  const rematchedIds = new Set();
+  const addPairs = pairs => pairs.forEach(pair => {
+    rematched.set(pair.feedEvent.uid, pair);
+    rematchedIds.add(pair.existingEvent.getId());
+  });
+  const unmatchedFeedEvents = () => feedEvents.filter(event =>
+    !existingEventMap.has(event.uid) && !rematched.has(event.uid)
+  );
+
+  addPairs(matchLegacyStableUIDs(feed, unmatchedFeedEvents(), existingEventMap));
+  addPairs(matchRescheduledEvents(
+    feed,
+    unmatchedFeedEvents(),
+    existingEvents.filter(event => {
+      const uid = getEventIdentity(event, feed);
+      return uid && !feedEventMap.has(uid) && !rematchedIds.has(event.getId());
+    })
+  ));
+
+  // Feed events are added or updated
+  feedEvents.forEach(feedEvent => {
+    const pair = rematched.get(feedEvent.uid);
+    const existingEvent = pair ? pair.existingEvent : existingEventMap.get(feedEvent.uid);
+    const fields = buildEventFields(feedEvent, feed);
+
+    if (!existingEvent) {
+      actions.push({
+        action: 'create',
+        uid: feedEvent.uid,
+        title: fields.title,
+        event: serializeEventFields(fields)
+      });
+      return;
+    }
+
+    // A rematched event is always updated, if only to take on its new UID
+    const changes = getEventChanges(existingEvent, feedEvent, feed);
+    if (changes.length === 0 && !pair) {
+      unchanged++;
+      return;
+    }
+
+    const action = {
+      action: 'update',
+      uid: feedEvent.uid,
+      eventId: existingEvent.getId(),
+      calendarId: existingEvent.getOriginalCalendarId(),
+      title: existingEvent.getTitle(),
+      lastUpdated: existingEvent.getLastUpdated().toISOString(),
+      changes: changes,
+      event: serializeEventFields(fields)
+    };
+    if (pair) {
+      action.previousUid = getEventIdentity(existingEvent, feed);
+      action.matchedBy = pair.matchedBy;
+    }
+    actions.push(action);
+  });
+
+  // Events that no longer exist in the feed are removed
+  existingEvents.forEach(existingEvent => {
+    const uid = getEventIdentity(existingEvent, feed);
+    if (uid && !feedEventMap.has(uid) && !rematchedIds.has(existingEvent.getId())) {
+      actions.push({
+        action: 'delete',
+        uid: uid,
+        eventId: existingEvent.getId(),
+        calendarId: existingEvent.getOriginalCalendarId(),
+        title: existingEvent.getTitle(),
+        startTime: existingEvent.getStartTime().toISOString(),
+        allDay: existingEvent.isAllDayEvent(),
+        lastUpdated: existingEvent.getLastUpdated().toISOString()
+      });
+    }
+  });
+
+  return {
+    feed: feed.name,
+    label: feed.label,
+    calendarId: feed.calendarId,
+    uidMarker: feed.uidMarker,
+    createdAt: new Date().toISOString(),
+    summary: {
+      create: actions.filter(action => action.action === 'create').length,
+      update: actions.filter(action => action.action === 'update').length,
+      delete: actions.filter(action => action.action === 'delete').length,
+      unchanged: unchanged
+    },
+    actions: actions
+  };
+}
+
+/**
+ * Logs a plan in a readable form
+ */
+function logSyncPlan(plan) {
+  console.log(`=== ${plan.label} Sync Plan (DRY RUN - nothing was changed) ===`);
+
+  plan.actions.forEach(action => {
+    if (action.action === 'create') {
+      console.log(`+ Create: "${action.title}" on ${new Date(action.event.startTime).toDateString()}`);
+    } else if (action.action === 'update') {
+      const rematch = action.previousUid ? ` (was ${action.previousUid}, matched by ${action.matchedBy})` : '';
+      console.log(`~ Update: "${action.title}"${rematch}`);
+      action.changes.forEach(change => {
+        console.log(`    ${change.field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`);
+      });
+    } else {
+      console.log(`- Delete: "${action.title}" on ${new Date(action.startTime).toDateString()}`);
+    }
+  });
+
+  const summary = plan.summary;
+  console.log(`=== Plan: ${summary.create} to create, ${summary.update} to update, ${summary.delete} to delete, ${summary.unchanged} unchanged ===`);
+  console.log('Run applyPlan(plan) to carry it out.');
+}
+
+// ============ APPLYING ============
+/**
+ * Carries out a plan returned by a planOnly sync
+ * Actions are skipped (not failed) when the calendar changed since the plan was made:
+ * the event is gone, was edited afterwards, or a create already happened
+ * Actions that don't fit in the time budget are finished by resumeSync (sync-executor.js)
+ * Deletions go through the mass-deletion safety check (sync-safety.js) like a sync's, unless approved
+ * @param {Object} plan - Plan from syncHockeyCalendar({ planOnly: true }) etc.
+ * @param {Object} options - { approveDeletions: true } carries out every deletion in the plan
+ */
+function applyPlan(plan, options = {}) {
+  if (!plan || !Array.isArray(plan.actions)) {
+    throw new Error('applyPlan needs a plan returned by a sync run with { planOnly: true }.');
+  }
+
+  const calendar = CalendarApp.getCalendarById(plan.calendarId);
+  if (!calendar) {
+    throw new Error(`Calendar ${plan.calendarId} from the plan was not found.`);
+  }
+
+  console.log(`=== Applying ${plan.label} plan from ${plan.createdAt} (${plan.actions.length} actions) ===`);
+
+  const feed = getFeeds().find(f => f.name === plan.feed);
+  let actions = plan.actions;
+  let deferred = 0;
+  const deleteCount = actions.filter(action => action.action === 'delete').length;
+  if (deleteCount > 0 && options.approveDeletions !== true) {
+    // A feed no longer in CONFIG has no safety settings to check against
+    const existingCount = plan.summary ? plan.summary.unchanged + plan.summary.update + plan.summary.delete : deleteCount;
+    const safety = feed ? checkDeletionSafety(feed, plan, existingCount) : { blocked: true };
+    if (safety.blocked) {
+      actions = actions.filter(action => action.action !== 'delete');
+      deferred = deleteCount;
+      console.warn(`⚠️ ${deleteCount} removals in the plan were held back - run applyPlan(plan, { approveDeletions: true }) to carry them out`);
+    }
+  }
+
+  startSyncBudget();
+  const execution = executeSyncActions(calendar, actions, action => {
+    const existingEvent = action.action === 'create' ? null : getActionCalendar(calendar, action.calendarId).getEventById(action.eventId);
+    return { existingEvent: existingEvent, skipReason: getPlanActionSkipReason(calendar, plan, action, existingEvent) };
+  });
+  const results = Object.assign({}, execution.results, { deferred: deferred });
+
+  if (feed) {
+    if (execution.remaining.length > 0) {
+      deferSyncActions(feed, execution.remaining);
+    }
+    queueChangeNotifications(feed, execution.applied);
+    // A plan can be stale or come from a snapshot, so the cached feed hash no longer describes the calendar
+    clearFeedCache(feed.name);
+    sendChangeDigest();
+  }
+
+  console.log(`=== Plan Applied: ${results.added} added, ${results.updated} updated, ${results.removed} removed, ${results.skipped} skipped, ${results.deferred} held back ===`);
+
+  return results;
+}
+
+/**
+ * Returns why a planned action can no longer be applied safely, or null
+ */
+function getPlanActionSkipReason(calendar, plan, action, existingEvent) {
+  if (action.action === 'create') {
+    const fields = deserializeEventFields(action.event);
+    const planFeed = { name: plan.feed, uidMarker: plan.uidMarker };
+    const alreadyCreated = getActionCalendar(calendar, fields.calendarId).getEvents(fields.startTime, fields.endTime)
+      .some(event => getEventIdentity(event, planFeed) === action.uid);
+    return alreadyCreated ? 'event already exists' : null;
+  }
+
+  if (!existingEvent) {
+    return 'event no longer exists';
+  }
+  if (existingEvent.getLastUpdated().toISOString() !== action.lastUpdated) {
+    return 'event was modified after the plan was made';
+  }
+  return null;
+}
+
+/**
+ * Performs one create/update/delete action
+ * Creates go to the event's routed calendar, and an update whose route changed moves the event
+ * @param {Calendar} calendar - The feed's default calendar
+ * @param {CalendarEvent} existingEvent - Event for update and delete actions
+ */
+function applySyncAction(calendar, action, existingEvent) {
+  if (action.action === 'create') {
+    const fields = deserializeEventFields(action.event);
+    createEvent(getActionCalendar(calendar, fields.calendarId), fields);
+  } else if (action.action === 'update') {
+    const fields = deserializeEventFields(action.event);
+    if (isCalendarMove(action)) {
+      moveSyncedEvent(existingEvent, fields);
+    } else {
+      updateEvent(existingEvent, fields);
+    }
+  } else if (action.action === 'delete') {
+    console.log(`Removing: "${action.title}" (UID: ${action.uid})`);
+    existingEvent.deleteEvent();
+  } else {
+    throw new Error(`Unknown sync action "${action.action}".`);
+  }
+}
+
+// ============ SERIALIZATION ============
+function serializeEventFields(fields) {
+  return Object.assign({}, fields, {
+    startTime: fields.startTime.toISOString(),
+    endTime: fields.endTime.toISOString()
+  });
+}
+
+function deserializeEventFields(event) {
+  return Object.assign({}, event, {
+    startTime: new Date(event.startTime),
+    endTime: new Date(event.endTime)
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * Mass-Deletion Circuit Breaker
+ * A feed that suddenly shrinks (BenchApp returning an empty or half-empty VCALENDAR) must not
+ * wipe the calendar. Large removals are held back until the same shrinkage is seen on
+ * several consecutive syncs, or approvePendingDeletions() is run.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: DELETION_SAFETY, per-feed `deletionSafety` (false disables the breaker)
+
+const DEFAULT_DELETION_SAFETY = {
+  maxDeletions: 10,        // Block a run that would remove more events than this
+  maxDeletionPercent: 50,  // ...or more than this share of the feed's existing events
+  confirmations: 3         // Consecutive syncs showing the same removals before they go through
+};
+
+/**
+ * Returns the effective deletion safety settings for a feed, or null when disabled
+ */
+function getDeletionSafety(feed) {
+  if (feed.deletionSafety === false || CONFIG.DELETION_SAFETY === false) return null;
+  return Object.assign({}, DEFAULT_DELETION_SAFETY, CONFIG.DELETION_SAFETY || {}, feed.deletionSafety || {});
+}
+
+/**
+ * Decides whether the deletions in a plan may run, recording blocked runs in script properties
+ * A single removal is never blocked, whatever the percentage
+ * @returns {{ blocked: boolean, reason: string|null, confirmations: number }}
+ */
+function checkDeletionSafety(feed, plan, existingCount) {
+  const settings = getDeletionSafety(feed);
+  const deleteUIDs = plan.actions.filter(action => action.action === 'delete').map(action => action.uid);
+  const deleteCount = deleteUIDs.length;
+  const percent = existingCount > 0 ? Math.round(deleteCount / existingCount * 100) : 0;
+
+  let reason = null;
+  if (settings && deleteCount > settings.maxDeletions) {
+    reason = `${deleteCount} removals exceed the limit of ${settings.maxDeletions}`;
+  } else if (settings && deleteCount > 1 && percent > settings.maxDeletionPercent) {
+    reason = `${deleteCount} removals are ${percent}% of ${existingCount} existing events (limit ${settings.maxDeletionPercent}%)`;
+  }
+
+  if (!reason) {
+    clearPendingDeletions(feed);
+    return { blocked: false, reason: null, confirmations: 0 };
+  }
+
+  // Same removals as the last blocked run count as a confirmation; anything else starts over
+  const fingerprint = getDeletionFingerprint(deleteUIDs);
+  const pending = getPendingDeletionState(feed);
+  const samePending = pending && pending.fingerprint === fingerprint;
+
+  if (samePending && pending.approved) {
+    console.log(`✓ ${deleteCount} ${feed.label} removals were approved manually - proceeding`);
+    clearPendingDeletions(feed);
+    return { blocked: false, reason: reason, confirmations: pending.confirmations };
+  }
+
+  const confirmations = samePending ? pending.confirmations + 1 : 1;
+  if (confirmations >= settings.confirmations) {
+    console.log(`✓ ${feed.label} shrinkage confirmed by ${confirmations} consecutive syncs - proceeding with ${deleteCount} removals`);
+    clearPendingDeletions(feed);
+    return { blocked: false, reason: reason, confirmations: confirmations };
+  }
+
+  savePendingDeletionState(feed, {
+    fingerprint: fingerprint,
+    count: deleteCount,
+    existingCount: existingCount,
+    reason: reason,
+    confirmations: confirmations,
+    firstBlocked: samePending ? pending.firstBlocked : new Date().toISOString(),
+    lastBlocked: new Date().toISOString(),
+    approved: false
+  });
+
+  console.warn(`⚠️ SUSPICIOUS ${feed.label} SYNC: ${reason}. Removals deferred (${confirmations}/${settings.confirmations} confirmations).`);
+  console.warn(`⚠️ If the feed really shrank, run approvePendingDeletions('${feed.name}') or wait for further syncs.`);
+
+  return { blocked: true, reason: reason, confirmations: confirmations };
+}
+
+/**
+ * Lets the removals held back by the breaker go through, then syncs the feed(s) right away
+ * The approval only covers the exact removals that were blocked; a different shrinkage is blocked again
+ * @param {string} name - Feed name (all feeds with pending removals if omitted)
+ */
+function approvePendingDeletions(name) {
+  const feeds = (typeof name === 'string' ? [getFeed(name)] : getFeeds())
+    .filter(feed => getPendingDeletionState(feed));
+
+  if (feeds.length === 0) {
+    console.log('No pending removals to approve.');
+    return {};
+  }
+
+  const summary = {};
+  startSyncBudget();
+  feeds.forEach(feed => {
+    const pending = getPendingDeletionState(feed);
+    pending.approved = true;
+    savePendingDeletionState(feed, pending);
+    console.log(`✓ Approved ${pending.count} pending ${feed.label} removals (first blocked ${pending.firstBlocked})`);
+    summary[feed.name] = runFeedSync(feed);
+  });
+  sendChangeDigest();
+  return summary;
+}
+
+/**
+ * Logs removals currently held back by the breaker
+ */
+function getPendingDeletions() {
+  const pending = {};
+  getFeeds().forEach(feed => {
+    const state = getPendingDeletionState(feed);
+    if (state) {
+      pending[feed.name] = state;
+      console.log(`⚠️ ${feed.label}: ${state.count} removals pending since ${state.firstBlocked} (${state.reason}; ${state.confirmations} confirmation(s))`);
+    }
+  });
+  if (Object.keys(pending).length === 0) {
+    console.log('✓ No pending removals');
+  }
+  return pending;
+}
+
+// ============ STATE ============
+function getPendingDeletionKey(feed) {
+  return `pendingDeletions_${feed.name}`;
+}
+
+function getPendingDeletionState(feed) {
+  const value = PropertiesService.getScriptProperties().getProperty(getPendingDeletionKey(feed));
+  return value ? JSON.parse(value) : null;
+}
+
+function savePendingDeletionState(feed, state) {
+  PropertiesService.getScriptProperties().setProperty(getPendingDeletionKey(feed), JSON.stringify(state));
+}
+
+function clearPendingDeletions(feed) {
+  PropertiesService.getScriptProperties().deleteProperty(getPendingDeletionKey(feed));
+}
+
+/**
+ * Short digest of the set of UIDs a run wants to remove
+ */
+function getDeletionFingerprint(uids) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, uids.slice().sort().join('\n'));
+  return Utilities.base64Encode(digest);
+}
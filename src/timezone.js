@@ -0,0 +1,97 @@
+/**
+ * Timezone Helpers
+ * Resolves wall clock times in IANA zones (America/Toronto, Europe/London, ...) to absolute
+ * instants, independent of the Apps Script project's own timezone
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: TIMEZONE (default zone for floating times), per-feed `timezone`
+
+const zoneFormatterCache = {};
+
+/**
+ * Zone used for floating (no TZID, no Z) times of a feed:
+ * feed.timezone → CONFIG.TIMEZONE → the script's timezone
+ */
+function getFeedTimeZone(feed) {
+  return (feed && feed.timezone) || CONFIG.TIMEZONE || Session.getScriptTimeZone();
+}
+
+/**
+ * Returns true if the id is a known IANA timezone
+ */
+function isValidTimeZone(tzid) {
+  if (!tzid) return false;
+  try {
+    getZoneFormatter(tzid);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Converts a wall clock time in an IANA zone to a Date
+ * Times skipped by a DST change move forward; repeated times resolve to the first occurrence
+ * @param {number} wallMs - Wall clock fields expressed as UTC milliseconds
+ * @param {string} tzid - IANA timezone id
+ */
+function zonedWallTimeToDate(wallMs, tzid) {
+  const firstOffset = getZoneOffsetMinutes(new Date(wallMs), tzid);
+  let instant = wallMs - firstOffset * 60000;
+
+  const secondOffset = getZoneOffsetMinutes(new Date(instant), tzid);
+  if (secondOffset !== firstOffset) {
+    // Only take the corrected guess if it really shows this wall time (it doesn't inside a DST gap)
+    const candidate = wallMs - secondOffset * 60000;
+    if (getZoneOffsetMinutes(new Date(candidate), tzid) === secondOffset) {
+      instant = candidate;
+    }
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Converts wall clock fields to a Date in the script's own timezone
+ */
+function localWallTimeToDate(wallMs) {
+  const wall = new Date(wallMs);
+  return new Date(
+    wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+    wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds()
+  );
+}
+
+/**
+ * UTC offset (minutes east of UTC) of an IANA zone at a given instant
+ */
+function getZoneOffsetMinutes(date, tzid) {
+  const parts = {};
+  getZoneFormatter(tzid).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const zonedMs = Date.UTC(
+    parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day),
+    parseInt(parts.hour) % 24, parseInt(parts.minute), parseInt(parts.second)
+  );
+  const instantMs = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((zonedMs - instantMs) / 60000);
+}
+
+function getZoneFormatter(tzid) {
+  if (!zoneFormatterCache[tzid]) {
+    zoneFormatterCache[tzid] = new Intl.DateTimeFormat('en-US', {
+      timeZone: tzid,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return zoneFormatterCache[tzid];
+}
@@ -0,0 +1,194 @@
+/**
+ * Weekly Family Agenda
+ * Emails the next 7 days of synced events from every feed (hockey, baseball, F1, ...) as an
+ * HTML agenda grouped by day, with map links and NEW / CHANGED badges since the last digest.
+ * Run setupWeeklyDigestTrigger() once to schedule it.
+ */
+
+// Configuration is imported from config.js file (config.gs in Google Apps Script)
+// Optional config keys: WEEKLY_DIGEST ({ recipients, day, hour }); recipients default to
+// NOTIFICATIONS.recipients
+
+const WEEKLY_DIGEST_DAYS = 7;
+const LAST_DIGEST_PROPERTY = 'lastWeeklyDigestTime';
+
+// ============ MAIN DIGEST FUNCTION ============
+/**
+ * Builds and emails the agenda for the coming week
+ * @returns {Object} { sent, events } - whether an email went out and how many events it listed
+ */
+function weeklyDigest() {
+  const recipients = getWeeklyDigestSettings().recipients;
+  if (recipients.length === 0) {
+    console.warn('⚠️ No weekly digest recipients configured (WEEKLY_DIGEST.recipients or NOTIFICATIONS.recipients)');
+    return { sent: false, events: 0 };
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  const lastDigest = properties.getProperty(LAST_DIGEST_PROPERTY);
+  const since = lastDigest ? new Date(lastDigest) : null;
+
+  const now = new Date();
+  const entries = getWeeklyAgendaEntries(now, new Date(now.getTime() + WEEKLY_DIGEST_DAYS * DAY_MS), since);
+  const days = groupAgendaByDay(entries, now);
+
+  MailApp.sendEmail({
+    to: recipients.join(','),
+    subject: `Family agenda: ${entries.length} event${entries.length === 1 ? '' : 's'} this week`,
+    body: formatAgendaText(days),
+    htmlBody: formatAgendaHtml(days, since)
+  });
+
+  properties.setProperty(LAST_DIGEST_PROPERTY, now.toISOString());
+  console.log(`✓ Weekly digest sent to ${recipients.length} recipient(s) with ${entries.length} events`);
+
+  return { sent: true, events: entries.length };
+}
+
+/**
+ * Synced events of every enabled feed overlapping [start, end), sorted by start time
+ * Events created or updated after `since` are flagged as new / changed
+ */
+function getWeeklyAgendaEntries(start, end, since) {
+  const entries = [];
+
+  getFeeds().filter(feed => feed.enabled).forEach(feed => {
+    getAllFeedEvents(feed)
+      .filter(event => event.getStartTime() < end && event.getEndTime() > start)
+      .forEach(event => {
+        let badge = null;
+        if (since && event.getDateCreated() > since) {
+          badge = 'NEW';
+        } else if (since && event.getLastUpdated() > since) {
+          badge = 'CHANGED';
+        }
+        entries.push({ feed: feed, event: event, badge: badge });
+      });
+  });
+
+  return entries.sort((a, b) => a.event.getStartTime().getTime() - b.event.getStartTime().getTime());
+}
+
+/**
+ * Groups entries by calendar day in CONFIG.TIMEZONE; events already under way (e.g. a tournament
+ * weekend) go under today
+ * @returns {Array<{ date: Date, entries: Array }>} date is noon of the day, for formatAgendaDate
+ */
+function groupAgendaByDay(entries, now) {
+  const timeZone = getFeedTimeZone(null);
+  const today = Utilities.formatDate(now, timeZone, 'yyyy-MM-dd');
+  const byKey = {};
+
+  entries.forEach(entry => {
+    const start = getAgendaDayKey(entry.event, timeZone);
+    const key = start < today ? today : start;
+    if (!byKey[key]) {
+      const [year, month, day] = key.split('-').map(Number);
+      byKey[key] = { date: zonedWallTimeToDate(Date.UTC(year, month - 1, day, 12), timeZone), entries: [] };
+    }
+    byKey[key].entries.push(entry);
+  });
+
+  return Object.keys(byKey).sort().map(key => byKey[key]);
+}
+
+/**
+ * Day an event starts on as 'yyyy-MM-dd': timed events in the given zone, all-day events on
+ * their own date (all-day dates are midnight in the script's timezone)
+ */
+function getAgendaDayKey(event, timeZone) {
+  return event.isAllDayEvent()
+    ? formatDateKey(event.getAllDayStartDate())
+    : Utilities.formatDate(event.getStartTime(), timeZone, 'yyyy-MM-dd');
+}
+
+// ============ FORMATTING ============
+function formatAgendaText(days) {
+  if (days.length === 0) return 'Nothing scheduled in the next 7 days.';
+
+  return days.map(day => {
+    const lines = [formatAgendaDate(day.date, 'EEEE, MMMM d')];
+    day.entries.forEach(entry => {
+      const event = entry.event;
+      const badge = entry.badge ? ` [${entry.badge}]` : '';
+      const location = event.getLocation() ? ` @ ${event.getLocation()}` : '';
+      lines.push(`  ${formatAgendaTime(event)}  ${event.getTitle()}${location}${badge}`);
+    });
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+function formatAgendaHtml(days, since) {
+  const intro = since
+    ? `<p style="color:#666">NEW and CHANGED mark events added or updated since the last digest (${formatAgendaDate(since, 'MMM d')}).</p>`
+    : '';
+
+  if (days.length === 0) {
+    return `<div style="font-family:Arial,sans-serif">${intro}<p>Nothing scheduled in the next 7 days.</p></div>`;
+  }
+
+  const sections = days.map(day => {
+    const rows = day.entries.map(entry => {
+      const event = entry.event;
+      const location = event.getLocation()
+        ? `<br><a href="${getMapLink(event.getLocation())}" style="color:#1a73e8">${escapeHtml(event.getLocation())}</a>`
+        : '';
+      const badge = entry.badge
+        ? ` <span style="background:${entry.badge === 'NEW' ? '#188038' : '#e37400'};color:#fff;font-size:11px;padding:1px 4px;border-radius:3px">${entry.badge}</span>`
+        : '';
+      return `<tr>` +
+        `<td style="padding:4px 12px 4px 0;vertical-align:top;white-space:nowrap">${escapeHtml(formatAgendaTime(event))}</td>` +
+        `<td style="padding:4px 0">${escapeHtml(event.getTitle())}${badge}${location}</td>` +
+        `</tr>`;
+    });
+    return `<h3 style="margin:16px 0 4px 0">${escapeHtml(formatAgendaDate(day.date, 'EEEE, MMMM d'))}</h3>` +
+      `<table style="border-collapse:collapse">${rows.join('')}</table>`;
+  });
+
+  return `<div style="font-family:Arial,sans-serif;font-size:14px">${intro}${sections.join('')}</div>`;
+}
+
+function formatAgendaTime(event) {
+  if (event.isAllDayEvent()) return 'All day';
+  return `${formatAgendaDate(event.getStartTime(), 'h:mm a')} – ${formatAgendaDate(event.getEndTime(), 'h:mm a')}`;
+}
+
+function formatAgendaDate(date, pattern) {
+  return Utilities.formatDate(date, getFeedTimeZone(null), pattern);
+}
+
+function getMapLink(location) {
+  return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(location)}`;
+}
+
+// ============ SETTINGS & TRIGGER ============
+function getWeeklyDigestSettings() {
+  const settings = CONFIG.WEEKLY_DIGEST || {};
+  return {
+    recipients: settings.recipients || getNotificationSettings().recipients,
+    day: settings.day || 'SUNDAY',
+    hour: settings.hour !== undefined ? settings.hour : 18
+  };
+}
+
+/**
+ * Schedules weeklyDigest (default: Sundays around 6 PM), replacing any existing digest trigger
+ */
+function setupWeeklyDigestTrigger() {
+  console.log('Setting up weekly digest trigger...');
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'weeklyDigest') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  const settings = getWeeklyDigestSettings();
+  const newTrigger = ScriptApp.newTrigger('weeklyDigest')
+    .timeBased()
+    .onWeekDay(ScriptApp.WeekDay[settings.day])
+    .atHour(settings.hour)
+    .create();
+
+  console.log(`✓ Created weekly digest trigger (${settings.day} around ${settings.hour}:00): ${newTrigger.getUniqueId()}`);
+}
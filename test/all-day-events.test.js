@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents, CALENDAR_ID } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+const TOURNAMENT = { uid: 't1', summary: 'Fall Classic', start: '20251114', end: '20251117', location: 'Centennial Arena' };
+const NO_ICE = { uid: 'n1', summary: 'No Ice', start: '20251027' };
+
+function dateKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+test('VALUE=DATE events parse as all-day, one day long when DTEND is missing', () => {
+  const events = loadScenario().global.parseICSData(buildICS([TOURNAMENT, NO_ICE]), { defaultTimeZone: 'America/Toronto' });
+
+  const tournament = events.find(event => event.originalUID === 't1');
+  const noIce = events.find(event => event.originalUID === 'n1');
+  assert.strictEqual(tournament.allDay, true);
+  assert.strictEqual(dateKey(tournament.startTime), '2025-11-14');
+  assert.strictEqual(dateKey(tournament.endTime), '2025-11-17');
+  assert.strictEqual(noIce.allDay, true);
+  assert.strictEqual(dateKey(noIce.endTime), '2025-10-28');
+});
+
+test('single and multi-day events are created as all-day events and then left alone', () => {
+  const harness = loadScenario({ events: [TOURNAMENT, NO_ICE] });
+
+  harness.global.syncFeed('hockey');
+  const second = harness.global.syncFeed('hockey', { force: true });
+
+  const events = calendarEvents(harness);
+  assert.strictEqual(events.length, 2);
+  assert.ok(events.every(event => event.isAllDayEvent()));
+  const tournament = events.find(event => event.getTitle() === '[Hockey] Fall Classic');
+  assert.strictEqual(dateKey(tournament.getAllDayEndDate()), '2025-11-17');
+  assert.strictEqual(second.updated, 0);
+  assert.strictEqual(second.unchanged, 2);
+});
+
+test('changing the dates or switching to a timed event updates the calendar event', () => {
+  const harness = loadScenario({ events: [TOURNAMENT, NO_ICE] });
+  harness.global.syncFeed('hockey');
+
+  serveEvents(harness, [
+    Object.assign({}, TOURNAMENT, { end: '20251118' }),
+    Object.assign({}, NO_ICE, { start: '20251027T220000Z', end: '20251027T230000Z' })
+  ]);
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.updated, 2);
+  const events = calendarEvents(harness);
+  const tournament = events.find(event => event.getTitle() === '[Hockey] Fall Classic');
+  const noIce = events.find(event => event.getTitle() === '[Hockey] No Ice');
+  assert.strictEqual(dateKey(tournament.getAllDayEndDate()), '2025-11-18');
+  assert.strictEqual(noIce.isAllDayEvent(), false);
+  assert.strictEqual(noIce.getStartTime().toISOString(), '2025-10-27T22:00:00.000Z');
+});
+
+test('duplicate review groups all-day copies by their dates', () => {
+  const harness = loadScenario();
+  const calendar = harness.services.CalendarApp.getCalendarById(CALENDAR_ID);
+  const Date = harness.global.Date;
+  calendar.createAllDayEvent('[Hockey] Fall Classic', new Date(2025, 10, 14), new Date(2025, 10, 17));
+  calendar.createAllDayEvent('[Hockey] Fall Classic', new Date(2025, 10, 14), new Date(2025, 10, 17));
+  calendar.createAllDayEvent('[Hockey] Fall Classic', new Date(2025, 10, 14), new Date(2025, 10, 16));
+
+  const review = harness.global.reviewDuplicatesInRange(new Date(2025, 10, 1), new Date(2025, 11, 1));
+
+  assert.strictEqual(review.totalEvents, 3);
+  assert.strictEqual(review.totalDuplicatesToDelete, 1);
+
+  harness.global.cleanupDuplicatesInRange(new Date(2025, 10, 1), new Date(2025, 11, 1));
+  assert.strictEqual(calendar._allEvents().length, 2);
+});
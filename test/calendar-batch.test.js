@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents } = require('./harness/scenario');
+const { CALENDAR_BATCH_URL, createFakeCalendarBatchEndpoint } = require('./harness/apps-script-fakes');
+
+const GAMES = ['Hawks', 'Wolves', 'Bears', 'Lions'].map((opponent, i) => ({
+  uid: `g${i}`,
+  summary: `Game vs ${opponent}`,
+  start: `2025110${i + 1}T140000Z`,
+  end: `2025110${i + 1}T160000Z`,
+  location: 'Westside Rink'
+}));
+
+function load(batch) {
+  return loadScenario({ config: { CALENDAR_BACKEND: 'batch', CALENDAR_BATCH: batch, DELETION_SAFETY: false }, events: GAMES });
+}
+
+function batchRequests(harness) {
+  return harness.services.UrlFetchApp.requests.filter(request => request.url === CALENDAR_BATCH_URL);
+}
+
+test('creates, updates and deletes go out as batches whose tags CalendarApp reads back', () => {
+  const harness = load();
+
+  const created = harness.global.syncFeed('hockey');
+  serveEvents(harness, [
+    Object.assign({}, GAMES[0], { description: 'Dark jerseys' })
+  ].concat(GAMES.slice(1, 3)));
+  const changed = harness.global.syncFeed('hockey');
+  const unchanged = harness.global.syncFeed('hockey', { force: true });
+
+  assert.strictEqual(created.added, 4);
+  assert.strictEqual(changed.updated, 1);
+  assert.strictEqual(changed.removed, 1);
+  assert.strictEqual(unchanged.unchanged, 3);
+  assert.strictEqual(batchRequests(harness).length, 2);
+  assert.deepStrictEqual(harness.services.calendarBatch.batches.map(batch => batch.map(item => item.method)),
+    [['POST', 'POST', 'POST', 'POST'], ['PATCH', 'DELETE']]);
+  assert.deepStrictEqual(harness.services.Utilities.sleeps, []);
+  assert.strictEqual(calendarEvents(harness).length, 3);
+  assert.ok(calendarEvents(harness).every(event => /^hockey-stable-/.test(event.getTag('syncUid'))));
+  assert.strictEqual(calendarEvents(harness)[0].getDescription(), 'Dark jerseys\n\nHockey-UID: ' + calendarEvents(harness)[0].getTag('syncUid'));
+});
+
+test('rate-limited items are retried in a follow-up batch, other item failures wait for the next sync', () => {
+  const harness = load();
+  harness.services.calendarBatch.itemStatuses.push(429, 500, 429);
+
+  const first = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(first.added, 3);
+  assert.strictEqual(first.failed, 1);
+  assert.deepStrictEqual(harness.services.calendarBatch.batches.map(batch => batch.length), [4, 2]);
+  assert.deepStrictEqual(harness.services.Utilities.sleeps, [2000]);
+
+  const second = harness.global.syncFeed('hockey');
+  assert.strictEqual(second.added, 1);
+  assert.strictEqual(calendarEvents(harness).length, 4);
+});
+
+test('a batch that never reached the API is applied through CalendarApp', () => {
+  for (const failure of [new Error('DNS error: www.googleapis.com'), { status: 401, body: 'Unauthorized' }]) {
+    const harness = load();
+    harness.services.UrlFetchApp.serve(CALENDAR_BATCH_URL, failure);
+
+    const results = harness.global.syncFeed('hockey');
+
+    assert.strictEqual(results.added, 4);
+    assert.strictEqual(batchRequests(harness).length, 1);
+    assert.strictEqual(calendarEvents(harness).length, 4);
+  }
+});
+
+test('a batch whose response is lost is not resent or replayed through CalendarApp', () => {
+  for (const failure of [new Error('Timeout: https://www.googleapis.com/batch/calendar/v3'), { status: 503, body: 'Unavailable' }]) {
+    const harness = load();
+    const batch = harness.services.calendarBatch;
+    harness.services.UrlFetchApp.serve(CALENDAR_BATCH_URL, request => {
+      batch.handle(request);
+      return failure;
+    });
+
+    const first = harness.global.syncFeed('hockey');
+    assert.strictEqual(first.failed, 4);
+    assert.strictEqual(batchRequests(harness).length, 1);
+    assert.strictEqual(calendarEvents(harness).length, 4);
+
+    harness.services.UrlFetchApp.serve(CALENDAR_BATCH_URL, batch.handle);
+    const second = harness.global.syncFeed('hockey');
+    assert.strictEqual(second.added, 0);
+    assert.strictEqual(second.unchanged, 4);
+    assert.strictEqual(calendarEvents(harness).length, 4);
+  }
+});
+
+test('when CalendarApp can\'t read the API\'s tags, new events are tagged and the run uses CalendarApp', () => {
+  const harness = load({ batchSize: 2 });
+  const batch = createFakeCalendarBatchEndpoint(harness.services.CalendarApp, { tagsFromExtendedProperties: false });
+  harness.services.UrlFetchApp.serve(CALENDAR_BATCH_URL, batch.handle);
+
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.added, 4);
+  assert.strictEqual(batch.batches.length, 1);
+  assert.strictEqual(harness.services.Utilities.sleeps.length, 2);
+  assert.ok(calendarEvents(harness).every(event => event.getTag('syncFeed') === 'hockey' && /^hockey-stable-/.test(event.getTag('syncUid'))));
+  assert.ok(harness.logs.some(log => log.level === 'warn' && log.message.includes('can\'t read tags written by the Calendar API')));
+  assert.strictEqual(harness.global.syncFeed('hockey', { force: true }).unchanged, 4);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, calendarEvents, CALENDAR_ID, BASEBALL_FEED, F1_FEED } = require('./harness/scenario');
+
+const PRACTICE_ID = 'practices@group.calendar.google.com';
+const ROUTES = [{ titlePattern: '^Practice', calendarId: PRACTICE_ID }];
+
+const GAME = { uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' };
+const PRACTICE = { uid: 'p1', summary: 'Practice', start: '20251102T140000Z', end: '20251102T150000Z', location: 'Westside Rink' };
+
+function load(services) {
+  return loadScenario({ calendars: [CALENDAR_ID, PRACTICE_ID], services: services, feed: { routes: ROUTES }, events: [GAME, PRACTICE] });
+}
+
+function titles(harness, calendarId) {
+  return calendarEvents(harness, calendarId).map(event => event.getTitle());
+}
+
+// Sends practices back to the family calendar and syncs again
+function dropRoutes(harness) {
+  harness.global.CONFIG.FEEDS[0].routes = [];
+  return harness.global.syncFeed('hockey', { force: true });
+}
+
+test('events go to the calendar of the first matching route', () => {
+  const harness = load();
+
+  harness.global.syncFeed('hockey');
+
+  assert.deepStrictEqual(titles(harness, CALENDAR_ID), ['[Hockey] Game vs Hawks']);
+  assert.deepStrictEqual(titles(harness, PRACTICE_ID), ['[Hockey] Practice']);
+});
+
+test('after a route change the Calendar API moves the event itself, keeping its id and reminders', () => {
+  const harness = load();
+  harness.global.syncFeed('hockey');
+  const practice = calendarEvents(harness, PRACTICE_ID)[0];
+  practice.addPopupReminder(90);
+
+  const results = dropRoutes(harness);
+
+  assert.strictEqual(results.updated, 1);
+  assert.strictEqual(results.added, 0);
+  assert.strictEqual(results.removed, 0);
+  assert.deepStrictEqual(harness.services.Calendar.moves.map(move => move.destination), [CALENDAR_ID]);
+  assert.deepStrictEqual(titles(harness, PRACTICE_ID), []);
+  assert.deepStrictEqual(titles(harness, CALENDAR_ID).sort(), ['[Hockey] Game vs Hawks', '[Hockey] Practice']);
+  const moved = harness.services.CalendarApp.getCalendarById(CALENDAR_ID).getEventById(practice.getId());
+  assert.strictEqual(moved, practice);
+  assert.strictEqual(moved.getOriginalCalendarId(), CALENDAR_ID);
+  assert.deepStrictEqual(Array.from(moved.getPopupReminders()), [90]);
+  assert.strictEqual(harness.global.syncFeed('hockey', { force: true }).unchanged, 2);
+});
+
+test('without the advanced service the event is recreated in the new calendar', () => {
+  const harness = load({ Calendar: undefined });
+  harness.global.syncFeed('hockey');
+  const practice = calendarEvents(harness, PRACTICE_ID)[0];
+
+  const results = dropRoutes(harness);
+
+  assert.strictEqual(results.updated, 1);
+  assert.deepStrictEqual(titles(harness, PRACTICE_ID), []);
+  const recreated = calendarEvents(harness).find(event => event.getTitle() === '[Hockey] Practice');
+  assert.notStrictEqual(recreated.getId(), practice.getId());
+  assert.ok(harness.logs.some(log => log.message.includes('(recreated)')));
+});
+
+test('duplicate cleanup looks in every routed calendar, and only within one calendar', () => {
+  const harness = load();
+  harness.global.syncFeed('hockey');
+  const Date = harness.global.Date;
+  const practices = harness.services.CalendarApp.getCalendarById(PRACTICE_ID);
+  const family = harness.services.CalendarApp.getCalendarById(CALENDAR_ID);
+  practices.createEvent('[Hockey] Practice', new Date('2025-11-02T14:00:00Z'), new Date('2025-11-02T15:00:00Z'));
+  family.createEvent('[Hockey] Practice', new Date('2025-11-02T14:00:00Z'), new Date('2025-11-02T15:00:00Z'));
+  const range = [new Date('2025-10-25T00:00:00Z'), new Date('2025-11-10T00:00:00Z')];
+
+  const review = harness.global.reviewDuplicatesInRange(range[0], range[1]);
+  const cleanup = harness.global.cleanupDuplicatesInRange(range[0], range[1]);
+
+  assert.strictEqual(review.totalEvents, 4);
+  assert.strictEqual(review.totalDuplicatesToDelete, 1);
+  assert.strictEqual(cleanup.deleted, 1);
+  assert.deepStrictEqual(titles(harness, PRACTICE_ID), ['[Hockey] Practice']);
+  assert.deepStrictEqual(titles(harness, CALENDAR_ID).sort(), ['[Hockey] Game vs Hawks', '[Hockey] Practice']);
+});
+
+test('batched duplicate cleanup deletes each copy from its own calendar', () => {
+  const harness = load();
+  harness.global.CONFIG.CALENDAR_BACKEND = 'batch';
+  harness.global.syncFeed('hockey');
+  const Date = harness.global.Date;
+  harness.services.CalendarApp.getCalendarById(PRACTICE_ID)
+    .createEvent('[Hockey] Practice', new Date('2025-11-02T14:00:00Z'), new Date('2025-11-02T15:00:00Z'));
+
+  const cleanup = harness.global.cleanupDuplicatesInRange(new Date('2025-10-25T00:00:00Z'), new Date('2025-11-10T00:00:00Z'));
+
+  assert.strictEqual(cleanup.deleted, 1);
+  assert.strictEqual(cleanup.errors, 0);
+  assert.deepStrictEqual(harness.services.calendarBatch.batches.pop().map(item => item.calendarId), [PRACTICE_ID]);
+  assert.deepStrictEqual(titles(harness, PRACTICE_ID), ['[Hockey] Practice']);
+});
+
+test('setupSync checks every calendar the hockey feeds route to', () => {
+  const harness = loadScenario({ feed: { routes: ROUTES }, events: [GAME, PRACTICE] });
+
+  assert.throws(() => harness.global.setupSync(), /Cannot access calendar practices@group\.calendar\.google\.com \(Hockey\)/);
+
+  harness.services.CalendarApp._createCalendar(PRACTICE_ID);
+  harness.global.setupSync();
+  assert.deepStrictEqual(titles(harness, PRACTICE_ID), ['[Hockey] Practice']);
+});
+
+test('setupF1Sync and setupBaseballSync check every calendar their feed routes to', () => {
+  const race = { uid: 'r1', summary: 'Grand Prix', start: '20251101T140000Z', end: '20251101T160000Z' };
+  const game = { uid: 'b1', summary: 'Game vs Jays', start: '20251102T140000Z', end: '20251102T160000Z' };
+  [[F1_FEED, 'setupF1Sync', 'F1', race], [BASEBALL_FEED, 'setupBaseballSync', 'Baseball', game]].forEach(([feed, setup, label, event]) => {
+    const harness = loadScenario({ config: { FEEDS: [feed] }, feed: { routes: [{ titlePattern: '.', calendarId: PRACTICE_ID }] }, events: [event] });
+
+    assert.throws(() => harness.global[setup](), new RegExp(`Cannot access calendar practices@group\\.calendar\\.google\\.com \\(${label}\\)`));
+
+    harness.services.CalendarApp._createCalendar(PRACTICE_ID);
+    harness.global[setup]();
+    assert.strictEqual(calendarEvents(harness, PRACTICE_ID).length, 1);
+  });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, calendarEvents } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+const GAME = {
+  uid: 'g1', summary: 'Game vs Wolves (Home)', start: '20251101T140000Z', end: '20251101T160000Z',
+  location: 'Westside Rink', description: 'Arrive 45 minutes early. Dark jerseys.'
+};
+const PRACTICE = { uid: 'p1', summary: 'Practice - Skills', start: '20251102T140000Z', end: '20251102T150000Z' };
+
+// Parsed events of the hockey feed, details and all (copied out of the script context)
+function parse(harness, events) {
+  return harness.global.parseFeedEvents(buildICS(events), harness.global.getFeed('hockey'));
+}
+
+function details(harness, events) {
+  return JSON.parse(JSON.stringify(parse(harness, events).map(event => event.details)));
+}
+
+test('type, opponent, home/away, jersey and arrival time are read from the summary and description', () => {
+  const harness = loadScenario();
+
+  assert.deepStrictEqual(details(harness, [GAME])[0], {
+    type: 'game', opponent: 'Wolves', homeAway: 'home', jersey: 'Dark', arrivalMinutes: 45
+  });
+  assert.deepStrictEqual(details(harness, [PRACTICE])[0], {
+    type: 'practice', opponent: null, homeAway: null, jersey: null, arrivalMinutes: null
+  });
+
+  const start = { start: '20251101T140000Z', end: '20251101T160000Z' };
+  const types = details(harness, ['Fall Classic', 'Team Meeting', '@ North York Storm', 'Team Photos']
+    .map((summary, i) => Object.assign({ uid: `e${i}`, summary: summary }, start))).map(detail => detail.type);
+  assert.deepStrictEqual(types, ['tournament', 'meeting', 'game', 'other']);
+});
+
+test('only a colour is read as the jersey', () => {
+  const harness = loadScenario();
+  const jersey = description => details(harness, [Object.assign({}, PRACTICE, { description: description })])[0].jersey;
+
+  assert.strictEqual(jersey('Bring your jerseys and socks.'), null);
+  assert.strictEqual(jersey('Jerseys: white'), 'white');
+  assert.strictEqual(jersey('Jersey - #12'), null);
+});
+
+test('the arrival time is computed from the start', () => {
+  const harness = loadScenario();
+  const event = parse(harness, [GAME])[0];
+
+  assert.strictEqual(harness.global.getArrivalTime(event).toISOString(), '2025-11-01T13:15:00.000Z');
+  assert.strictEqual(harness.global.getArrivalTime(parse(harness, [PRACTICE])[0]), null);
+});
+
+test('EVENT_CLASSIFIER and a feed\'s classifier override the default patterns', () => {
+  const custom = loadScenario({
+    config: { EVENT_CLASSIFIER: { types: { practice: '\\bice time\\b', game: '\\bmatch\\b' } } },
+    feed: { classifier: { jersey: 'wear (\\w+)' } }
+  });
+  const events = [
+    { uid: 'i1', summary: 'Ice Time', start: '20251101T140000Z', end: '20251101T150000Z', description: 'Wear white' },
+    { uid: 'm1', summary: 'Match at home', start: '20251102T140000Z', end: '20251102T150000Z', description: 'Dark jerseys' }
+  ];
+
+  const parsed = details(custom, events);
+  assert.deepStrictEqual(parsed.map(detail => detail.type), ['practice', 'game']);
+  assert.deepStrictEqual(parsed.map(detail => detail.jersey), ['white', null]);
+
+  assert.strictEqual(details(loadScenario({ feed: { classifier: false } }), [GAME])[0], null);
+});
+
+test('titleFormat rebuilds titles from the details, leaving out parts without a value', () => {
+  const harness = loadScenario({ feed: { titleFormat: '{Type}[ vs {opponent}][ ({HomeAway})]' }, events: [GAME, PRACTICE] });
+
+  harness.global.syncFeed('hockey');
+
+  const titles = calendarEvents(harness).map(event => event.getTitle());
+  assert.deepStrictEqual(titles, ['[Hockey] Game vs Wolves (Home)', '[Hockey] Practice']);
+});
+
+test('filters see the details of each event', () => {
+  const harness = loadScenario({ feed: { filter: event => event.details.type === 'game' }, events: [GAME, PRACTICE] });
+
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.added, 1);
+  assert.deepStrictEqual(calendarEvents(harness).map(event => event.getTitle()),
+    ['[Hockey] Game vs Wolves (Home)']);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents, HOCKEY_FEED, F1_FEED, F1_URL } = require('./harness/scenario');
+
+const HOME = { uid: 'g1', summary: 'Game vs Wolves (Home)', start: '20251101T140000Z', end: '20251101T160000Z' };
+const AWAY = { uid: 'g2', summary: 'Game vs Hawks (Away)', start: '20251102T140000Z', end: '20251102T160000Z' };
+const PRACTICE = { uid: 'p1', summary: 'Practice', start: '20251103T140000Z', end: '20251103T150000Z' };
+const RACE = { uid: 'r1', summary: 'Grand Prix', start: '20251104T140000Z', end: '20251104T160000Z' };
+
+function load(config, hockeyColors) {
+  const harness = loadScenario({
+    config: Object.assign({ FEEDS: [HOCKEY_FEED, F1_FEED] }, config),
+    feed: { colors: hockeyColors },
+    events: [HOME, AWAY, PRACTICE]
+  });
+  serveEvents(harness, [RACE], F1_URL);
+  return harness;
+}
+
+// Color of each synced event, by title
+function colors(harness) {
+  const byTitle = {};
+  calendarEvents(harness).forEach(event => {
+    byTitle[event.getTitle()] = event.getColor();
+  });
+  return byTitle;
+}
+
+test('home/away beats the event type, which beats the default, and each feed has its own colors', () => {
+  const harness = load({ EVENT_COLORS: { default: 'GRAY' } }, { default: 'PALE_BLUE', practice: 'GREEN', away: 'ORANGE' });
+
+  harness.global.syncAllFeeds();
+
+  assert.deepStrictEqual(colors(harness), {
+    '[Hockey] Game vs Wolves (Home)': '1',
+    '[Hockey] Game vs Hawks (Away)': '6',
+    '[Hockey] Practice': '10',
+    '[F1] Grand Prix': '8'
+  });
+});
+
+test('a feed\'s colors beat EVENT_COLORS for the same key only', () => {
+  const harness = load({ EVENT_COLORS: { practice: 'RED', game: 'YELLOW' } }, { practice: '7' });
+
+  harness.global.syncFeed('hockey');
+
+  assert.deepStrictEqual(colors(harness), {
+    '[Hockey] Game vs Wolves (Home)': '5',
+    '[Hockey] Game vs Hawks (Away)': '5',
+    '[Hockey] Practice': '7'
+  });
+});
+
+test('changing a color rule recolors existing events on the next sync', () => {
+  const harness = load({}, { default: 'PALE_BLUE' });
+  harness.global.syncFeed('hockey');
+
+  harness.global.CONFIG.FEEDS[0].colors = { default: 'PALE_BLUE', game: 'RED' };
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.updated, 2);
+  assert.strictEqual(results.added, 0);
+  assert.strictEqual(colors(harness)['[Hockey] Game vs Wolves (Home)'], '11');
+  assert.strictEqual(colors(harness)['[Hockey] Practice'], '1');
+});
+
+test('events no rule applies to keep a color set by hand', () => {
+  const harness = load({}, { game: 'RED' });
+  harness.global.syncFeed('hockey');
+  const practice = calendarEvents(harness).find(event => event.getTitle() === '[Hockey] Practice');
+  practice.setColor('3');
+
+  const results = harness.global.syncFeed('hockey', { force: true });
+
+  assert.strictEqual(results.unchanged, 3);
+  assert.strictEqual(practice.getColor(), '3');
+});
+
+test('an unknown color names the feed', () => {
+  const harness = load({}, { default: 'PURPLE' });
+  const feed = harness.global.getFeed('hockey');
+
+  assert.throws(() => harness.global.getEventColor(feed, { details: null }), /Unknown event color "PURPLE" for feed "hockey"/);
+});
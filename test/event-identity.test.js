@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents, HOCKEY_FEED, BASEBALL_FEED, BASEBALL_URL } = require('./harness/scenario');
+
+const HAWKS = { uid: 'benchapp-123', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' };
+
+function load() {
+  const harness = loadScenario({ config: { FEEDS: [HOCKEY_FEED, BASEBALL_FEED] }, events: [HAWKS] });
+  serveEvents(harness, [], BASEBALL_URL);
+  return harness;
+}
+
+test('synced events carry feed, stable UID and source UID tags, and nothing else', () => {
+  const harness = load();
+  harness.global.syncFeed('hockey');
+
+  const event = calendarEvents(harness)[0];
+  assert.deepStrictEqual(event.getAllTagKeys().sort(), ['syncFeed', 'syncSourceUid', 'syncUid']);
+  assert.strictEqual(event.getTag('syncFeed'), 'hockey');
+  assert.match(event.getTag('syncUid'), /^hockey-stable-[0-9a-f]{24}$/);
+  assert.strictEqual(event.getTag('syncSourceUid'), 'benchapp-123');
+});
+
+test('a tagged event survives someone rewriting its description', () => {
+  const harness = load();
+  harness.global.syncFeed('hockey');
+  const event = calendarEvents(harness)[0];
+  event.setDescription('Carpool: the Smiths');
+
+  const results = harness.global.syncFeed('hockey', { force: true });
+
+  assert.strictEqual(results.added, 0);
+  assert.strictEqual(results.removed, 0);
+  assert.strictEqual(calendarEvents(harness).length, 1);
+});
+
+test('events synced before tags are adopted through their description marker', () => {
+  const harness = load();
+  harness.global.syncFeed('hockey');
+  const event = calendarEvents(harness)[0];
+  const uid = event.getTag('syncUid');
+  event.getAllTagKeys().forEach(key => event.deleteTag(key));
+
+  const results = harness.global.syncFeed('hockey', { force: true });
+
+  assert.strictEqual(results.added, 0);
+  assert.strictEqual(event.getTag('syncFeed'), 'hockey');
+  assert.strictEqual(event.getTag('syncUid'), uid);
+});
+
+test('one feed never claims another feed\'s events', () => {
+  const harness = load();
+  harness.global.syncFeed('hockey');
+
+  const results = harness.global.syncFeed('baseball');
+
+  assert.strictEqual(results.removed, 0);
+  assert.strictEqual(calendarEvents(harness).length, 1);
+  const event = calendarEvents(harness)[0];
+  assert.strictEqual(harness.global.getEventIdentity(event, harness.global.getFeed('baseball')), null);
+  assert.strictEqual(harness.global.isFeedEvent(event, harness.global.getFeed('hockey')), true);
+});
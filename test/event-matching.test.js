@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents } = require('./harness/scenario');
+
+const HAWKS = { uid: 'g1', summary: 'Game vs Hawks (Away)', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' };
+
+// Syncs `before`, then `after` (feed UIDs changed, as BenchApp does), and returns the second results
+function resync(harness, before, after) {
+  serveEvents(harness, before);
+  harness.global.syncFeed('hockey');
+  serveEvents(harness, after.map(event => Object.assign({}, event, { uid: `${event.uid}-new` })));
+  return harness.global.syncFeed('hockey');
+}
+
+test('opponents are read from vs, versus and @, but not from "at"', () => {
+  const extractOpponent = loadScenario().global.extractOpponent;
+
+  assert.strictEqual(extractOpponent('Game vs Hawks (Away)'), 'hawks');
+  assert.strictEqual(extractOpponent('Game vs. Hawks'), 'hawks');
+  assert.strictEqual(extractOpponent('Hockey versus Wolves'), 'wolves');
+  assert.strictEqual(extractOpponent('@ North York Storm'), 'north york storm');
+  assert.strictEqual(extractOpponent('Practice at Westside Rink'), null);
+  assert.strictEqual(extractOpponent('Team Meeting'), null);
+});
+
+test('a game moved to another time or rink updates the original event', () => {
+  const harness = loadScenario();
+  const retimed = Object.assign({}, HAWKS, { start: '20251101T150000Z', end: '20251101T170000Z', location: 'Eastside Rink' });
+
+  serveEvents(harness, [HAWKS]);
+  harness.global.syncFeed('hockey');
+  const original = calendarEvents(harness)[0];
+  serveEvents(harness, [retimed]);
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.updated, 1);
+  assert.strictEqual(results.added, 0);
+  assert.strictEqual(results.removed, 0);
+  assert.strictEqual(calendarEvents(harness)[0].getId(), original.getId());
+  assert.strictEqual(original.getLocation(), 'Eastside Rink');
+});
+
+test('two events at the same rink on the same day are not taken for one another', () => {
+  const harness = loadScenario();
+  const practice = { uid: 'p1', summary: 'Practice at Westside Rink', start: '20251101T140000Z', end: '20251101T150000Z', location: 'Westside Rink' };
+  const clinic = { uid: 'c1', summary: 'Skills Clinic at Westside Rink', start: '20251101T180000Z', end: '20251101T190000Z', location: 'Westside Rink' };
+
+  const results = resync(harness, [practice], [clinic]);
+
+  assert.strictEqual(results.added, 1);
+  assert.strictEqual(results.removed, 1);
+  assert.deepStrictEqual(calendarEvents(harness).map(event => event.getTitle()), ['[Hockey] Skills Clinic at Westside Rink']);
+});
+
+test('the same opponent later that day pairs up, and rescheduleMatching: false turns matching off', () => {
+  const renamed = [Object.assign({}, HAWKS, { summary: 'Game vs Hawks (Home)', start: '20251101T180000Z', end: '20251101T200000Z' })];
+
+  assert.strictEqual(resync(loadScenario(), [HAWKS], renamed).updated, 1);
+
+  const results = resync(loadScenario({ feed: { rescheduleMatching: false } }), [HAWKS], renamed);
+  assert.strictEqual(results.updated, 0);
+  assert.strictEqual(results.added, 1);
+  assert.strictEqual(results.removed, 1);
+});
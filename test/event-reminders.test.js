@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, calendarEvents } = require('./harness/scenario');
+
+const GAME = { uid: 'g1', summary: 'Game vs Wolves', start: '20251101T140000Z', end: '20251101T160000Z' };
+const PRACTICE = { uid: 'p1', summary: 'Practice', start: '20251103T100000Z', end: '20251103T110000Z' };
+
+function load(config, reminders) {
+  return loadScenario({ config: config, feed: { reminders: reminders }, events: [GAME, PRACTICE] });
+}
+
+function event(harness, title) {
+  return calendarEvents(harness).find(candidate => candidate.getTitle() === `[Hockey] ${title}`);
+}
+
+function reminders(harness, title) {
+  const found = event(harness, title);
+  return { popup: Array.from(found.getPopupReminders()).sort(), email: Array.from(found.getEmailReminders()), tag: found.getTag('syncReminders') };
+}
+
+test('events get the reminders of their type, or the default rule', () => {
+  const harness = load({}, { practice: [90, { method: 'email', minutes: 720 }], default: [30] });
+
+  harness.global.syncFeed('hockey');
+
+  assert.deepStrictEqual(reminders(harness, 'Practice'), { popup: [90], email: [720], tag: 'email:720,popup:90' });
+  assert.deepStrictEqual(reminders(harness, 'Game vs Wolves'), { popup: [30], email: [], tag: 'popup:30' });
+});
+
+test('a feed\'s rules beat REMINDERS for the same key, and an empty list means no reminders', () => {
+  const harness = load({ REMINDERS: { practice: [15], game: [60] } }, { game: [] });
+
+  harness.global.syncFeed('hockey');
+
+  assert.deepStrictEqual(reminders(harness, 'Practice'), { popup: [15], email: [], tag: 'popup:15' });
+  assert.deepStrictEqual(reminders(harness, 'Game vs Wolves'), { popup: [], email: [], tag: 'none' });
+});
+
+test('without rules events keep the calendar defaults', () => {
+  const harness = load();
+
+  harness.global.syncFeed('hockey');
+
+  assert.deepStrictEqual(reminders(harness, 'Game vs Wolves'), { popup: [], email: [], tag: null });
+});
+
+test('a rule change updates synced reminders and keeps the ones added by hand', () => {
+  const harness = load({}, { default: [30] });
+  harness.global.syncFeed('hockey');
+  event(harness, 'Game vs Wolves').addPopupReminder(5);
+
+  harness.global.CONFIG.FEEDS[0].reminders = { default: [60] };
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.updated, 2);
+  assert.deepStrictEqual(reminders(harness, 'Game vs Wolves'), { popup: [5, 60], email: [], tag: 'popup:60' });
+  assert.deepStrictEqual(reminders(harness, 'Practice'), { popup: [60], email: [], tag: 'popup:60' });
+  assert.strictEqual(harness.global.syncFeed('hockey', { force: true }).unchanged, 2);
+});
+
+test('removing the rules drops the synced reminders but not the manual ones', () => {
+  const harness = load({}, { default: [30] });
+  harness.global.syncFeed('hockey');
+  event(harness, 'Game vs Wolves').addEmailReminder(1440);
+
+  harness.global.CONFIG.FEEDS[0].reminders = undefined;
+  harness.global.syncFeed('hockey');
+
+  assert.deepStrictEqual(reminders(harness, 'Game vs Wolves'), { popup: [], email: [1440], tag: null });
+  assert.deepStrictEqual(reminders(harness, 'Practice'), { popup: [], email: [], tag: null });
+});
+
+test('the batch backend writes reminders with new events', () => {
+  const harness = load({ CALENDAR_BACKEND: 'batch' }, { practice: [90], default: [30] });
+
+  harness.global.syncFeed('hockey');
+
+  assert.strictEqual(harness.services.calendarBatch.batches.length, 1);
+  assert.deepStrictEqual(reminders(harness, 'Practice'), { popup: [90], email: [], tag: 'popup:90' });
+  assert.strictEqual(harness.global.syncFeed('hockey', { force: true }).unchanged, 2);
+});
+
+test('invalid reminders name the feed', () => {
+  const harness = load({}, { default: [{ method: 'sms', minutes: 10 }] });
+  const feed = harness.global.getFeed('hockey');
+
+  assert.throws(() => harness.global.getEventReminders(feed, { details: null }), /Feed "hockey" has an invalid reminder/);
+  assert.throws(() => harness.global.normalizeReminders([50000], feed), /invalid reminder 50000/);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, calendarEvents, HOCKEY_URL, HOCKEY_FEED } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+const ICS = buildICS([
+  { uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' },
+  { uid: 'g2', summary: 'Game vs Wolves', start: '20251108T140000Z', end: '20251108T160000Z', location: 'Memorial Arena' }
+]);
+const HOUR = 60 * 60 * 1000;
+
+// Serves the feed with validators and answers 304 to a matching If-None-Match
+function serveWithETag(harness, etag, body = ICS) {
+  harness.services.UrlFetchApp.serve(HOCKEY_URL, request => {
+    const headers = request.params.headers || {};
+    if (headers['If-None-Match'] === etag) return { status: 304 };
+    return { status: 200, body: body, headers: { ETag: etag, 'Last-Modified': 'Mon, 20 Oct 2025 10:00:00 GMT' } };
+  });
+}
+
+function lastRequestHeaders(harness) {
+  const requests = harness.services.UrlFetchApp.requests;
+  return requests[requests.length - 1].params.headers || {};
+}
+
+test('validators are sent back and a 304 skips the calendar compare', () => {
+  const harness = loadScenario();
+  serveWithETag(harness, '"v1"');
+  harness.global.syncFeed('hockey');
+
+  harness.clock.advance(6 * HOUR);
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(lastRequestHeaders(harness)['If-None-Match'], '"v1"');
+  assert.strictEqual(lastRequestHeaders(harness)['If-Modified-Since'], 'Mon, 20 Oct 2025 10:00:00 GMT');
+  assert.strictEqual(results.skipped, true);
+  assert.strictEqual(results.unchanged, 2);
+  assert.strictEqual(harness.global.getLastSyncResult(harness.global.getFeed('hockey')).status, 'no-changes');
+});
+
+test('an identical body without validators is recognized by its hash', () => {
+  const harness = loadScenario();
+  harness.services.UrlFetchApp.serve(HOCKEY_URL, ICS);
+  harness.global.syncFeed('hockey');
+
+  harness.clock.advance(6 * HOUR);
+  assert.strictEqual(harness.global.syncFeed('hockey').skipped, true);
+});
+
+test('a changed event, a changed feed setting, force or an old full sync all compare in full', () => {
+  const harness = loadScenario();
+  harness.services.UrlFetchApp.serve(HOCKEY_URL, ICS);
+  harness.global.syncFeed('hockey');
+
+  assert.notStrictEqual(harness.global.syncFeed('hockey', { force: true }).skipped, true);
+
+  harness.global.CONFIG.FEEDS[0] = Object.assign({}, HOCKEY_FEED, { colors: { default: 'BLUE' } });
+  assert.notStrictEqual(harness.global.syncFeed('hockey').skipped, true);
+  assert.strictEqual(harness.global.syncFeed('hockey').skipped, true);
+
+  harness.clock.advance(25 * HOUR);
+  assert.notStrictEqual(harness.global.syncFeed('hockey').skipped, true);
+
+  harness.services.UrlFetchApp.serve(HOCKEY_URL, ICS.replace('Westside Rink', 'Eastside Rink'));
+  assert.strictEqual(harness.global.syncFeed('hockey').skipped, undefined);
+});
+
+test('a skipped sync still notices events edited by hand after clearFeedCache', () => {
+  const harness = loadScenario();
+  harness.services.UrlFetchApp.serve(HOCKEY_URL, ICS);
+  harness.global.syncFeed('hockey');
+  const event = calendarEvents(harness)[0];
+  event.setLocation('Somewhere else');
+
+  assert.strictEqual(harness.global.syncFeed('hockey').skipped, true);
+  harness.global.clearFeedCache('hockey');
+  assert.strictEqual(harness.global.syncFeed('hockey').updated, 1);
+});
+
+test('validators are not kept when the snapshot a 304 would reuse could not be stored', () => {
+  const harness = loadScenario();
+  serveWithETag(harness, '"v1"');
+  harness.global.syncFeed('hockey');
+
+  // Version 2 syncs, but its snapshot doesn't fit in script properties
+  const properties = harness.services.PropertiesService.getScriptProperties();
+  const setProperties = properties.setProperties;
+  properties.setProperties = () => { throw new Error('You have exceeded the property storage quota.'); };
+  serveWithETag(harness, '"v2"', ICS.replace('Westside Rink', 'Eastside Rink'));
+  harness.clock.advance(HOUR);
+  assert.strictEqual(harness.global.syncFeed('hockey').updated, 1);
+  properties.setProperties = setProperties;
+
+  harness.clock.advance(HOUR);
+  harness.global.syncFeed('hockey');
+
+  assert.strictEqual(lastRequestHeaders(harness)['If-None-Match'], undefined);
+  assert.strictEqual(calendarEvents(harness)[0].getLocation(), 'Eastside Rink');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, calendarEvents, HOCKEY_URL } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+const ICS = buildICS([{ uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z' }]);
+
+// Serves the responses in turn, repeating the last one
+function serveSequence(harness, responses) {
+  let calls = 0;
+  harness.services.UrlFetchApp.serve(HOCKEY_URL, () => responses[Math.min(calls++, responses.length - 1)]);
+}
+
+test('transient failures are retried with exponential backoff', () => {
+  const harness = loadScenario();
+  serveSequence(harness, [{ status: 503 }, new Error('Timeout: request took too long'), ICS]);
+
+  const fetched = harness.global.fetchWithRetry(HOCKEY_URL);
+
+  assert.strictEqual(fetched.failure, null);
+  assert.strictEqual(fetched.attempts, 3);
+  assert.deepStrictEqual(Array.from(harness.services.Utilities.sleeps), [2000, 4000]);
+});
+
+test('Retry-After wins over the backoff, capped at maxDelayMs', () => {
+  const harness = loadScenario({ config: { FETCH_RETRY: { maxDelayMs: 10000 } } });
+  serveSequence(harness, [{ status: 429, headers: { 'Retry-After': '5' } }, { status: 429, headers: { 'Retry-After': '600' } }, ICS]);
+
+  harness.global.fetchWithRetry(HOCKEY_URL);
+
+  assert.deepStrictEqual(Array.from(harness.services.Utilities.sleeps), [5000, 10000]);
+});
+
+test('permanent failures are not retried', () => {
+  [[401, 'unauthorized'], [403, 'unauthorized'], [404, 'not-found'], [410, 'not-found'], [400, 'client-error']].forEach(([status, type]) => {
+    const harness = loadScenario();
+    serveSequence(harness, [{ status: status }, ICS]);
+
+    const fetched = harness.global.fetchWithRetry(HOCKEY_URL);
+
+    assert.strictEqual(fetched.failure.type, type);
+    assert.strictEqual(fetched.failure.transient, false);
+    assert.strictEqual(harness.services.UrlFetchApp.requests.length, 1);
+  });
+});
+
+test('exceptions are classified as timeout, dns or network', () => {
+  const classify = message => loadScenario().global.classifyFetchException(new Error(message)).type;
+
+  assert.strictEqual(classify('Timeout: https://ics.benchapp.com/team'), 'timeout');
+  assert.strictEqual(classify('DNS error: https://ics.benchapp.com/team'), 'dns');
+  assert.strictEqual(classify('Address unavailable: https://ics.benchapp.com/team'), 'dns');
+  assert.strictEqual(classify('Connection reset'), 'network');
+});
+
+test('a failed sync records the classified reason in the sync status', () => {
+  const harness = loadScenario({ config: { FETCH_RETRY: { maxAttempts: 2 } } });
+  serveSequence(harness, [{ status: 401, body: 'Token expired' }]);
+
+  assert.throws(() => harness.global.syncFeed('hockey'), /Hockey fetch failed \(unauthorized\)/);
+
+  const run = harness.global.getLastSyncResult(harness.global.getFeed('hockey'));
+  assert.strictEqual(run.status, 'failed');
+  assert.strictEqual(run.failure.type, 'unauthorized');
+  assert.match(harness.global.describeSyncResult(run), /feed link was revoked or its token expired \(HTTP 401\)/);
+});
+
+test('a 200 that is not a calendar fails as invalid content', () => {
+  const harness = loadScenario();
+  serveSequence(harness, ['<html>Maintenance</html>']);
+
+  assert.throws(() => harness.global.syncFeed('hockey'), /fetch failed \(invalid-content\)/);
+  assert.strictEqual(calendarEvents(harness).length, 0);
+});
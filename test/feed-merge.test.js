@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents } = require('./harness/scenario');
+
+const SAM_URL = 'https://ics.benchapp.com/sam';
+const ALEX_URL = 'https://ics.benchapp.com/alex';
+
+const FEEDS = [
+  { name: 'sam', label: 'Sam', url: SAM_URL, prefix: '[Hockey] ', uidMarker: 'Sam-UID', mergeGroup: 'hockey', child: 'Sam', team: 'House League' },
+  { name: 'alex', label: 'Alex', url: ALEX_URL, prefix: '[Hockey] ', uidMarker: 'Alex-UID', mergeGroup: 'hockey', child: 'Alex', team: 'Travel' }
+];
+
+const GAME = { uid: 's1', summary: 'Tournament Game vs Hawks', start: '20251025T140000Z', end: '20251025T160000Z', location: 'Westside Rink' };
+
+function load() {
+  return loadScenario({ config: { FEEDS: FEEDS, NOTIFICATIONS: { recipients: ['parent@example.com'] } } });
+}
+
+function syncBoth(harness, samEvents, alexEvents) {
+  serveEvents(harness, samEvents, SAM_URL);
+  serveEvents(harness, alexEvents, ALEX_URL);
+  harness.global.syncFeed('sam');
+  harness.global.syncFeed('alex');
+}
+
+function titles(harness) {
+  return calendarEvents(harness).map(event => event.getTitle()).sort();
+}
+
+test('an event both feeds list at the same rink is created once, noting both teams', () => {
+  const harness = load();
+
+  syncBoth(harness, [GAME], [Object.assign({}, GAME, { uid: 'a1', summary: 'Tournament Game vs Sharks' })]);
+  syncBoth(harness, [GAME], [Object.assign({}, GAME, { uid: 'a1', summary: 'Tournament Game vs Sharks' })]);
+
+  assert.deepStrictEqual(titles(harness), ['[Hockey] Tournament Game vs Hawks (+ Alex)']);
+  const event = calendarEvents(harness)[0];
+  assert.match(event.getDescription(), /^Teams: Sam – House League, Alex – Travel/);
+});
+
+test('events at the same time at different rinks are never merged, even with matching titles', () => {
+  const harness = load();
+  const elsewhere = Object.assign({}, GAME, { uid: 'a1', location: 'Memorial Arena' });
+
+  syncBoth(harness, [GAME], [elsewhere]);
+  syncBoth(harness, [GAME], [elsewhere]);
+
+  assert.deepStrictEqual(titles(harness), ['[Hockey] Tournament Game vs Hawks', '[Hockey] Tournament Game vs Hawks']);
+  assert.strictEqual(harness.global.isSameSharedEvent(
+    { startTime: new Date('2025-10-25T14:00:00Z'), title: 'Game vs Hawks', location: 'Westside Rink' },
+    { startTime: new Date('2025-10-25T14:00:00Z'), title: 'Game vs Hawks', location: 'Memorial Arena' }
+  ), false);
+});
+
+test('different activities at the same rink and time stay separate', () => {
+  const harness = load();
+  const clinic = Object.assign({}, GAME, { summary: 'Goalie Clinic' });
+  const practice = Object.assign({}, GAME, { uid: 'a1', summary: 'Practice - Skills' });
+
+  syncBoth(harness, [clinic], [practice]);
+  syncBoth(harness, [clinic], [practice]);
+
+  assert.deepStrictEqual(titles(harness), ['[Hockey] Goalie Clinic', '[Hockey] Practice - Skills']);
+});
+
+test('titles decide when a feed doesn\'t say where the event is', () => {
+  const isSameSharedEvent = load().global.isSameSharedEvent;
+  const start = new Date('2025-10-25T14:00:00Z');
+
+  assert.strictEqual(isSameSharedEvent(
+    { startTime: start, title: 'Tournament Game vs Hawks', location: 'Westside Rink' },
+    { startTime: start, title: 'Game vs Hawks', location: '' }
+  ), true);
+  assert.strictEqual(isSameSharedEvent(
+    { startTime: start, title: 'Team Photos', location: '' },
+    { startTime: start, title: 'Skills Clinic', location: '' }
+  ), false);
+});
+
+test('a copy handed over to the earlier feed is removed without a cancellation email', () => {
+  const harness = load();
+  const alexGame = Object.assign({}, GAME, { uid: 'a1', summary: 'Tournament Game vs Sharks' });
+
+  // Alex's feed lists the game first; Sam's only later
+  syncBoth(harness, [], [alexGame]);
+  assert.deepStrictEqual(titles(harness), ['[Hockey] Tournament Game vs Sharks']);
+  syncBoth(harness, [GAME], [alexGame]);
+
+  assert.deepStrictEqual(titles(harness), ['[Hockey] Tournament Game vs Hawks (+ Alex)']);
+  assert.strictEqual(harness.services.MailApp.sent.length, 0);
+});
+
+test('a game that really disappears is still reported as canceled', () => {
+  const harness = load();
+
+  syncBoth(harness, [GAME], []);
+  syncBoth(harness, [], []);
+
+  assert.strictEqual(harness.services.MailApp.sent.length, 1);
+  assert.match(harness.services.MailApp.sent[0].body, /❌ Canceled: \[Hockey\] Tournament Game vs Hawks/);
+});
+
+test('restoring a snapshot leaves events shared with an earlier feed to that feed', () => {
+  const harness = load();
+  const alexGame = Object.assign({}, GAME, { uid: 'a1', summary: 'Tournament Game vs Sharks' });
+  syncBoth(harness, [GAME], [alexGame]);
+  syncBoth(harness, [GAME], [alexGame]);
+
+  const plan = harness.global.restoreSnapshot('alex', null, { planOnly: true });
+  const results = harness.global.restoreSnapshot('alex');
+
+  assert.strictEqual(plan.summary.create, 0);
+  assert.strictEqual(results.added, 0);
+  assert.deepStrictEqual(titles(harness), ['[Hockey] Tournament Game vs Hawks (+ Alex)']);
+  assert.strictEqual(harness.services.MailApp.sent.length, 0);
+});
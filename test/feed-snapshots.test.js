@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents, HOCKEY_URL, HOCKEY_FEED, F1_FEED, F1_URL } = require('./harness/scenario');
+
+const HAWKS = { uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' };
+const WOLVES = { uid: 'g2', summary: 'Game vs Wolves', start: '20251108T140000Z', end: '20251108T160000Z', location: 'Memorial Arena' };
+const MOVED_HAWKS = Object.assign({}, HAWKS, { location: 'Eastside Rink' });
+
+function load(config) {
+  return loadScenario({ config: Object.assign({ FETCH_RETRY: { maxAttempts: 1 } }, config) });
+}
+
+function syncWith(harness, events) {
+  harness.clock.advance(60 * 60 * 1000);
+  serveEvents(harness, events);
+  return harness.global.syncFeed('hockey');
+}
+
+function locations(harness) {
+  return calendarEvents(harness).map(event => `${event.getTitle()} @ ${event.getLocation()}`).sort();
+}
+
+test('each distinct feed is kept as a snapshot and an identical one only refreshes lastSeenAt', () => {
+  const harness = load();
+  syncWith(harness, [HAWKS, WOLVES]);
+  syncWith(harness, [HAWKS, WOLVES]);
+  syncWith(harness, [MOVED_HAWKS]);
+
+  const index = harness.global.listSnapshots('hockey');
+  assert.strictEqual(index.length, 2);
+  assert.notStrictEqual(index[0].lastSeenAt, index[0].takenAt);
+  assert.strictEqual(index[1].eventCount, 1);
+});
+
+test('older snapshots beyond SNAPSHOT_RETENTION are dropped with their chunks', () => {
+  const harness = load({ SNAPSHOT_RETENTION: 2 });
+  syncWith(harness, [HAWKS]);
+  syncWith(harness, [WOLVES]);
+  syncWith(harness, [HAWKS, WOLVES]);
+
+  const keys = Object.keys(harness.services.PropertiesService.getScriptProperties().getProperties());
+  assert.strictEqual(harness.global.listSnapshots('hockey').length, 2);
+  assert.strictEqual(keys.filter(key => key.startsWith('snapshot_hockey_')).length, 2);
+});
+
+test('the oldest snapshots of any feed are pruned to stay within SNAPSHOT_BUDGET_BYTES', () => {
+  // Each of these snapshots takes 300-400 bytes compressed
+  const harness = load({ FEEDS: [HOCKEY_FEED, F1_FEED], SNAPSHOT_BUDGET_BYTES: 1100 });
+  const race = (uid, summary) => ({ uid: uid, summary: summary, start: '20251102T140000Z', end: '20251102T160000Z' });
+  serveEvents(harness, [race('r1', 'Grand Prix')], F1_URL);
+  harness.global.syncFeed('f1');
+  harness.clock.advance(60 * 60 * 1000);
+  serveEvents(harness, [race('r2', 'Sprint Race')], F1_URL);
+  harness.global.syncFeed('f1');
+  syncWith(harness, [HAWKS]);
+  const [oldestRace, latestRace] = harness.global.listSnapshots('f1');
+
+  syncWith(harness, [WOLVES]);
+  assert.deepStrictEqual(Array.from(harness.global.listSnapshots('f1'), snapshot => snapshot.id), [latestRace.id]);
+  assert.strictEqual(harness.global.listSnapshots('hockey').length, 2);
+  const keys = Object.keys(harness.services.PropertiesService.getScriptProperties().getProperties());
+  assert.ok(!keys.some(key => key.startsWith(`snapshot_f1_${oldestRace.id}_`)));
+
+  // Another feed's latest snapshot is kept, so the feed being synced gives up its own oldest
+  syncWith(harness, [HAWKS, WOLVES]);
+  assert.deepStrictEqual(Array.from(harness.global.listSnapshots('f1'), snapshot => snapshot.id), [latestRace.id]);
+  assert.deepStrictEqual(Array.from(harness.global.listSnapshots('hockey'), snapshot => snapshot.eventCount), [1, 2]);
+
+  harness.global.CONFIG.SNAPSHOT_BUDGET_BYTES = 100;
+  syncWith(harness, [MOVED_HAWKS]);
+  assert.ok(harness.logs.some(log => log.level === 'warn' && log.message.includes("doesn't fit in SNAPSHOT_BUDGET_BYTES")));
+  assert.strictEqual(harness.global.listSnapshots('hockey').length, 2);
+});
+
+test('diffSnapshots reports added, removed and changed events', () => {
+  const harness = load();
+  syncWith(harness, [HAWKS, WOLVES]);
+  syncWith(harness, [Object.assign({}, HAWKS, { description: 'Light jerseys' }), { uid: 'g3', summary: 'Game vs Bears', start: '20251115T140000Z', end: '20251115T160000Z' }]);
+
+  const diff = harness.global.diffSnapshots('hockey');
+
+  assert.deepStrictEqual(Array.from(diff.added, event => event.title), ['Game vs Bears']);
+  assert.deepStrictEqual(Array.from(diff.removed, event => event.title), ['Game vs Wolves']);
+  assert.strictEqual(diff.changed.length, 1);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(diff.changed[0].changes)), [{ field: 'description', before: '', after: 'Light jerseys' }]);
+});
+
+test('a failed fetch compares the calendar with the last snapshot and changes nothing', () => {
+  const harness = load();
+  syncWith(harness, [HAWKS, WOLVES]);
+  harness.services.UrlFetchApp.serve(HOCKEY_URL, { status: 503, body: 'Service Unavailable' });
+
+  assert.throws(() => harness.global.syncFeed('hockey'), /fetch failed/);
+
+  assert.ok(harness.logs.some(log => log.message.includes('Last-known-good Hockey snapshot')));
+  assert.strictEqual(locations(harness).length, 2);
+});
+
+test('restoreSnapshot returns the calendar to a snapshot, and the next sync to the live feed', () => {
+  const harness = load();
+  syncWith(harness, [HAWKS, WOLVES]);
+  syncWith(harness, [MOVED_HAWKS, WOLVES]);
+  const first = harness.global.listSnapshots('hockey')[0];
+
+  const plan = harness.global.restoreSnapshot('hockey', first.id, { planOnly: true });
+  assert.strictEqual(plan.summary.update, 1);
+  assert.ok(locations(harness).includes('[Hockey] Game vs Hawks @ Eastside Rink'));
+
+  harness.global.restoreSnapshot('hockey', first.id);
+  assert.ok(locations(harness).includes('[Hockey] Game vs Hawks @ Westside Rink'));
+
+  // The live feed is unchanged since the last sync, but the calendar no longer matches it
+  const results = harness.global.syncFeed('hockey');
+  assert.notStrictEqual(results.skipped, true);
+  assert.strictEqual(results.updated, 1);
+  assert.ok(locations(harness).includes('[Hockey] Game vs Hawks @ Eastside Rink'));
+});
+
+test('unknown snapshots are reported clearly', () => {
+  const harness = load();
+
+  assert.throws(() => harness.global.restoreSnapshot('hockey'), /No snapshots stored for feed "hockey" yet/);
+  syncWith(harness, [HAWKS]);
+  assert.throws(() => harness.global.restoreSnapshot('hockey', '42'), /Snapshot 42 not found/);
+});
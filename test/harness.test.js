@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadAppsScript } = require('./harness/load-apps-script');
+const { buildICS } = require('./harness/feed-builder');
+const { CALENDAR_ID, TIME_ZONE, NOW } = require('./harness/scenario');
+
+// The loader itself, without the default feeds
+function load(options = {}) {
+  return loadAppsScript(Object.assign({
+    quiet: true,
+    now: NOW,
+    config: { FAMILY_CALENDAR_ID: CALENDAR_ID, TIMEZONE: TIME_ZONE }
+  }, options));
+}
+
+test('src files are loaded unmodified into one global scope', () => {
+  const harness = load();
+
+  assert.strictEqual(typeof harness.global.syncAllFeeds, 'function');
+  assert.strictEqual(typeof harness.global.parseICSData, 'function');
+  assert.strictEqual(harness.global.CONFIG.FAMILY_CALENDAR_ID, CALENDAR_ID);
+});
+
+test('the sample config runs as a config file', () => {
+  const harness = load({ config: undefined, configFile: path.join(__dirname, '..', 'examples', 'sample-config.js') });
+
+  const names = Array.from(harness.global.getFeeds(), feed => feed.name);
+  assert.deepStrictEqual(names, ['hockey', 'f1', 'baseball']);
+  assert.strictEqual(harness.global.getFeed('hockey').mergeGroup, 'hockey');
+  assert.ok(harness.services.CalendarApp.getCalendarById('your-family-calendar@group.calendar.google.com'));
+});
+
+test('the fake clock drives new Date(), Date.now() and Utilities.sleep', () => {
+  const harness = load();
+  const start = harness.global.Date.now();
+
+  harness.global.Utilities.sleep(1500);
+  assert.strictEqual(harness.global.Date.now() - start, 1500);
+
+  harness.clock.advance(60 * 1000);
+  assert.strictEqual(new harness.global.Date().getTime() - start, 61500);
+  assert.deepStrictEqual(harness.services.Utilities.sleeps, [1500]);
+});
+
+test('script properties reject values over 9 KB counted in bytes', () => {
+  const properties = load().services.PropertiesService.getScriptProperties();
+
+  properties.setProperty('ascii', 'a'.repeat(9 * 1024));
+  assert.throws(() => properties.setProperty('multibyte', '–'.repeat(3100)), /Argument too large/);
+  assert.strictEqual(properties.getProperty('multibyte'), null);
+});
+
+test('UrlFetchApp serves registered bodies and fails like Apps Script otherwise', () => {
+  const harness = load();
+  const fetchApp = harness.services.UrlFetchApp;
+  fetchApp.serve('https://example.com/feed', buildICS([]));
+  fetchApp.serve('https://example.com/gone', { status: 404, body: 'Not Found' });
+
+  assert.match(fetchApp.fetch('https://example.com/feed').getContentText(), /BEGIN:VCALENDAR/);
+  assert.throws(() => fetchApp.fetch('https://example.com/unknown'), /DNS error/);
+  assert.throws(() => fetchApp.fetch('https://example.com/gone'), /returned code 404/);
+  assert.strictEqual(fetchApp.fetch('https://example.com/gone', { muteHttpExceptions: true }).getResponseCode(), 404);
+  assert.strictEqual(fetchApp.requests.length, 4);
+});
+
+test('calendar events are found by overlap and can no longer be changed once deleted', () => {
+  const harness = load();
+  const calendar = harness.services.CalendarApp.getCalendarById(CALENDAR_ID);
+  const Date = harness.global.Date;
+  const event = calendar.createEvent('Practice', new Date('2025-10-21T22:00:00Z'), new Date('2025-10-21T23:00:00Z'));
+
+  assert.strictEqual(calendar.getEvents(new Date('2025-10-21T22:30:00Z'), new Date('2025-10-22T00:00:00Z')).length, 1);
+  assert.strictEqual(calendar.getEvents(new Date('2025-10-21T23:00:00Z'), new Date('2025-10-22T00:00:00Z')).length, 0);
+
+  event.deleteEvent();
+  assert.strictEqual(calendar._allEvents().length, 0);
+  assert.throws(() => event.setTitle('Moved'), /deleted/);
+});
+
+test('time-based triggers are recorded with their schedule', () => {
+  const harness = load();
+
+  harness.global.setupSyncAllFeedsTrigger();
+
+  const triggers = harness.services.ScriptApp.getProjectTriggers();
+  assert.strictEqual(triggers.length, 1);
+  assert.strictEqual(triggers[0].getHandlerFunction(), 'syncAllFeeds');
+  assert.deepStrictEqual(triggers[0]._schedule, { everyHours: 6 });
+});
@@ -0,0 +1,730 @@
+/**
+ * In-memory stand-ins for the Apps Script services used by src/
+ * CalendarApp, UrlFetchApp, PropertiesService, ScriptApp, MailApp, Utilities and Session, plus the
+ * Calendar advanced service (Events.move) and the Calendar API batch endpoint the 'batch' backend posts to
+ * Only the methods the sync scripts call are implemented, with Apps Script semantics
+ * (e.g. UrlFetchApp throws on HTTP errors unless muteHttpExceptions is set)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+
+// ============ CALENDAR APP ============
+/**
+ * Creates a fake CalendarApp holding calendars in memory
+ * @param {Object} options - { calendars: ['id', ...] } calendars to create up front
+ */
+function createFakeCalendarApp(options = {}) {
+  const calendars = new Map();
+  let nextEventId = 1;
+
+  function createCalendar(id, name) {
+    const events = [];
+
+    const calendar = {
+      getId: () => id,
+      getName: () => name || id,
+
+      createEvent(title, startTime, endTime, eventOptions = {}) {
+        return addEvent(title, startTime, endTime, false, eventOptions);
+      },
+
+      createAllDayEvent(title, startDate, endDateOrOptions, eventOptions) {
+        let endDate = endDateOrOptions;
+        if (!isDateLike(endDateOrOptions)) {
+          eventOptions = endDateOrOptions;
+          endDate = new startDate.constructor(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 1);
+        }
+        return addEvent(title, startDate, endDate, true, eventOptions || {});
+      },
+
+      // Events overlapping [startTime, endTime), sorted by start like Apps Script
+      getEvents(startTime, endTime, searchOptions = {}) {
+        let matches = events.filter(event =>
+          event._start.getTime() < endTime.getTime() && event._end.getTime() > startTime.getTime()
+        );
+        if (searchOptions.search) {
+          const search = searchOptions.search.toLowerCase();
+          matches = matches.filter(event =>
+            event._title.toLowerCase().includes(search) || event._description.toLowerCase().includes(search)
+          );
+        }
+        matches.sort((a, b) => a._start - b._start);
+        if (searchOptions.max) matches = matches.slice(0, searchOptions.max);
+        return matches;
+      },
+
+      getEventsForDay(date) {
+        const start = new date.constructor(date.getFullYear(), date.getMonth(), date.getDate());
+        const end = new date.constructor(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+        return calendar.getEvents(start, end);
+      },
+
+      getEventById(eventId) {
+        return events.find(event => event._id === eventId) || null;
+      },
+
+      // Harness helpers: every event regardless of date; take over an event keeping its id (Calendar.Events.move)
+      _allEvents: () => events.slice(),
+      _moveHere(event) {
+        event._moveTo(id, () => events.splice(events.indexOf(event), 1));
+        events.push(event);
+      }
+    };
+
+    function addEvent(title, startTime, endTime, allDay, eventOptions) {
+      const event = createFakeCalendarEvent({
+        id: `fake-event-${nextEventId++}@google.com`,
+        calendarId: id,
+        title: title,
+        start: startTime,
+        end: endTime,
+        allDay: allDay,
+        description: eventOptions.description || '',
+        location: eventOptions.location || '',
+        onDelete: () => events.splice(events.indexOf(event), 1)
+      });
+      events.push(event);
+      return event;
+    }
+
+    calendars.set(id, calendar);
+    return calendar;
+  }
+
+  (options.calendars || []).forEach(id => createCalendar(id));
+
+  return {
+    getCalendarById: id => calendars.get(id) || null,
+    getAllCalendars: () => Array.from(calendars.values()),
+    getDefaultCalendar: () => calendars.values().next().value || null,
+    createCalendar: name => createCalendar(`fake-calendar-${calendars.size + 1}@group.calendar.google.com`, name),
+    getEventById(eventId) {
+      for (const calendar of calendars.values()) {
+        const event = calendar.getEventById(eventId);
+        if (event) return event;
+      }
+      return null;
+    },
+    EventColor: {
+      PALE_BLUE: '1', PALE_GREEN: '2', MAUVE: '3', PALE_RED: '4', YELLOW: '5', ORANGE: '6',
+      CYAN: '7', GRAY: '8', BLUE: '9', GREEN: '10', RED: '11'
+    },
+
+    // Harness helpers
+    _createCalendar: createCalendar,
+    _calendars: calendars
+  };
+}
+
+/**
+ * Creates a fake CalendarEvent with the getters/setters the scripts use
+ */
+function createFakeCalendarEvent(data) {
+  const tags = new Map();
+  let popupReminders = [];
+  let emailReminders = [];
+  let color = '';
+
+  const event = {
+    _id: data.id,
+    _title: data.title,
+    _description: data.description,
+    _location: data.location,
+    _start: copyDate(data.start),
+    _end: copyDate(data.end),
+    _allDay: data.allDay,
+    _deleted: false,
+    _created: copyDate(new data.start.constructor()),
+    _lastUpdated: copyDate(new data.start.constructor()),
+
+    getId: () => event._id,
+    getOriginalCalendarId: () => data.calendarId,
+    getTitle: () => event._title,
+    getDescription: () => event._description,
+    getLocation: () => event._location,
+    getStartTime: () => copyDate(event._start),
+    getEndTime: () => copyDate(event._end),
+    isAllDayEvent: () => event._allDay,
+    getDateCreated: () => copyDate(event._created),
+    getLastUpdated: () => copyDate(event._lastUpdated),
+
+    getAllDayStartDate() {
+      assertAllDay();
+      return copyDate(event._start);
+    },
+    getAllDayEndDate() {
+      assertAllDay();
+      return copyDate(event._end);
+    },
+
+    setTitle: title => touch(() => { event._title = title; }),
+    setDescription: description => touch(() => { event._description = description; }),
+    setLocation: location => touch(() => { event._location = location; }),
+    setTime: (startTime, endTime) => touch(() => {
+      event._start = copyDate(startTime);
+      event._end = copyDate(endTime);
+      event._allDay = false;
+    }),
+    setAllDayDate: date => touch(() => {
+      event._start = startOfDay(date);
+      event._end = startOfDay(date, 1);
+      event._allDay = true;
+    }),
+    setAllDayDates: (startDate, endDate) => touch(() => {
+      event._start = startOfDay(startDate);
+      event._end = startOfDay(endDate);
+      event._allDay = true;
+    }),
+
+    getTag: key => tags.has(key) ? tags.get(key) : null,
+    setTag: (key, value) => touch(() => { tags.set(String(key), String(value)); }),
+    deleteTag: key => touch(() => { tags.delete(key); }),
+    getAllTagKeys: () => Array.from(tags.keys()),
+
+    getColor: () => color,
+    setColor: value => touch(() => { color = String(value); }),
+
+    getPopupReminders: () => popupReminders.slice(),
+    getEmailReminders: () => emailReminders.slice(),
+    addPopupReminder: minutes => touch(() => { popupReminders.push(minutes); }),
+    addEmailReminder: minutes => touch(() => { emailReminders.push(minutes); }),
+    removeAllReminders: () => touch(() => {
+      popupReminders = [];
+      emailReminders = [];
+    }),
+    resetRemindersToDefault: () => touch(() => {
+      popupReminders = [];
+      emailReminders = [];
+    }),
+
+    deleteEvent() {
+      assertNotDeleted();
+      event._deleted = true;
+      data.onDelete();
+    },
+
+    // Harness helper for calendar._moveHere
+    _moveTo(calendarId, onDelete) {
+      data.onDelete();
+      data.calendarId = calendarId;
+      data.onDelete = onDelete;
+    }
+  };
+
+  function touch(change) {
+    assertNotDeleted();
+    change();
+    event._lastUpdated = copyDate(new data.start.constructor());
+    return event;
+  }
+
+  function assertNotDeleted() {
+    if (event._deleted) {
+      throw new Error('The event has been deleted.');
+    }
+  }
+
+  function assertAllDay() {
+    if (!event._allDay) {
+      throw new Error('Event is not an all-day event.');
+    }
+  }
+
+  return event;
+}
+
+// ============ URL FETCH APP ============
+/**
+ * Creates a fake UrlFetchApp serving registered responses
+ * Unregistered URLs fail like a DNS error; non-2xx responses throw unless muteHttpExceptions is set
+ */
+function createFakeUrlFetchApp() {
+  const routes = new Map();
+  const requests = [];
+
+  function fetch(url, params = {}) {
+    requests.push({ url: url, params: params });
+
+    const route = routes.get(url);
+    if (!route) {
+      throw new Error(`DNS error: ${url}`);
+    }
+
+    const result = typeof route === 'function' ? route({ url: url, params: params }) : route;
+    if (result instanceof Error) {
+      throw result;
+    }
+
+    const response = createFakeHTTPResponse(normalizeResponse(result));
+    const code = response.getResponseCode();
+    if ((code < 200 || code >= 300) && !params.muteHttpExceptions) {
+      const body = response.getContentText().substring(0, 100);
+      throw new Error(`Request failed for ${url} returned code ${code}. Truncated server response: ${body}`);
+    }
+    return response;
+  }
+
+  return {
+    fetch: fetch,
+    fetchAll: requestList => requestList.map(request =>
+      typeof request === 'string' ? fetch(request) : fetch(request.url, request)
+    ),
+
+    // Harness helpers
+    /** Serves a body string, { status, body, headers }, an Error, or a function(request) returning one */
+    serve: (url, response) => routes.set(url, response),
+    serveFile: (url, path) => routes.set(url, () => fs.readFileSync(path, 'utf8')),
+    fail: (url, message) => routes.set(url, new Error(message || `Address unavailable: ${url}`)),
+    unserve: url => routes.delete(url),
+    requests: requests
+  };
+}
+
+function normalizeResponse(result) {
+  if (typeof result === 'string') {
+    return { status: 200, body: result, headers: {} };
+  }
+  return {
+    status: result.status || 200,
+    body: result.body || '',
+    headers: result.headers || {}
+  };
+}
+
+function createFakeHTTPResponse(response) {
+  return {
+    getResponseCode: () => response.status,
+    getContentText: () => response.body,
+    getHeaders: () => Object.assign({}, response.headers),
+    getAllHeaders: () => Object.assign({}, response.headers),
+    getBlob: () => createFakeBlob(Buffer.from(response.body, 'utf8'))
+  };
+}
+
+// ============ CALENDAR ADVANCED SERVICE ============
+/**
+ * Creates a fake Calendar advanced service over a fake CalendarApp; only Events.move is implemented
+ * Installed by loadAppsScript when appsscript.json enables the service
+ */
+function createFakeAdvancedCalendar(calendarApp) {
+  const advanced = {
+    Events: {
+      move(calendarId, eventId, destination) {
+        const source = calendarApp.getCalendarById(calendarId);
+        const target = calendarApp.getCalendarById(destination);
+        const event = source && source.getEventById(`${eventId}@google.com`);
+        if (!event || !target) {
+          throw new Error('API call to calendar.events.move failed with error: Not Found');
+        }
+        target._moveHere(event);
+        advanced.moves.push({ calendarId: calendarId, eventId: eventId, destination: destination });
+        return { id: eventId };
+      }
+    },
+
+    // Harness helper
+    moves: []
+  };
+  return advanced;
+}
+
+// ============ CALENDAR API BATCH ============
+const CALENDAR_BATCH_URL = 'https://www.googleapis.com/batch/calendar/v3';
+
+/**
+ * Creates a fake Calendar API batch endpoint that applies inserts, patches and deletes to a fake
+ * CalendarApp; serve `handle` at CALENDAR_BATCH_URL (loadAppsScript does)
+ * Private extended properties become event tags, unless { tagsFromExtendedProperties: false }
+ */
+function createFakeCalendarBatchEndpoint(calendarApp, options = {}) {
+  const tagsFromExtendedProperties = options.tagsFromExtendedProperties !== false;
+
+  const endpoint = {
+    // Harness helpers
+    /** Item requests of every batch received: [[{ method, calendarId, eventId, body }, ...], ...] */
+    batches: [],
+    /** Statuses answered, in order, to the next items instead of applying them, e.g. [429, 500] */
+    itemStatuses: [],
+
+    handle(request) {
+      const boundary = /boundary=([^;]+)/.exec(request.params.contentType)[1];
+      const items = request.params.payload.split(`--${boundary}`)
+        .filter(part => /Content-ID:/i.test(part))
+        .map(parseBatchItem);
+      endpoint.batches.push(items);
+
+      const parts = items.map((item, index) => {
+        const status = endpoint.itemStatuses.length > 0 ? endpoint.itemStatuses.shift() : null;
+        const result = status ? { status: status, body: errorBody(status) } : applyItem(item);
+        const body = result.body ? `Content-Type: application/json\r\n\r\n${JSON.stringify(result.body)}` : '\r\n';
+        return `--batch_response\r\nContent-Type: application/http\r\nContent-ID: <response-item-${index}>\r\n\r\n` +
+          `HTTP/1.1 ${result.status} ${result.status < 300 ? 'OK' : 'Error'}\r\n${body}\r\n`;
+      });
+
+      return {
+        status: 200,
+        headers: { 'Content-Type': 'multipart/mixed; boundary=batch_response' },
+        body: parts.join('') + '--batch_response--'
+      };
+    }
+  };
+
+  function parseBatchItem(part) {
+    const request = /(POST|PATCH|DELETE) \/calendar\/v3\/calendars\/([^/\s]+)\/events(?:\/(\S+))?/.exec(part);
+    const bodyStart = part.indexOf('{');
+    return {
+      method: request[1],
+      calendarId: decodeURIComponent(request[2]),
+      eventId: request[3] || null,
+      body: bodyStart >= 0 ? JSON.parse(part.substring(bodyStart, part.lastIndexOf('}') + 1)) : null
+    };
+  }
+
+  function applyItem(item) {
+    const calendar = calendarApp.getCalendarById(item.calendarId);
+    if (!calendar) return { status: 404, body: errorBody(404) };
+
+    if (item.method === 'POST') {
+      const resource = item.body;
+      const eventOptions = { description: resource.description, location: resource.location };
+      const event = resource.start.date
+        ? calendar.createAllDayEvent(resource.summary, parseApiDate(resource.start), parseApiDate(resource.end), eventOptions)
+        : calendar.createEvent(resource.summary, parseApiDate(resource.start), parseApiDate(resource.end), eventOptions);
+      patchEvent(event, resource);
+      return { status: 200, body: { id: event.getId().split('@')[0] } };
+    }
+
+    const event = calendar.getEventById(`${item.eventId}@google.com`);
+    if (!event) return { status: 404, body: errorBody(404) };
+    if (item.method === 'DELETE') {
+      event.deleteEvent();
+      return { status: 204, body: null };
+    }
+    patchEvent(event, item.body);
+    return { status: 200, body: { id: item.eventId } };
+  }
+
+  function patchEvent(event, resource) {
+    if (resource.summary !== undefined) event.setTitle(resource.summary);
+    if (resource.description !== undefined) event.setDescription(resource.description || '');
+    if (resource.location !== undefined) event.setLocation(resource.location || '');
+    if (resource.start && resource.start.date) {
+      event.setAllDayDates(parseApiDate(resource.start), parseApiDate(resource.end));
+    } else if (resource.start) {
+      event.setTime(parseApiDate(resource.start), parseApiDate(resource.end));
+    }
+    if (resource.colorId) event.setColor(resource.colorId);
+    if (resource.reminders) {
+      event.removeAllReminders();
+      (resource.reminders.overrides || []).forEach(reminder => {
+        if (reminder.method === 'email') event.addEmailReminder(reminder.minutes);
+        else event.addPopupReminder(reminder.minutes);
+      });
+    }
+    const tags = resource.extendedProperties && resource.extendedProperties.private;
+    if (tags && tagsFromExtendedProperties) {
+      Object.keys(tags).forEach(key => event.setTag(key, tags[key]));
+    }
+  }
+
+  function parseApiDate(time) {
+    if (time.dateTime) return new Date(time.dateTime);
+    const parts = time.date.split('-').map(Number);
+    return new Date(parts[0], parts[1] - 1, parts[2]);
+  }
+
+  function errorBody(status) {
+    const reason = status === 429 ? 'rateLimitExceeded' : status === 404 ? 'notFound' : 'backendError';
+    return { error: { code: status, message: reason, errors: [{ reason: reason }] } };
+  }
+
+  return endpoint;
+}
+
+// ============ PROPERTIES SERVICE ============
+/**
+ * Creates a fake PropertiesService; values are strings and limited to 9 KB like Apps Script
+ */
+function createFakePropertiesService() {
+  const scriptProperties = createFakeProperties();
+  const userProperties = createFakeProperties();
+
+  return {
+    getScriptProperties: () => scriptProperties,
+    getUserProperties: () => userProperties,
+    getDocumentProperties: () => null
+  };
+}
+
+const MAX_PROPERTY_VALUE_BYTES = 9 * 1024;
+
+function createFakeProperties() {
+  const store = new Map();
+
+  const properties = {
+    getProperty: key => store.has(key) ? store.get(key) : null,
+    setProperty(key, value) {
+      const stringValue = String(value);
+      if (Buffer.byteLength(stringValue, 'utf8') > MAX_PROPERTY_VALUE_BYTES) {
+        throw new Error('Argument too large: value');
+      }
+      store.set(key, stringValue);
+      return properties;
+    },
+    setProperties(values, deleteAllOthers) {
+      if (deleteAllOthers) store.clear();
+      Object.keys(values).forEach(key => properties.setProperty(key, values[key]));
+      return properties;
+    },
+    getProperties: () => Object.fromEntries(store),
+    getKeys: () => Array.from(store.keys()),
+    deleteProperty(key) {
+      store.delete(key);
+      return properties;
+    },
+    deleteAllProperties() {
+      store.clear();
+      return properties;
+    }
+  };
+
+  return properties;
+}
+
+// ============ SCRIPT APP ============
+/**
+ * Creates a fake ScriptApp with time-based triggers
+ */
+function createFakeScriptApp() {
+  const triggers = [];
+  let nextTriggerId = 1;
+
+  function newTrigger(handlerFunction) {
+    const schedule = {};
+    const builder = {
+      timeBased: () => builder,
+      everyMinutes: n => set('everyMinutes', n),
+      everyHours: n => set('everyHours', n),
+      everyDays: n => set('everyDays', n),
+      everyWeeks: n => set('everyWeeks', n),
+      atHour: hour => set('atHour', hour),
+      nearMinute: minute => set('nearMinute', minute),
+      onWeekDay: day => set('onWeekDay', day),
+      after: ms => set('after', ms),
+      at: date => set('at', date),
+      create() {
+        const id = String(nextTriggerId++);
+        const trigger = {
+          getHandlerFunction: () => handlerFunction,
+          getUniqueId: () => id,
+          getEventType: () => 'CLOCK',
+          getTriggerSource: () => 'CLOCK',
+          _schedule: schedule
+        };
+        triggers.push(trigger);
+        return trigger;
+      }
+    };
+
+    function set(key, value) {
+      schedule[key] = value;
+      return builder;
+    }
+
+    return builder;
+  }
+
+  return {
+    newTrigger: newTrigger,
+    getOAuthToken: () => 'fake-oauth-token',
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger(trigger) {
+      const index = triggers.findIndex(t => t.getUniqueId() === trigger.getUniqueId());
+      if (index !== -1) triggers.splice(index, 1);
+    },
+    EventType: { CLOCK: 'CLOCK' },
+    WeekDay: {
+      SUNDAY: 'SUNDAY', MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY',
+      THURSDAY: 'THURSDAY', FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY'
+    }
+  };
+}
+
+// ============ MAIL APP ============
+/**
+ * Creates a fake MailApp; sent messages are kept in `sent` instead of being delivered
+ */
+function createFakeMailApp(options = {}) {
+  const sent = [];
+  const quota = options.dailyQuota !== undefined ? options.dailyQuota : 100;
+
+  return {
+    sendEmail(...args) {
+      const message = typeof args[0] === 'object'
+        ? Object.assign({}, args[0])
+        : Object.assign({ to: args[0], subject: args[1], body: args[2] }, args[3] || {});
+      if (!message.to) {
+        throw new Error('Failed to send email: no recipient');
+      }
+      if (sent.length >= quota) {
+        throw new Error('Service invoked too many times for one day: email.');
+      }
+      sent.push(message);
+    },
+    getRemainingDailyQuota: () => quota - sent.length,
+
+    // Harness helpers
+    sent: sent
+  };
+}
+
+// ============ UTILITIES & SESSION ============
+/**
+ * Creates fake Utilities; sleep() never blocks and advances the fake clock when one is installed
+ */
+function createFakeUtilities(options = {}) {
+  const utilities = {
+    sleeps: [],
+
+    sleep(ms) {
+      utilities.sleeps.push(ms);
+      if (options.clock) options.clock.advance(ms);
+    },
+
+    // Signed bytes (-128..127), as Apps Script returns them
+    computeDigest(algorithm, value) {
+      return toSignedBytes(crypto.createHash(DIGEST_ALGORITHMS[algorithm]).update(toBuffer(value)).digest());
+    },
+
+    base64Encode: value => toBuffer(value).toString('base64'),
+    base64Decode: value => toSignedBytes(Buffer.from(value, 'base64')),
+    base64EncodeWebSafe: value => toBuffer(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64DecodeWebSafe: value => toSignedBytes(Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+
+    newBlob: (data, contentType, name) => createFakeBlob(toBuffer(data), contentType, name),
+    gzip: (blob, name) => createFakeBlob(zlib.gzipSync(toBuffer(blob.getBytes())), 'application/x-gzip', name || blob.getName()),
+    ungzip: blob => createFakeBlob(zlib.gunzipSync(toBuffer(blob.getBytes()))),
+    getUuid: () => crypto.randomUUID(),
+
+    formatDate: (date, timeZone, pattern) => formatDateWithPattern(date, timeZone, pattern),
+
+    DigestAlgorithm: {
+      MD5: 'MD5', SHA_1: 'SHA_1', SHA_256: 'SHA_256', SHA_384: 'SHA_384', SHA_512: 'SHA_512'
+    },
+    Charset: { UTF_8: 'UTF_8', US_ASCII: 'US_ASCII' }
+  };
+
+  return utilities;
+}
+
+const DIGEST_ALGORITHMS = {
+  MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512'
+};
+
+function createFakeSession(options = {}) {
+  const timeZone = options.timeZone || process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return {
+    getScriptTimeZone: () => timeZone,
+    getActiveUser: () => ({ getEmail: () => options.userEmail || 'family@example.com' }),
+    getEffectiveUser: () => ({ getEmail: () => options.userEmail || 'family@example.com' })
+  };
+}
+
+function createFakeBlob(buffer, contentType, name) {
+  let blobName = name || null;
+  return {
+    getBytes: () => toSignedBytes(buffer),
+    getDataAsString: () => buffer.toString('utf8'),
+    getContentType: () => contentType || null,
+    getName: () => blobName,
+    setName(value) {
+      blobName = value;
+      return this;
+    }
+  };
+}
+
+/**
+ * Subset of java.text.SimpleDateFormat used by Utilities.formatDate
+ * (yyyy, yy, MMMM, MMM, MM, M, dd, d, EEEE, EEE, HH, H, hh, h, mm, ss, a, Z)
+ */
+function formatDateWithPattern(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric', weekday: 'long'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const month = parseInt(parts.month);
+  const hour = parseInt(parts.hour) % 24;
+  const zonedMs = Date.UTC(parseInt(parts.year), month - 1, parseInt(parts.day), hour,
+    parseInt(parts.minute), parseInt(parts.second));
+  const offset = Math.round((zonedMs - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const monthName = new Intl.DateTimeFormat('en-US', { timeZone: timeZone, month: 'long' }).format(date);
+  const pad = value => String(value).padStart(2, '0');
+
+  const tokens = {
+    yyyy: parts.year,
+    yy: parts.year.slice(-2),
+    MMMM: monthName,
+    MMM: monthName.substring(0, 3),
+    MM: pad(month),
+    M: String(month),
+    dd: pad(parts.day),
+    d: String(parseInt(parts.day)),
+    EEEE: parts.weekday,
+    EEE: parts.weekday.substring(0, 3),
+    HH: pad(hour),
+    H: String(hour),
+    hh: pad(hour % 12 || 12),
+    h: String(hour % 12 || 12),
+    mm: pad(parts.minute),
+    ss: pad(parts.second),
+    a: hour < 12 ? 'AM' : 'PM',
+    Z: (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60)) + pad(Math.abs(offset) % 60)
+  };
+
+  return pattern.replace(/'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a|Z/g,
+    (match, literal) => literal !== undefined ? literal : tokens[match]);
+}
+
+// ============ HELPERS ============
+
+function copyDate(date) {
+  return new date.constructor(date.getTime());
+}
+
+function startOfDay(date, addDays = 0) {
+  return new date.constructor(date.getFullYear(), date.getMonth(), date.getDate() + addDays);
+}
+
+function isDateLike(value) {
+  return !!value && typeof value.getTime === 'function';
+}
+
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value === 'string') return Buffer.from(value, 'utf8');
+  return Buffer.from(value.map(byte => byte & 0xff));
+}
+
+function toSignedBytes(buffer) {
+  return Array.from(buffer).map(byte => byte > 127 ? byte - 256 : byte);
+}
+
+module.exports = {
+  CALENDAR_BATCH_URL,
+  createFakeCalendarApp,
+  createFakeCalendarEvent,
+  createFakeUrlFetchApp,
+  createFakeCalendarBatchEndpoint,
+  createFakeAdvancedCalendar,
+  createFakePropertiesService,
+  createFakeScriptApp,
+  createFakeMailApp,
+  createFakeUtilities,
+  createFakeSession,
+  createFakeBlob
+};
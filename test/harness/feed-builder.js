@@ -0,0 +1,46 @@
+/**
+ * Builds small ICS feeds for scenarios
+ *
+ *   buildICS([
+ *     { uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' },
+ *     { uid: 't1', summary: 'Fall Classic', start: '20251114', end: '20251117' },
+ *     { uid: 'p1', summary: 'Practice', start: 'TZID=America/Toronto:20251021T180000', lines: ['RRULE:FREQ=WEEKLY;COUNT=3'] }
+ *   ]);
+ *
+ * start/end are ICS date values: an 8-digit date makes an all-day event, a "TZID=<zone>:" prefix
+ * adds the parameter. `lines` are raw properties added to the VEVENT as-is.
+ */
+
+function buildICS(events, options = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Harness//Test Feed//EN'];
+  (options.lines || []).forEach(line => lines.push(line));
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `SUMMARY:${escapeICSText(event.summary)}`);
+    lines.push(formatDateProperty('DTSTART', event.start));
+    if (event.end) lines.push(formatDateProperty('DTEND', event.end));
+    if (event.location) lines.push(`LOCATION:${escapeICSText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+    (event.lines || []).forEach(line => lines.push(line));
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n');
+}
+
+function formatDateProperty(name, value) {
+  if (/^\d{8}$/.test(value)) return `${name};VALUE=DATE:${value}`;
+  if (value.startsWith('TZID=')) return `${name};${value}`;
+  return `${name}:${value}`;
+}
+
+function escapeICSText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+module.exports = { buildICS };
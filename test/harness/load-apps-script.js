@@ -0,0 +1,162 @@
+/**
+ * Loads the Apps Script sources unmodified into a Node vm context backed by the fakes
+ *
+ *   const { loadAppsScript } = require('./harness/load-apps-script');
+ *   const harness = loadAppsScript({ config: { ... }, now: '2025-10-20T12:00:00Z' });
+ *   harness.services.UrlFetchApp.serveFile(url, 'test/fixtures/benchapp-basic.ics');
+ *   harness.global.syncAllFeeds();
+ *
+ * Run scenarios with the script's timezone, e.g. `TZ=America/Toronto node --test test/*.test.js`,
+ * because Date's local methods inside the context follow the Node process timezone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  CALENDAR_BATCH_URL,
+  createFakeCalendarApp,
+  createFakeCalendarBatchEndpoint,
+  createFakeAdvancedCalendar,
+  createFakeUrlFetchApp,
+  createFakePropertiesService,
+  createFakeScriptApp,
+  createFakeMailApp,
+  createFakeUtilities,
+  createFakeSession
+} = require('./apps-script-fakes');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Creates a context with fake services, loads CONFIG and every src/*.js file
+ * @param {Object} options
+ *   config     - CONFIG object (may contain functions), or
+ *   configFile - Path of a config.js to run as-is (e.g. examples/sample-config.js)
+ *   now        - Fixed start time for the fake clock (Date, ms or ISO string); real clock if omitted
+ *   timeZone   - Value returned by Session.getScriptTimeZone()
+ *   calendars  - Calendar ids to create (defaults to CONFIG.FAMILY_CALENDAR_ID)
+ *   quiet      - Don't print script console output (it is still captured in harness.logs)
+ *   services   - Extra or replacement globals (e.g. a MailApp with a small quota, or
+ *                { Calendar: undefined } to run without the Calendar advanced service)
+ *   srcDir     - Directory of scripts to load (default: src/)
+ * @returns {{ global, services, clock, logs }} - services.calendarBatch is the Calendar API batch
+ *   endpoint, served at CALENDAR_BATCH_URL when UrlFetchApp is the default fake
+ */
+function loadAppsScript(options = {}) {
+  const logs = [];
+  const context = vm.createContext({ console: createCapturingConsole(logs, options.quiet) });
+  const clock = options.now !== undefined ? installFakeClock(context, options.now) : null;
+
+  const services = Object.assign({
+    UrlFetchApp: createFakeUrlFetchApp(),
+    PropertiesService: createFakePropertiesService(),
+    ScriptApp: createFakeScriptApp(),
+    MailApp: createFakeMailApp(),
+    Utilities: createFakeUtilities({ clock: clock }),
+    Session: createFakeSession({ timeZone: options.timeZone })
+  }, options.services || {});
+  Object.assign(context, services);
+
+  if (options.configFile) {
+    runFile(context, options.configFile);
+  } else {
+    context.CONFIG = options.config || {};
+  }
+
+  if (!services.CalendarApp) {
+    const calendarConfig = vm.runInContext('CONFIG', context);
+    const calendarIds = options.calendars || [calendarConfig.FAMILY_CALENDAR_ID].filter(Boolean);
+    services.CalendarApp = createFakeCalendarApp({ calendars: calendarIds });
+    context.CalendarApp = services.CalendarApp;
+  }
+
+  // Advanced services the manifest enables, unless the test replaced or removed them
+  const srcDir = options.srcDir || SRC_DIR;
+  if (!('Calendar' in services) && getEnabledAdvancedServices(srcDir).includes('Calendar')) {
+    services.Calendar = createFakeAdvancedCalendar(services.CalendarApp);
+    context.Calendar = services.Calendar;
+  }
+
+  services.calendarBatch = createFakeCalendarBatchEndpoint(services.CalendarApp);
+  if (services.UrlFetchApp.serve) {
+    services.UrlFetchApp.serve(CALENDAR_BATCH_URL, services.calendarBatch.handle);
+  }
+
+  // Same order as the Apps Script editor: alphabetical, config already loaded
+  fs.readdirSync(srcDir)
+    .filter(file => file.endsWith('.js') && !/^config(-personal)?\.js$/.test(file))
+    .sort()
+    .forEach(file => runFile(context, path.join(srcDir, file)));
+
+  return { global: context, services: services, clock: clock, logs: logs };
+}
+
+function getEnabledAdvancedServices(srcDir) {
+  const manifestPath = path.join(srcDir, 'appsscript.json');
+  if (!fs.existsSync(manifestPath)) return [];
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return ((manifest.dependencies || {}).enabledAdvancedServices || []).map(service => service.userSymbol);
+}
+
+function runFile(context, filePath) {
+  vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+}
+
+/**
+ * Replaces Date inside the context so `new Date()` and `Date.now()` read a controllable clock
+ * Returns { now(), set(time), advance(ms) }
+ */
+function installFakeClock(context, start) {
+  const state = { now: new Date(start).getTime() };
+  context.__harnessClock = state;
+
+  vm.runInContext(`
+    (function (RealDate, clock) {
+      class FakeDate extends RealDate {
+        constructor(...args) {
+          if (args.length === 0) {
+            super(clock.now);
+          } else {
+            super(...args);
+          }
+        }
+        static now() {
+          return clock.now;
+        }
+      }
+      globalThis.Date = FakeDate;
+    })(Date, __harnessClock);
+  `, context);
+
+  return {
+    now: () => new Date(state.now),
+    set: time => { state.now = new Date(time).getTime(); },
+    advance: ms => { state.now += ms; }
+  };
+}
+
+function createCapturingConsole(logs, quiet) {
+  const levels = ['log', 'info', 'warn', 'error'];
+  const capturing = {};
+  levels.forEach(level => {
+    capturing[level] = (...args) => {
+      logs.push({ level: level, message: args.map(formatLogArg).join(' ') });
+      if (!quiet) console[level](...args);
+    };
+  });
+  return capturing;
+}
+
+function formatLogArg(arg) {
+  if (typeof arg === 'string') return arg;
+  if (arg && arg.stack) return String(arg);
+  try {
+    return JSON.stringify(arg);
+  } catch (error) {
+    return String(arg);
+  }
+}
+
+module.exports = { loadAppsScript, installFakeClock };
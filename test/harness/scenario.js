@@ -0,0 +1,80 @@
+/**
+ * The default scenario most tests start from: the family calendar, the hockey feed, the project
+ * timezone and a fixed clock, so each test only declares what it changes
+ *
+ *   const { loadScenario, calendarEvents } = require('./harness/scenario');
+ *   const harness = loadScenario({ config: { DELETION_SAFETY: false }, feed: { reminders: { default: [30] } }, events: [GAME] });
+ *   harness.global.syncFeed('hockey');
+ *   assert.strictEqual(calendarEvents(harness).length, 1);
+ */
+
+const { loadAppsScript } = require('./load-apps-script');
+const { buildICS } = require('./feed-builder');
+
+const CALENDAR_ID = 'family@group.calendar.google.com';
+const TIME_ZONE = 'America/Toronto';
+const NOW = '2025-10-20T12:00:00Z';
+
+const HOCKEY_URL = 'https://ics.benchapp.com/team';
+const BASEBALL_URL = 'https://example.com/baseball.ics';
+const F1_URL = 'https://example.com/f1.ics';
+
+const HOCKEY_FEED = Object.freeze({ name: 'hockey', label: 'Hockey', url: HOCKEY_URL, prefix: '[Hockey] ', uidMarker: 'Hockey-UID' });
+const BASEBALL_FEED = Object.freeze({ name: 'baseball', label: 'Baseball', url: BASEBALL_URL, prefix: '[Baseball] ', uidMarker: 'Baseball-UID' });
+const F1_FEED = Object.freeze({ name: 'f1', label: 'F1', url: F1_URL, prefix: '[F1] ', uidMarker: 'F1-UID' });
+
+/**
+ * Loads the scripts with the default CONFIG plus the test's changes
+ * @param {Object} options - Any loadAppsScript option (now, calendars, services, ...), plus:
+ *   config - CONFIG keys to add or replace (FEEDS defaults to the hockey feed)
+ *   feed   - Keys to add or replace on the first feed
+ *   events - Events (buildICS format) to serve as the first feed
+ * @returns {{ global, services, clock, logs }} - The harness
+ */
+function loadScenario(options = {}) {
+  const { config, feed, events, ...loaderOptions } = options;
+
+  const merged = Object.assign({ FAMILY_CALENDAR_ID: CALENDAR_ID, TIMEZONE: TIME_ZONE, FEEDS: [HOCKEY_FEED] }, config);
+  // Copies, so a test can change CONFIG.FEEDS mid-scenario without touching the shared feeds
+  // (FEEDS: undefined leaves the legacy per-sport keys in charge)
+  if (merged.FEEDS) merged.FEEDS = merged.FEEDS.map((each, index) => Object.assign({}, each, index === 0 ? feed : undefined));
+
+  const harness = loadAppsScript(Object.assign({ quiet: true, now: NOW }, loaderOptions, { config: merged }));
+  if (events) serveEvents(harness, events, merged.FEEDS ? merged.FEEDS[0].url : HOCKEY_URL);
+  return harness;
+}
+
+/**
+ * Serves events as an ICS feed
+ * @param {Object} harness
+ * @param {Array<Object>} events - buildICS events
+ * @param {string} url - Feed URL (default: the hockey feed)
+ */
+function serveEvents(harness, events, url = HOCKEY_URL) {
+  harness.services.UrlFetchApp.serve(url, buildICS(events));
+}
+
+/**
+ * Events of a fake calendar
+ * @param {Object} harness
+ * @param {string} calendarId - Calendar id (default: the family calendar)
+ * @returns {Array<Object>} - Fake events, in creation order
+ */
+function calendarEvents(harness, calendarId = CALENDAR_ID) {
+  return harness.services.CalendarApp.getCalendarById(calendarId)._allEvents();
+}
+
+module.exports = {
+  CALENDAR_ID,
+  TIME_ZONE,
+  NOW,
+  HOCKEY_URL,
+  BASEBALL_URL,
+  F1_URL,
+  HOCKEY_FEED,
+  BASEBALL_FEED,
+  F1_FEED,
+  loadScenario,
+  serveEvents,
+  calendarEvents
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { loadScenario } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+const FIXTURE = fs.readFileSync('test/fixtures/benchapp-basic.ics', 'utf8');
+
+function parse(icsData) {
+  return loadScenario().global.parseICSData(icsData, { defaultTimeZone: 'America/Toronto' });
+}
+
+function byUid(events, uid) {
+  return events.find(event => event.originalUID === uid);
+}
+
+test('folded lines are unfolded and text escapes resolved', () => {
+  const game = byUid(parse(FIXTURE), 'benchapp-game-1001');
+
+  assert.strictEqual(game.title, 'Game vs Wolves (Home)');
+  assert.strictEqual(game.location, 'Memorial Arena, 123 Main St, Toronto');
+  assert.strictEqual(game.description, 'Arrive 45 minutes early. Dark jerseys.\nBring a water bottle and your pinnie.');
+});
+
+test('DURATION gives the end time when there is no DTEND', () => {
+  const game = byUid(parse(FIXTURE), 'benchapp-game-1002');
+
+  assert.strictEqual(game.startTime.toISOString(), '2025-11-01T14:00:00.000Z');
+  assert.strictEqual(game.endTime.toISOString(), '2025-11-01T15:15:00.000Z');
+});
+
+test('LF-only files and quoted parameter values containing colons are read', () => {
+  const events = parse([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:q1',
+    'SUMMARY:Team Meeting',
+    'DTSTART:20251030T230000Z',
+    'LOCATION;ALTREP="https://maps.example.com/a:b;c":Clubhouse',
+    'STATUS:confirmed',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n'));
+
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].location, 'Clubhouse');
+  assert.strictEqual(events[0].status, 'CONFIRMED');
+});
+
+test('events without a title or start are skipped', () => {
+  const events = parse(buildICS([
+    { uid: 'ok', summary: 'Practice', start: '20251021T220000Z' },
+    { uid: 'no-title', summary: 'Practice', start: '20251022T220000Z' },
+    { uid: 'no-start', summary: 'Practice', start: '20251023T220000Z' }
+  ])
+    .replace('UID:no-title\r\nSUMMARY:Practice\r\n', 'UID:no-title\r\n')
+    .replace('DTSTART:20251023T220000Z\r\n', ''));
+
+  assert.deepStrictEqual(Array.from(events, event => event.originalUID), ['ok']);
+});
+
+test('parsing the same feed twice gives identical events', () => {
+  const first = JSON.stringify(parse(FIXTURE));
+  const second = JSON.stringify(parse(FIXTURE));
+
+  assert.strictEqual(first, second);
+});
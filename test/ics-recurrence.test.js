@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+const PRACTICE = {
+  uid: 'practice',
+  summary: 'Practice',
+  start: 'TZID=America/Toronto:20251021T180000',
+  end: 'TZID=America/Toronto:20251021T190000',
+  lines: ['RRULE:FREQ=WEEKLY;COUNT=4']
+};
+
+function parse(icsData, range) {
+  const harness = loadScenario();
+  const Date = harness.global.Date;
+  const options = { defaultTimeZone: 'America/Toronto' };
+  if (range) options.range = { start: new Date(range[0]), end: new Date(range[1]) };
+  return harness.global.parseICSData(icsData, options);
+}
+
+function starts(events) {
+  return Array.from(events, event => event.startTime.toISOString()).sort();
+}
+
+test('a weekly RRULE becomes one event per occurrence at the same local time across DST', () => {
+  const events = parse(buildICS([PRACTICE]));
+
+  assert.deepStrictEqual(starts(events), [
+    '2025-10-21T22:00:00.000Z',
+    '2025-10-28T22:00:00.000Z',
+    '2025-11-04T23:00:00.000Z',
+    '2025-11-11T23:00:00.000Z'
+  ]);
+  assert.ok(events.every(event => event.endTime - event.startTime === 60 * 60 * 1000));
+});
+
+test('EXDATE drops an occurrence and RECURRENCE-ID overrides replace or cancel one', () => {
+  const master = Object.assign({}, PRACTICE, {
+    lines: PRACTICE.lines.concat('EXDATE;TZID=America/Toronto:20251028T180000')
+  });
+  const events = parse(buildICS([
+    master,
+    { uid: 'practice', summary: 'Practice (late ice)', start: 'TZID=America/Toronto:20251104T200000', end: 'TZID=America/Toronto:20251104T210000',
+      lines: ['RECURRENCE-ID;TZID=America/Toronto:20251104T180000'] },
+    { uid: 'practice', summary: 'Practice', start: 'TZID=America/Toronto:20251111T180000', end: 'TZID=America/Toronto:20251111T190000',
+      lines: ['RECURRENCE-ID;TZID=America/Toronto:20251111T180000', 'STATUS:CANCELLED'] }
+  ]));
+
+  assert.deepStrictEqual(starts(events), ['2025-10-21T22:00:00.000Z', '2025-11-05T01:00:00.000Z']);
+  assert.ok(events.some(event => event.title === 'Practice (late ice)'));
+});
+
+test('expansion stops at the end of the range for rules without COUNT or UNTIL', () => {
+  const endless = Object.assign({}, PRACTICE, { lines: ['RRULE:FREQ=DAILY'] });
+
+  const events = parse(buildICS([endless]), ['2025-10-20T00:00:00Z', '2025-10-25T00:00:00Z']);
+
+  assert.strictEqual(events.length, 4);
+});
+
+test('BYDAY, INTERVAL and UNTIL are honored', () => {
+  const events = parse(buildICS([Object.assign({}, PRACTICE, {
+    lines: ['RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20251107T000000Z']
+  })]));
+
+  assert.deepStrictEqual(starts(events), [
+    '2025-10-21T22:00:00.000Z',
+    '2025-10-23T22:00:00.000Z',
+    '2025-11-04T23:00:00.000Z',
+    '2025-11-06T23:00:00.000Z'
+  ]);
+});
+
+test('each occurrence syncs as its own event and an excluded one is removed', () => {
+  const harness = loadScenario({ events: [PRACTICE] });
+  harness.global.syncFeed('hockey');
+
+  const uids = calendarEvents(harness).map(event => event.getTag('syncUid'));
+  assert.strictEqual(new Set(uids).size, 4);
+
+  const master = Object.assign({}, PRACTICE, {
+    lines: PRACTICE.lines.concat('EXDATE;TZID=America/Toronto:20251028T180000')
+  });
+  serveEvents(harness, [master]);
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.removed, 1);
+  assert.strictEqual(results.unchanged, 3);
+  const remaining = calendarEvents(harness).map(event => event.getStartTime().toISOString()).sort();
+  assert.ok(!remaining.includes('2025-10-28T22:00:00.000Z'));
+});
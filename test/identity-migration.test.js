@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents, CALENDAR_ID } = require('./harness/scenario');
+
+const NEW_SCHEME = { prefix: '🏒 ', uidMarker: 'Team-UID' };
+
+const SEASON = [
+  { uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' },
+  { uid: 'g2', summary: 'Game vs Wolves', start: '20251108T140000Z', end: '20251108T160000Z', location: 'Memorial Arena' }
+];
+
+// A season synced with the original scheme, then CONFIG switched to a new marker and prefix
+function loadWithChangedScheme() {
+  const harness = loadScenario({ events: SEASON });
+  harness.global.syncFeed('hockey');
+
+  Object.assign(harness.global.CONFIG.FEEDS[0], NEW_SCHEME);
+  return harness;
+}
+
+const FROM_OLD_SCHEME = { fromMarker: 'Hockey-UID', fromPrefix: '[Hockey] ' };
+
+test('a dry run reports the migrations and changes nothing', () => {
+  const harness = loadWithChangedScheme();
+
+  const report = harness.global.migrateIdentities('hockey', Object.assign({ dryRun: true }, FROM_OLD_SCHEME));
+
+  assert.strictEqual(report.migrated, 2);
+  assert.ok(calendarEvents(harness).every(event => event.getTitle().startsWith('[Hockey] ')));
+});
+
+test('events are re-labelled for the new scheme and the next sync matches them', () => {
+  const harness = loadWithChangedScheme();
+
+  const report = harness.global.migrateIdentities('hockey', FROM_OLD_SCHEME);
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(report.migrated, 2);
+  assert.strictEqual(report.needsAnotherRun, false);
+  assert.deepStrictEqual(calendarEvents(harness).map(event => event.getTitle()).sort(), ['🏒 Game vs Hawks', '🏒 Game vs Wolves']);
+  assert.ok(calendarEvents(harness).every(event => /(^|\n\n)Team-UID: hockey-stable-/.test(event.getDescription())));
+  assert.strictEqual(results.added, 0);
+  assert.strictEqual(results.removed, 0);
+});
+
+test('the batch limit leaves the rest for another run', () => {
+  const harness = loadWithChangedScheme();
+
+  const first = harness.global.migrateIdentities('hockey', Object.assign({ maxMigrations: 1 }, FROM_OLD_SCHEME));
+  const second = harness.global.migrateIdentities('hockey', FROM_OLD_SCHEME);
+
+  assert.strictEqual(first.migrated, 1);
+  assert.strictEqual(first.needsAnotherRun, true);
+  assert.strictEqual(second.migrated, 1);
+  assert.strictEqual(second.current, 1);
+});
+
+test('migrating clears the feed cache so the next sync compares every event', () => {
+  const harness = loadWithChangedScheme();
+  const properties = harness.services.PropertiesService.getScriptProperties();
+  assert.ok(properties.getProperty('feedCache_hockey'));
+
+  harness.global.migrateIdentities('hockey', Object.assign({ dryRun: true }, FROM_OLD_SCHEME));
+  assert.ok(properties.getProperty('feedCache_hockey'));
+
+  harness.global.migrateIdentities('hockey', FROM_OLD_SCHEME);
+  assert.strictEqual(properties.getProperty('feedCache_hockey'), null);
+});
+
+test('an event already on the new scheme keeps its UID over an older copy of the same game', () => {
+  const harness = loadScenario({ feed: NEW_SCHEME });
+  const Date = harness.global.Date;
+  // Left over from the old scheme and invisible to syncs on the new one, which created the game again
+  const leftover = harness.services.CalendarApp.getCalendarById(CALENDAR_ID).createEvent('[Hockey] Game vs Hawks',
+    new Date('2025-11-01T14:00:00Z'), new Date('2025-11-01T16:00:00Z'), { description: 'Hockey-UID: hockey-stable-0123456789abcdef01234567' });
+  serveEvents(harness, SEASON);
+  harness.global.syncFeed('hockey');
+  const current = calendarEvents(harness).find(event => event.getTitle() === '🏒 Game vs Hawks');
+  const uid = current.getTag('syncUid');
+
+  const report = harness.global.migrateIdentities('hockey', FROM_OLD_SCHEME);
+
+  assert.strictEqual(report.current, 2);
+  assert.strictEqual(report.migrated, 0);
+  assert.deepStrictEqual(Array.from(report.duplicates, event => event.title), ['[Hockey] Game vs Hawks']);
+  assert.strictEqual(current.getTag('syncUid'), uid);
+  assert.strictEqual(leftover.getTag('syncUid'), null);
+});
+
+test('events of a renamed feed are migrated instead of deleted and recreated', () => {
+  const harness = loadScenario({ events: SEASON });
+  harness.global.syncFeed('hockey');
+  const ids = calendarEvents(harness).map(event => event.getId());
+
+  harness.global.CONFIG.FEEDS[0].name = 'sam-hockey';
+  const report = harness.global.migrateIdentities('sam-hockey', { fromFeed: 'hockey' });
+  const results = harness.global.syncFeed('sam-hockey');
+
+  assert.strictEqual(report.migrated, 2);
+  assert.deepStrictEqual(calendarEvents(harness).map(event => event.getId()), ids);
+  assert.ok(calendarEvents(harness).every(event => event.getTag('syncFeed') === 'sam-hockey'));
+  assert.strictEqual(results.added, 0);
+  assert.strictEqual(results.removed, 0);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScenario, serveEvents } = require('./harness/scenario');
+
+const HAWKS = { uid: 'g1', summary: 'Game vs Hawks', start: '20251025T140000Z', end: '20251025T160000Z', location: 'Westside Rink', description: 'Dark jerseys' };
+const WOLVES = { uid: 'g2', summary: 'Game vs Wolves', start: '20251028T230000Z', end: '20251029T010000Z', location: 'Memorial Arena' };
+const BEARS = { uid: 'g3', summary: 'Game vs Bears', start: '20251201T230000Z', end: '20251202T010000Z', location: 'Memorial Arena' };
+
+function load(notifications, feed) {
+  const harness = loadScenario({
+    now: '2025-10-20T16:00:00Z',
+    config: { NOTIFICATIONS: Object.assign({ recipients: ['parent@example.com'] }, notifications), DELETION_SAFETY: false },
+    feed: feed,
+    events: [HAWKS, WOLVES, BEARS]
+  });
+  harness.global.syncFeed('hockey');
+  return harness;
+}
+
+function syncWith(harness, events) {
+  serveEvents(harness, events);
+  return harness.global.syncFeed('hockey');
+}
+
+test('creating events sends nothing', () => {
+  assert.strictEqual(load().services.MailApp.sent.length, 0);
+});
+
+test('reschedules, location changes and cancellations go out as one digest', () => {
+  const harness = load();
+
+  syncWith(harness, [
+    Object.assign({}, HAWKS, { start: '20251025T150000Z', end: '20251025T170000Z' }),
+    Object.assign({}, WOLVES, { location: 'Centennial Arena' })
+  ].concat(BEARS));
+
+  const sent = harness.services.MailApp.sent;
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].to, 'parent@example.com');
+  assert.strictEqual(sent[0].subject, 'Schedule changes: 2 updates');
+  assert.match(sent[0].body, /⏰ Rescheduled: \[Hockey\] Game vs Hawks\n {3}Start: Sat Oct 25, 10:00 AM → Sat Oct 25, 11:00 AM/);
+  assert.match(sent[0].body, /📍 Location changed: \[Hockey\] Game vs Wolves\n {3}Location: Memorial Arena → Centennial Arena/);
+  assert.match(sent[0].htmlBody, /Centennial Arena/);
+});
+
+test('a canceled game is reported, description edits and far-off changes are not', () => {
+  const harness = load();
+
+  syncWith(harness, [Object.assign({}, HAWKS, { description: 'Light jerseys' }), Object.assign({}, BEARS, { location: 'Westside Rink' })]);
+
+  const sent = harness.services.MailApp.sent;
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].body, '❌ Canceled: [Hockey] Game vs Wolves (Tue Oct 28, 7:00 PM)');
+});
+
+test('"today" and all-day dates are days in CONFIG.TIMEZONE, not the script\'s own timezone', () => {
+  // 10 PM on Monday in Vancouver, already Tuesday in the script's timezone (Toronto)
+  const skate = { uid: 'a1', summary: 'Skate', start: '20251020' };
+  const photos = { uid: 'a2', summary: 'Team Photos', start: '20251022' };
+  const harness = loadScenario({
+    now: '2025-10-21T05:00:00Z',
+    config: { TIMEZONE: 'America/Vancouver', NOTIFICATIONS: { recipients: ['parent@example.com'] }, DELETION_SAFETY: false },
+    events: [skate, photos]
+  });
+  harness.global.syncFeed('hockey');
+
+  syncWith(harness, []);
+
+  assert.strictEqual(harness.services.MailApp.sent[0].body,
+    '❌ Canceled: [Hockey] Skate (Mon Oct 20)\n\n❌ Canceled: [Hockey] Team Photos (Wed Oct 22)');
+});
+
+test('feed subscribers get only their feed, and quiet hours hold the digest', () => {
+  const harness = load({ recipients: [], quietHours: { start: 22, end: 7 } }, { subscribers: ['coach@example.com'] });
+
+  harness.clock.set('2025-10-21T03:00:00Z');
+  syncWith(harness, [HAWKS, BEARS]);
+  assert.strictEqual(harness.services.MailApp.sent.length, 0);
+
+  harness.clock.set('2025-10-21T12:00:00Z');
+  harness.global.sendChangeDigest();
+  assert.deepStrictEqual(harness.services.MailApp.sent.map(message => message.to), ['coach@example.com']);
+});
+
+test('recipients already sent to are not emailed again after a later failure', () => {
+  const harness = load({ recipients: ['a@example.com', 'b@example.com', 'c@example.com'] });
+  const mail = harness.services.MailApp;
+  const sendEmail = mail.sendEmail;
+  mail.sendEmail = message => {
+    if (message.to === 'b@example.com') throw new Error('Service invoked too many times for one day: email.');
+    sendEmail(message);
+  };
+
+  syncWith(harness, [HAWKS, BEARS]);
+  assert.deepStrictEqual(mail.sent.map(message => message.to), ['a@example.com']);
+
+  mail.sendEmail = sendEmail;
+  harness.global.sendChangeDigest();
+  harness.global.sendChangeDigest();
+
+  assert.deepStrictEqual(mail.sent.map(message => message.to), ['a@example.com', 'b@example.com', 'c@example.com']);
+});
+
+test('a long queue of non-ASCII titles is kept whole, and only a full one drops its oldest items', () => {
+  const harness = load();
+  const title = '[Hockey] Match – « Éclair » – « Élan » – arène Sainte-Thérèse – été';
+  const queue = count => Array.from({ length: count }, (_, i) => ({ type: 'canceled', feed: 'hockey', title: `${title} ${i}`, startTime: '2025-10-25T14:00:00.000Z' }));
+
+  harness.global.saveNotificationQueue(queue(120));
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(harness.global.readNotificationQueue())), queue(120));
+  assert.ok(!harness.logs.some(log => log.level === 'warn'));
+
+  harness.global.saveNotificationQueue(queue(250));
+  const saved = harness.global.readNotificationQueue();
+  assert.strictEqual(saved.length, 200);
+  assert.strictEqual(saved[0].title, `${title} 50`);
+  assert.ok(harness.logs.some(log => log.level === 'warn' && log.message.includes('dropped the 50 oldest')));
+});
+
+test('a queue saved as one plain value is still read', () => {
+  const harness = load();
+  const item = { type: 'canceled', feed: 'hockey', title: '[Hockey] Game vs Hawks', startTime: '2025-10-25T14:00:00.000Z' };
+  harness.services.PropertiesService.getScriptProperties().setProperty('pendingNotifications', JSON.stringify([item]));
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(harness.global.readNotificationQueue())), [item]);
+});
+
+test('the manifest asks for the scope MailApp needs', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'src', 'appsscript.json'), 'utf8'));
+
+  assert.ok(manifest.oauthScopes.includes('https://www.googleapis.com/auth/script.send_mail'));
+});
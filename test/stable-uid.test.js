@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents, CALENDAR_ID } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+const HAWKS = { uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' };
+
+test('UIDs are SHA-256 based, ignore the feed\'s own UID and change with the content', () => {
+  const harness = loadScenario();
+  const feed = harness.global.getFeed('hockey');
+  const uidOf = event => harness.global.parseFeedEvents(buildICS([event]), feed)[0].uid;
+
+  const uid = uidOf(HAWKS);
+
+  assert.match(uid, /^hockey-stable-[0-9a-f]{24}$/);
+  assert.strictEqual(uidOf(Object.assign({}, HAWKS, { uid: 'renumbered' })), uid);
+  assert.notStrictEqual(uidOf(Object.assign({}, HAWKS, { location: 'Eastside Rink' })), uid);
+});
+
+test('events synced with the old 32-bit UIDs are updated in place to the new UID', () => {
+  const harness = loadScenario();
+  const feed = harness.global.getFeed('hockey');
+  const feedEvent = harness.global.parseFeedEvents(buildICS([HAWKS]), feed)[0];
+  const legacyUID = harness.global.createLegacyStableUID(feedEvent, feed);
+  assert.match(legacyUID, /^hockey-stable-\d+$/);
+
+  const Date = harness.global.Date;
+  const legacy = harness.services.CalendarApp.getCalendarById(CALENDAR_ID).createEvent('[Hockey] Game vs Hawks',
+    new Date('2025-11-01T14:00:00Z'), new Date('2025-11-01T16:00:00Z'),
+    { location: 'Westside Rink', description: `Hockey-UID: ${legacyUID}` });
+  serveEvents(harness, [HAWKS]);
+
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.added, 0);
+  assert.strictEqual(results.removed, 0);
+  assert.strictEqual(calendarEvents(harness).length, 1);
+  assert.strictEqual(legacy.getTag('syncUid'), feedEvent.uid);
+  assert.strictEqual(legacy.getDescription(), `Hockey-UID: ${feedEvent.uid}`);
+});
+
+test('different events sharing a UID are both kept, under UIDs that stay put across syncs', () => {
+  const harness = loadScenario();
+  serveEvents(harness, [
+    Object.assign({}, HAWKS, { description: 'Dark jerseys' }),
+    Object.assign({}, HAWKS, { uid: 'g1-copy', end: '20251101T170000Z', description: 'Light jerseys' })
+  ]);
+
+  harness.global.syncFeed('hockey');
+  const uids = calendarEvents(harness).map(event => event.getTag('syncUid')).sort();
+  const second = harness.global.syncFeed('hockey', { force: true });
+
+  assert.strictEqual(uids.length, 2);
+  assert.notStrictEqual(uids[0], uids[1]);
+  assert.ok(uids.every(uid => /^hockey-stable-[0-9a-f]{24}-[0-9a-f]{8}$/.test(uid)));
+  assert.strictEqual(second.unchanged, 2);
+  assert.deepStrictEqual(calendarEvents(harness).map(event => event.getTag('syncUid')).sort(), uids);
+});
+
+test('identical copies of one event become a single calendar event', () => {
+  const harness = loadScenario();
+  serveEvents(harness, [HAWKS, Object.assign({}, HAWKS, { uid: 'g1-again' })]);
+
+  harness.global.syncFeed('hockey');
+
+  assert.strictEqual(calendarEvents(harness).length, 1);
+  assert.match(calendarEvents(harness)[0].getTag('syncUid'), /^hockey-stable-[0-9a-f]{24}$/);
+});
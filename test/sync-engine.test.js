@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents, HOCKEY_URL, HOCKEY_FEED, BASEBALL_FEED, BASEBALL_URL } = require('./harness/scenario');
+
+const F1_URL = 'https://f1calendar.com/download/f1-calendar.ics';
+const FIXTURE = 'test/fixtures/benchapp-basic.ics';
+
+function load(config) {
+  return loadScenario({ config: config });
+}
+
+function titles(harness) {
+  return calendarEvents(harness).map(event => event.getTitle()).sort();
+}
+
+test('a feed is created once and an unchanged feed changes nothing', () => {
+  const harness = load();
+  harness.services.UrlFetchApp.serveFile(HOCKEY_URL, FIXTURE);
+
+  const first = harness.global.syncFeed('hockey');
+  const second = harness.global.syncFeed('hockey', { force: true });
+
+  assert.strictEqual(first.added, 8);
+  assert.strictEqual(second.added, 0);
+  assert.strictEqual(second.updated, 0);
+  assert.strictEqual(second.unchanged, 8);
+  assert.strictEqual(titles(harness).length, 8);
+  assert.ok(titles(harness).every(title => title.startsWith('[Hockey] ')));
+});
+
+test('changed events are updated and events gone from the feed are removed', () => {
+  const harness = load();
+  const feed = [
+    { uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink', description: 'Dark jerseys' },
+    { uid: 'g2', summary: 'Game vs Wolves', start: '20251108T140000Z', end: '20251108T160000Z', location: 'Memorial Arena' }
+  ];
+  serveEvents(harness, feed);
+  harness.global.syncFeed('hockey');
+
+  feed[0].description = 'Light jerseys';
+  serveEvents(harness, [feed[0]]);
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.updated, 1);
+  assert.strictEqual(results.removed, 1);
+  const events = calendarEvents(harness);
+  assert.strictEqual(events.length, 1);
+  assert.match(events[0].getDescription(), /^Light jerseys\n\nHockey-UID: hockey-stable-[0-9a-f]{24}$/);
+});
+
+test('events outside the sync window are left out', () => {
+  const harness = loadScenario({ events: [
+    { uid: 'old', summary: 'Game vs Bears', start: '20250901T140000Z', end: '20250901T160000Z' },
+    { uid: 'soon', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z' },
+    { uid: 'far', summary: 'Game vs Lynx', start: '20260401T140000Z', end: '20260401T160000Z' }
+  ] });
+
+  harness.global.syncFeed('hockey');
+
+  assert.deepStrictEqual(titles(harness), ['[Hockey] Game vs Hawks']);
+});
+
+test('the old per-sport config keys still produce the original UIDs', () => {
+  const harness = load({
+    FEEDS: undefined,
+    HOCKEY_CALENDAR_URL: HOCKEY_URL,
+    EVENT_PREFIX: '[Hockey] ',
+    DAYS_LOOKBACK: 7,
+    DAYS_LOOKAHEAD: 90
+  });
+  harness.services.UrlFetchApp.serveFile(HOCKEY_URL, FIXTURE);
+
+  harness.global.syncHockeyCalendar();
+
+  const feed = harness.global.getFeed('hockey');
+  assert.strictEqual(feed.uidPrefix, 'benchapp-stable');
+  assert.strictEqual(feed.lastSyncProperty, 'lastSyncTime');
+  const event = calendarEvents(harness)[0];
+  assert.match(event.getTag('syncUid'), /^benchapp-stable-/);
+  assert.ok(harness.services.PropertiesService.getScriptProperties().getProperty('lastSyncTime'));
+});
+
+test('F1 titles are normalized and sessions other than races and sprints filtered out', () => {
+  const harness = load({
+    FEEDS: [{
+      name: 'f1', label: 'F1', url: F1_URL, prefix: '[F1] ', uidMarker: 'F1-UID',
+      titleNormalizer: 'stripF1TitlePrefix', filter: 'isRaceOrSprint', daysLookahead: 365
+    }]
+  });
+  serveEvents(harness, [
+    { uid: 'fp1', summary: 'F1: Practice 1 (Las Vegas Grand Prix)', start: '20251121T003000Z', end: '20251121T013000Z' },
+    { uid: 'q', summary: 'F1: Qualifying (Las Vegas Grand Prix)', start: '20251122T040000Z', end: '20251122T050000Z' },
+    { uid: 'race', summary: 'F1: Las Vegas Grand Prix', start: '20251123T040000Z', end: '20251123T060000Z' }
+  ], F1_URL);
+
+  harness.global.syncF1Calendar();
+
+  assert.deepStrictEqual(titles(harness), ['[F1] Las Vegas Grand Prix']);
+});
+
+test('a failing feed does not stop the others, but the run still reports it', () => {
+  const harness = load({
+    FEEDS: [
+      Object.assign({}, HOCKEY_FEED, { url: 'https://ics.benchapp.com/broken' }),
+      BASEBALL_FEED
+    ],
+    FETCH_RETRY: { maxAttempts: 1 }
+  });
+  serveEvents(harness, [
+    { uid: 'b1', summary: 'Game vs Jays', start: '20251025T170000Z', end: '20251025T190000Z' }
+  ], BASEBALL_URL);
+
+  assert.throws(() => harness.global.syncAllFeeds(), /Sync failed for feed\(s\): hockey/);
+  assert.deepStrictEqual(titles(harness), ['[Baseball] Game vs Jays']);
+});
+
+test('feeds need a name, url and uidMarker', () => {
+  const harness = load({ FEEDS: [{ name: 'hockey', url: HOCKEY_URL }] });
+
+  assert.throws(() => harness.global.getFeeds(), /needs at least name, url and uidMarker/);
+  assert.throws(() => load().global.getFeed('lacrosse'), /Unknown feed "lacrosse"/);
+});
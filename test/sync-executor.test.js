@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents, CALENDAR_ID } = require('./harness/scenario');
+
+// Every write is followed by a 300 ms pause, so a 1 second budget fits four writes per run
+function load() {
+  return loadScenario({ config: { SYNC_TIME_BUDGET_SECONDS: 1 } });
+}
+
+function games(count, description) {
+  return Array.from({ length: count }, (_, i) => ({
+    uid: `g${i}`,
+    summary: `Game ${i} vs Hawks`,
+    start: `202511${String(i + 1).padStart(2, '0')}T140000Z`,
+    end: `202511${String(i + 1).padStart(2, '0')}T160000Z`,
+    description: description
+  }));
+}
+
+function resumeTriggers(harness) {
+  return harness.services.ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === 'resumeSync');
+}
+
+test('actions past the time budget are saved and finished by resumeSync', () => {
+  const harness = load();
+  serveEvents(harness, games(10));
+
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.added, 4);
+  assert.strictEqual(results.pending, 6);
+  assert.strictEqual(calendarEvents(harness).length, 4);
+  assert.strictEqual(resumeTriggers(harness).length, 1);
+
+  harness.clock.advance(60 * 1000);
+  assert.strictEqual(harness.global.resumeSync().hockey.pending, 2);
+  harness.clock.advance(60 * 1000);
+  assert.strictEqual(harness.global.resumeSync().hockey.pending, 0);
+
+  assert.strictEqual(calendarEvents(harness).length, 10);
+  assert.strictEqual(harness.global.loadSyncContinuation(harness.global.getFeed('hockey')), null);
+  assert.strictEqual(resumeTriggers(harness).length, 0);
+});
+
+test('an action that went through before a run was cut off is not applied twice', () => {
+  const harness = load();
+  serveEvents(harness, games(6));
+  harness.global.syncFeed('hockey');
+
+  // A later sync already created the next game before the resume ran
+  const feed = harness.global.getFeed('hockey');
+  const next = harness.global.loadSyncContinuation(feed).actions[0];
+  harness.global.applySyncAction(harness.services.CalendarApp.getCalendarById(CALENDAR_ID), next, null);
+
+  harness.clock.advance(60 * 1000);
+  const results = harness.global.resumeSync().hockey;
+
+  assert.strictEqual(results.skipped, 1);
+  assert.strictEqual(results.added, 1);
+  assert.strictEqual(calendarEvents(harness).length, 6);
+});
+
+test('a continuation with non-ASCII text is chunked by bytes and survives the 9 KB property limit', () => {
+  const harness = load();
+  serveEvents(harness, games(20, 'Arrivée à l’aréna – équipe foncée – thé – café – été. '.repeat(12)));
+
+  harness.global.syncFeed('hockey');
+  const properties = harness.services.PropertiesService.getScriptProperties();
+  assert.ok(parseInt(properties.getProperty('syncContinuation_hockey'), 10) > 1);
+
+  for (let run = 0; run < 4; run++) {
+    harness.clock.advance(60 * 1000);
+    harness.global.resumeSync();
+  }
+
+  assert.strictEqual(calendarEvents(harness).length, 20);
+  assert.match(calendarEvents(harness)[0].getDescription(), /Arrivée à l’aréna – équipe/);
+  assert.strictEqual(properties.getProperty('syncContinuation_hockey'), null);
+  assert.strictEqual(properties.getProperty('syncContinuation_hockey_0'), null);
+});
+
+test('an unreadable continuation is dropped instead of breaking resumeSync', () => {
+  const harness = load();
+  const properties = harness.services.PropertiesService.getScriptProperties();
+  properties.setProperty('syncContinuation_hockey', '2');
+  properties.setProperty('syncContinuation_hockey_0', '{"feed":"hockey","acti');
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(harness.global.resumeSync())), {});
+  assert.strictEqual(properties.getProperty('syncContinuation_hockey'), null);
+  assert.strictEqual(properties.getProperty('syncContinuation_hockey_0'), null);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, HOCKEY_URL, HOCKEY_FEED } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+const ICS = buildICS([{ uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z' }]);
+
+function load(config) {
+  const harness = loadScenario({ config: config });
+  harness.services.UrlFetchApp.serve(HOCKEY_URL, ICS);
+  return harness;
+}
+
+function syncTimes(harness, count) {
+  for (let i = 0; i < count; i++) {
+    harness.clock.advance(6 * 60 * 60 * 1000);
+    harness.global.syncFeed('hockey');
+  }
+}
+
+test('every run is recorded and getSyncHistory lists the newest first', () => {
+  const harness = load();
+  syncTimes(harness, 2);
+  harness.global.syncFeed('hockey', { planOnly: true });
+
+  const history = harness.global.getSyncHistory('hockey');
+
+  assert.deepStrictEqual(Array.from(history, run => `${run.mode}:${run.status}`), ['plan:planned', 'sync:no-changes', 'sync:synced']);
+  assert.strictEqual(history[2].added, 1);
+  assert.strictEqual(harness.global.getLastSyncResult(harness.global.getFeed('hockey')).status, 'no-changes');
+  const lastSyncProperty = harness.global.getFeed('hockey').lastSyncProperty;
+  assert.strictEqual(harness.services.PropertiesService.getScriptProperties().getProperty(lastSyncProperty), history[1].endedAt);
+});
+
+test('the full retention is kept even when it is larger than one property value', () => {
+  const harness = load();
+  syncTimes(harness, 35);
+
+  const properties = harness.services.PropertiesService.getScriptProperties();
+  assert.strictEqual(harness.global.getSyncHistory('hockey', 100).length, 30);
+  assert.ok(parseInt(properties.getProperty('syncHistory_hockey'), 10) > 1);
+
+  harness.global.CONFIG.SYNC_HISTORY_RETENTION = 5;
+  syncTimes(harness, 1);
+  assert.strictEqual(harness.global.getSyncHistory('hockey', 100).length, 5);
+  assert.strictEqual(properties.getProperty('syncHistory_hockey_1'), null);
+});
+
+test('records with non-ASCII text are stored within the byte limit', () => {
+  const harness = load({ FEEDS: [Object.assign({}, HOCKEY_FEED, { url: 'https://ics.benchapp.com/équipe–été' })], FETCH_RETRY: { maxAttempts: 1 } });
+
+  for (let i = 0; i < 30; i++) {
+    assert.throws(() => harness.global.syncFeed('hockey'));
+  }
+
+  const history = harness.global.getSyncHistory('hockey', 100);
+  assert.strictEqual(history.length, 30);
+  assert.match(history[0].failure.message, /équipe–été/);
+});
+
+test('a ledger stored as a single value before chunking is still read and extended', () => {
+  const harness = load();
+  const properties = harness.services.PropertiesService.getScriptProperties();
+  properties.setProperty('syncHistory_hockey', JSON.stringify([
+    { feed: 'hockey', mode: 'sync', status: 'synced', startedAt: '2025-10-19T12:00:00.000Z', added: 3, updated: 0, removed: 0, unchanged: 0, errors: [] }
+  ]));
+
+  syncTimes(harness, 1);
+
+  const history = harness.global.getSyncHistory('hockey');
+  assert.strictEqual(history.length, 2);
+  assert.strictEqual(history[1].added, 3);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents } = require('./harness/scenario');
+
+const HAWKS = { uid: 'g1', summary: 'Game vs Hawks', start: '20251101T140000Z', end: '20251101T160000Z', location: 'Westside Rink' };
+const WOLVES = { uid: 'g2', summary: 'Game vs Wolves', start: '20251108T140000Z', end: '20251108T160000Z', location: 'Memorial Arena' };
+const BEARS = { uid: 'g3', summary: 'Game vs Bears', start: '20251115T140000Z', end: '20251115T160000Z', location: 'Memorial Arena' };
+
+// A synced calendar with Hawks and Wolves, and a feed that moves Hawks and drops Wolves for Bears
+function loadWithPendingChanges() {
+  const harness = loadScenario({ events: [HAWKS, WOLVES] });
+  harness.global.syncFeed('hockey');
+  serveEvents(harness, [Object.assign({}, HAWKS, { location: 'Eastside Rink' }), BEARS]);
+  return harness;
+}
+
+test('planOnly lists creates, updates with before/after values and deletes without touching the calendar', () => {
+  const harness = loadWithPendingChanges();
+  const before = JSON.stringify(calendarEvents(harness).map(event => [event.getId(), event.getLocation()]));
+
+  const plan = harness.global.syncFeed('hockey', { planOnly: true });
+
+  assert.strictEqual(JSON.stringify(calendarEvents(harness).map(event => [event.getId(), event.getLocation()])), before);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(plan.summary)), { create: 1, update: 1, delete: 1, unchanged: 0 });
+  const update = plan.actions.find(action => action.action === 'update');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(update.changes)), [{ field: 'location', before: 'Westside Rink', after: 'Eastside Rink' }]);
+  assert.strictEqual(plan.actions.find(action => action.action === 'delete').title, '[Hockey] Game vs Wolves');
+});
+
+test('a plan survives JSON and applyPlan carries it out', () => {
+  const harness = loadWithPendingChanges();
+  const plan = JSON.parse(JSON.stringify(harness.global.syncFeed('hockey', { planOnly: true })));
+
+  const results = harness.global.applyPlan(plan);
+
+  assert.strictEqual(results.added, 1);
+  assert.strictEqual(results.updated, 1);
+  assert.strictEqual(results.removed, 1);
+  assert.deepStrictEqual(calendarEvents(harness).map(event => `${event.getTitle()} @ ${event.getLocation()}`).sort(), [
+    '[Hockey] Game vs Bears @ Memorial Arena',
+    '[Hockey] Game vs Hawks @ Eastside Rink'
+  ]);
+});
+
+test('actions whose event changed since planning, or that already happened, are skipped', () => {
+  const harness = loadWithPendingChanges();
+  const plan = harness.global.syncFeed('hockey', { planOnly: true });
+
+  harness.clock.advance(60 * 1000);
+  const hawks = calendarEvents(harness).find(event => event.getTitle() === '[Hockey] Game vs Hawks');
+  hawks.setDescription('Carpool with the Smiths');
+  calendarEvents(harness).find(event => event.getTitle() === '[Hockey] Game vs Wolves').deleteEvent();
+  const first = harness.global.applyPlan(plan);
+  const second = harness.global.applyPlan(plan);
+
+  assert.strictEqual(first.added, 1);
+  assert.strictEqual(first.skipped, 2);
+  assert.strictEqual(hawks.getLocation(), 'Westside Rink');
+  assert.strictEqual(second.added, 0);
+  assert.strictEqual(second.skipped, 3);
+});
+
+test('applyPlan rejects anything that is not a plan', () => {
+  const harness = loadScenario();
+
+  assert.throws(() => harness.global.applyPlan({}), /needs a plan returned by a sync run/);
+  assert.throws(() => harness.global.applyPlan({ actions: [], calendarId: 'missing@example.com' }), /was not found/);
+});
+
+test('applying a plan makes the next sync compare the calendar in full', () => {
+  const harness = loadWithPendingChanges();
+  harness.global.syncFeed('hockey');
+  const snapshot = harness.global.listSnapshots('hockey')[0];
+  const plan = harness.global.restoreSnapshot('hockey', snapshot.id, { planOnly: true });
+
+  harness.global.applyPlan(plan);
+  const results = harness.global.syncFeed('hockey');
+
+  assert.notStrictEqual(results.skipped, true);
+  assert.strictEqual(results.updated, 1);
+});
+
+test('applyPlan holds back mass deletions unless they are approved', () => {
+  const harness = loadScenario({ config: { DELETION_SAFETY: { maxDeletions: 1 } }, events: [HAWKS, WOLVES, BEARS] });
+  harness.global.syncFeed('hockey');
+  serveEvents(harness, [HAWKS]);
+  const plan = harness.global.syncFeed('hockey', { planOnly: true });
+
+  const held = harness.global.applyPlan(plan);
+  assert.strictEqual(held.removed, 0);
+  assert.strictEqual(held.deferred, 2);
+  assert.strictEqual(calendarEvents(harness).length, 3);
+
+  const approved = harness.global.applyPlan(plan, { approveDeletions: true });
+  assert.strictEqual(approved.removed, 2);
+  assert.deepStrictEqual(calendarEvents(harness).map(event => event.getTitle()), ['[Hockey] Game vs Hawks']);
+});
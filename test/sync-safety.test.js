@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, serveEvents, calendarEvents } = require('./harness/scenario');
+
+// Twelve weekly games starting Nov 1
+const SEASON = Array.from({ length: 12 }, (_, index) => {
+  const day = new Date(Date.UTC(2025, 10, 1 + index * 7));
+  const stamp = day.toISOString().slice(0, 10).replace(/-/g, '');
+  return { uid: `g${index}`, summary: `Game ${index + 1}`, start: `${stamp}T140000Z`, end: `${stamp}T160000Z` };
+});
+
+function load(config, feed) {
+  const harness = loadScenario({ config: config, feed: feed, events: SEASON });
+  harness.global.syncFeed('hockey');
+  return harness;
+}
+
+function count(harness) {
+  return calendarEvents(harness).length;
+}
+
+test('a feed that suddenly empties is held back until three syncs agree', () => {
+  const harness = load();
+  serveEvents(harness, []);
+
+  const first = harness.global.syncFeed('hockey');
+  const second = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(first.suspicious, true);
+  assert.strictEqual(first.removed, 0);
+  assert.strictEqual(second.suspicious, true);
+  assert.strictEqual(count(harness), 12);
+  assert.strictEqual(harness.global.getPendingDeletions().hockey.confirmations, 2);
+
+  const third = harness.global.syncFeed('hockey');
+  assert.strictEqual(third.removed, 12);
+  assert.strictEqual(count(harness), 0);
+  assert.deepStrictEqual(Object.keys(harness.global.getPendingDeletions()), []);
+});
+
+test('approvePendingDeletions lets the blocked removals through at once', () => {
+  const harness = load();
+  serveEvents(harness, SEASON.slice(0, 4));
+  harness.global.syncFeed('hockey');
+
+  const summary = harness.global.approvePendingDeletions('hockey');
+
+  assert.strictEqual(summary.hockey.removed, 8);
+  assert.strictEqual(count(harness), 4);
+});
+
+test('a different shrinkage starts the confirmations over', () => {
+  const harness = load();
+  serveEvents(harness, []);
+  harness.global.syncFeed('hockey');
+  harness.global.syncFeed('hockey');
+
+  serveEvents(harness, SEASON.slice(0, 1));
+  const results = harness.global.syncFeed('hockey');
+
+  assert.strictEqual(results.suspicious, true);
+  assert.strictEqual(harness.global.getPendingDeletions().hockey.confirmations, 1);
+});
+
+test('small removals go through and the limits can be changed or switched off per feed', () => {
+  const small = load();
+  serveEvents(small, SEASON.slice(0, 10));
+  assert.strictEqual(small.global.syncFeed('hockey').removed, 2);
+
+  const strict = load({ DELETION_SAFETY: { maxDeletions: 1 } });
+  serveEvents(strict, SEASON.slice(0, 10));
+  assert.strictEqual(strict.global.syncFeed('hockey').suspicious, true);
+
+  const disabled = load({}, { deletionSafety: false });
+  serveEvents(disabled, []);
+  assert.strictEqual(disabled.global.syncFeed('hockey').removed, 12);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScenario, calendarEvents } = require('./harness/scenario');
+const { buildICS } = require('./harness/feed-builder');
+
+function startOf(icsEvent, defaultTimeZone) {
+  const harness = loadScenario();
+  const events = harness.global.parseICSData(buildICS([icsEvent]), { defaultTimeZone: defaultTimeZone });
+  return events[0].startTime.toISOString();
+}
+
+test('UTC, TZID and floating times resolve to the instant the feed meant', () => {
+  assert.strictEqual(startOf({ uid: 'a', summary: 'Game', start: '20251101T190000Z' }), '2025-11-01T19:00:00.000Z');
+  assert.strictEqual(startOf({ uid: 'a', summary: 'Game', start: 'TZID=America/Vancouver:20251101T190000' }), '2025-11-02T02:00:00.000Z');
+  assert.strictEqual(startOf({ uid: 'a', summary: 'Game', start: '20251101T190000' }, 'Europe/London'), '2025-11-01T19:00:00.000Z');
+});
+
+test('times either side of a DST change keep their wall clock time', () => {
+  assert.strictEqual(startOf({ uid: 'a', summary: 'Game', start: 'TZID=America/Toronto:20251101T190000' }), '2025-11-01T23:00:00.000Z');
+  assert.strictEqual(startOf({ uid: 'a', summary: 'Game', start: 'TZID=America/Toronto:20251102T190000' }), '2025-11-03T00:00:00.000Z');
+  // 02:30 does not exist on the spring-forward night and moves to 03:30 EDT
+  assert.strictEqual(startOf({ uid: 'a', summary: 'Game', start: 'TZID=America/Toronto:20260308T023000' }), '2026-03-08T07:30:00.000Z');
+});
+
+test('a VTIMEZONE definition is used for TZIDs that are not IANA ids', () => {
+  const icsData = buildICS([
+    { uid: 'a', summary: 'Game', start: 'TZID=Eastern Standard Time:20251101T190000' },
+    { uid: 'b', summary: 'Game', start: 'TZID=Eastern Standard Time:20251108T190000' }
+  ], {
+    lines: [
+      'BEGIN:VTIMEZONE', 'TZID:Eastern Standard Time',
+      'BEGIN:STANDARD', 'DTSTART:16010101T020000', 'TZOFFSETFROM:-0400', 'TZOFFSETTO:-0500', 'RRULE:FREQ=YEARLY;BYDAY=1SU;BYMONTH=11', 'END:STANDARD',
+      'BEGIN:DAYLIGHT', 'DTSTART:16010101T020000', 'TZOFFSETFROM:-0500', 'TZOFFSETTO:-0400', 'RRULE:FREQ=YEARLY;BYDAY=2SU;BYMONTH=3', 'END:DAYLIGHT',
+      'END:VTIMEZONE'
+    ]
+  });
+
+  const events = loadScenario({ config: { TIMEZONE: 'America/Vancouver' } }).global.parseICSData(icsData, { defaultTimeZone: 'America/Vancouver' });
+
+  assert.deepStrictEqual(Array.from(events, event => event.startTime.toISOString()), [
+    '2025-11-01T23:00:00.000Z',
+    '2025-11-09T00:00:00.000Z'
+  ]);
+});
+
+test('an unknown TZID warns once and falls back to the default zone', () => {
+  const harness = loadScenario();
+  const icsData = buildICS([
+    { uid: 'a', summary: 'Game', start: 'TZID=Rink Time:20251101T190000' },
+    { uid: 'b', summary: 'Game', start: 'TZID=Rink Time:20251108T190000' }
+  ]);
+
+  const events = harness.global.parseICSData(icsData, { defaultTimeZone: 'America/Toronto' });
+
+  assert.strictEqual(events[0].startTime.toISOString(), '2025-11-01T23:00:00.000Z');
+  assert.strictEqual(harness.logs.filter(log => log.message.includes('Unknown TZID "Rink Time"')).length, 1);
+});
+
+test('floating times use the feed timezone, then CONFIG.TIMEZONE, then the script timezone', () => {
+  const feedEvent = { uid: 'a', summary: 'Game vs Hawks', start: '20251101T190000', end: '20251101T210000' };
+  const scenarios = [
+    [{ feed: { timezone: 'America/Winnipeg' } }, '2025-11-02T00:00:00.000Z'],
+    [{ config: { TIMEZONE: 'America/Halifax' } }, '2025-11-01T22:00:00.000Z'],
+    [{ config: { TIMEZONE: undefined } }, '2025-11-02T02:00:00.000Z']
+  ];
+
+  scenarios.forEach(([changes, expected]) => {
+    const harness = loadScenario(Object.assign({ timeZone: 'America/Vancouver', events: [feedEvent] }, changes));
+
+    harness.global.syncFeed('hockey');
+
+    const event = calendarEvents(harness)[0];
+    assert.strictEqual(event.getStartTime().toISOString(), expected);
+  });
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScenario, serveEvents, calendarEvents, HOCKEY_FEED, BASEBALL_FEED, BASEBALL_URL } = require('./harness/scenario');
+
+function load(config) {
+  const harness = loadScenario({
+    now: '2025-10-19T22:00:00Z', // Sunday 6 PM in Toronto
+    config: Object.assign({ FEEDS: [HOCKEY_FEED, BASEBALL_FEED],
+      WEEKLY_DIGEST: { recipients: ['parent@example.com', 'grandma@example.com'] } }, config),
+    events: [
+      { uid: 'h1', summary: 'Game vs Hawks', start: '20251021T230000Z', end: '20251022T010000Z', location: 'Westside Rink' },
+      { uid: 'h2', summary: 'Fall Classic', start: '20251025', end: '20251027' },
+      { uid: 'h3', summary: 'Game vs Wolves', start: '20251030T230000Z', end: '20251031T010000Z' }
+    ]
+  });
+  serveEvents(harness, [
+    { uid: 'b1', summary: 'Game vs Jays', start: '20251021T160000Z', end: '20251021T180000Z', location: 'Christie Pits' }
+  ], BASEBALL_URL);
+  harness.global.syncAllFeeds();
+  return harness;
+}
+
+test('the coming week of every feed is emailed grouped by day', () => {
+  const harness = load();
+
+  const result = harness.global.weeklyDigest();
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(result)), { sent: true, events: 3 });
+  const message = harness.services.MailApp.sent[0];
+  assert.strictEqual(message.to, 'parent@example.com,grandma@example.com');
+  assert.strictEqual(message.subject, 'Family agenda: 3 events this week');
+  assert.strictEqual(message.body, [
+    'Tuesday, October 21',
+    '  12:00 PM – 2:00 PM  [Baseball] Game vs Jays @ Christie Pits',
+    '  7:00 PM – 9:00 PM  [Hockey] Game vs Hawks @ Westside Rink',
+    '',
+    'Saturday, October 25',
+    '  All day  [Hockey] Fall Classic'
+  ].join('\n'));
+  assert.match(message.htmlBody, /maps\/search\/\?api=1&query=Christie%20Pits/);
+});
+
+test('days follow CONFIG.TIMEZONE, whatever the script\'s own clock says', () => {
+  const harness = load({ TIMEZONE: 'Europe/London' });
+
+  harness.global.weeklyDigest();
+
+  assert.strictEqual(harness.services.MailApp.sent[0].body, [
+    'Tuesday, October 21',
+    '  5:00 PM – 7:00 PM  [Baseball] Game vs Jays @ Christie Pits',
+    '',
+    'Wednesday, October 22',
+    '  12:00 AM – 2:00 AM  [Hockey] Game vs Hawks @ Westside Rink',
+    '',
+    'Saturday, October 25',
+    '  All day  [Hockey] Fall Classic'
+  ].join('\n'));
+});
+
+test('events added or changed since the last digest are badged', () => {
+  const harness = load();
+  harness.global.weeklyDigest();
+
+  harness.clock.advance(7 * 24 * 60 * 60 * 1000);
+  serveEvents(harness, [
+    { uid: 'b2', summary: 'Game vs Orioles', start: '20251029T160000Z', end: '20251029T180000Z' }
+  ], BASEBALL_URL);
+  harness.global.syncAllFeeds();
+  calendarEvents(harness).find(event => event.getTitle() === '[Hockey] Game vs Wolves')
+    .setLocation('Memorial Arena');
+  harness.global.weeklyDigest();
+
+  const body = harness.services.MailApp.sent[1].body;
+  assert.match(body, /\[Baseball\] Game vs Orioles \[NEW\]/);
+  assert.match(body, /\[Hockey\] Game vs Wolves @ Memorial Arena \[CHANGED\]/);
+});
+
+test('without recipients nothing is sent', () => {
+  const harness = load({ WEEKLY_DIGEST: {} });
+
+  assert.strictEqual(harness.global.weeklyDigest().sent, false);
+  assert.strictEqual(harness.services.MailApp.sent.length, 0);
+});
+
+test('the trigger runs on the configured day and hour', () => {
+  const harness = load({ WEEKLY_DIGEST: { recipients: ['parent@example.com'], day: 'FRIDAY', hour: 7 } });
+
+  harness.global.setupWeeklyDigestTrigger();
+  harness.global.setupWeeklyDigestTrigger();
+
+  const triggers = harness.services.ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === 'weeklyDigest');
+  assert.strictEqual(triggers.length, 1);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(triggers[0]._schedule)), { onWeekDay: 'FRIDAY', atHour: 7 });
+});
+
+test('the manifest asks for the scope MailApp needs', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'src', 'appsscript.json'), 'utf8'));
+
+  assert.ok(manifest.oauthScopes.includes('https://www.googleapis.com/auth/script.send_mail'));
+});